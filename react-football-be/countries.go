@@ -0,0 +1,446 @@
+package main
+
+import (
+	"fmt"
+	"log"
+	"strings"
+	"time"
+
+	"github.com/go-redis/redis/v8"
+)
+
+// Countries are identified by ISO 3166-1 alpha-2 code ("MA") in payloads,
+// click totals, high scores and player profiles. Older clients sent English
+// names, which are still accepted and converted; migrateCountries converts
+// data stored before the switch. Mirrored in
+// react-football-fe/src/data/countries.js.
+
+// Player whose country couldn't be resolved (CLDR's "Unknown Region")
+const unknownCountry = "ZZ"
+
+var countryNames = map[string]string{
+	"AD": "Andorra",
+	"AE": "United Arab Emirates",
+	"AF": "Afghanistan",
+	"AG": "Antigua & Barbuda",
+	"AI": "Anguilla",
+	"AL": "Albania",
+	"AM": "Armenia",
+	"AO": "Angola",
+	"AQ": "Antarctica",
+	"AR": "Argentina",
+	"AS": "American Samoa",
+	"AT": "Austria",
+	"AU": "Australia",
+	"AW": "Aruba",
+	"AX": "Åland Islands",
+	"AZ": "Azerbaijan",
+	"BA": "Bosnia & Herzegovina",
+	"BB": "Barbados",
+	"BD": "Bangladesh",
+	"BE": "Belgium",
+	"BF": "Burkina Faso",
+	"BG": "Bulgaria",
+	"BH": "Bahrain",
+	"BI": "Burundi",
+	"BJ": "Benin",
+	"BL": "St. Barthélemy",
+	"BM": "Bermuda",
+	"BN": "Brunei",
+	"BO": "Bolivia",
+	"BQ": "Caribbean Netherlands",
+	"BR": "Brazil",
+	"BS": "Bahamas",
+	"BT": "Bhutan",
+	"BV": "Bouvet Island",
+	"BW": "Botswana",
+	"BY": "Belarus",
+	"BZ": "Belize",
+	"CA": "Canada",
+	"CC": "Cocos (Keeling) Islands",
+	"CD": "DR Congo",
+	"CF": "Central African Republic",
+	"CG": "Congo",
+	"CH": "Switzerland",
+	"CI": "Côte d’Ivoire",
+	"CK": "Cook Islands",
+	"CL": "Chile",
+	"CM": "Cameroon",
+	"CN": "China",
+	"CO": "Colombia",
+	"CR": "Costa Rica",
+	"CU": "Cuba",
+	"CV": "Cape Verde",
+	"CW": "Curaçao",
+	"CX": "Christmas Island",
+	"CY": "Cyprus",
+	"CZ": "Czechia",
+	"DE": "Germany",
+	"DJ": "Djibouti",
+	"DK": "Denmark",
+	"DM": "Dominica",
+	"DO": "Dominican Republic",
+	"DZ": "Algeria",
+	"EC": "Ecuador",
+	"EE": "Estonia",
+	"EG": "Egypt",
+	"EH": "Western Sahara",
+	"ER": "Eritrea",
+	"ES": "Spain",
+	"ET": "Ethiopia",
+	"FI": "Finland",
+	"FJ": "Fiji",
+	"FK": "Falkland Islands",
+	"FM": "Micronesia",
+	"FO": "Faroe Islands",
+	"FR": "France",
+	"GA": "Gabon",
+	"GB": "United Kingdom",
+	"GD": "Grenada",
+	"GE": "Georgia",
+	"GF": "French Guiana",
+	"GG": "Guernsey",
+	"GH": "Ghana",
+	"GI": "Gibraltar",
+	"GL": "Greenland",
+	"GM": "Gambia",
+	"GN": "Guinea",
+	"GP": "Guadeloupe",
+	"GQ": "Equatorial Guinea",
+	"GR": "Greece",
+	"GS": "South Georgia & South Sandwich Islands",
+	"GT": "Guatemala",
+	"GU": "Guam",
+	"GW": "Guinea-Bissau",
+	"GY": "Guyana",
+	"HK": "Hong Kong",
+	"HM": "Heard & McDonald Islands",
+	"HN": "Honduras",
+	"HR": "Croatia",
+	"HT": "Haiti",
+	"HU": "Hungary",
+	"ID": "Indonesia",
+	"IE": "Ireland",
+	"IL": "Israel",
+	"IM": "Isle of Man",
+	"IN": "India",
+	"IO": "British Indian Ocean Territory",
+	"IQ": "Iraq",
+	"IR": "Iran",
+	"IS": "Iceland",
+	"IT": "Italy",
+	"JE": "Jersey",
+	"JM": "Jamaica",
+	"JO": "Jordan",
+	"JP": "Japan",
+	"KE": "Kenya",
+	"KG": "Kyrgyzstan",
+	"KH": "Cambodia",
+	"KI": "Kiribati",
+	"KM": "Comoros",
+	"KN": "St. Kitts & Nevis",
+	"KP": "North Korea",
+	"KR": "South Korea",
+	"KW": "Kuwait",
+	"KY": "Cayman Islands",
+	"KZ": "Kazakhstan",
+	"LA": "Laos",
+	"LB": "Lebanon",
+	"LC": "St. Lucia",
+	"LI": "Liechtenstein",
+	"LK": "Sri Lanka",
+	"LR": "Liberia",
+	"LS": "Lesotho",
+	"LT": "Lithuania",
+	"LU": "Luxembourg",
+	"LV": "Latvia",
+	"LY": "Libya",
+	"MA": "Morocco",
+	"MC": "Monaco",
+	"MD": "Moldova",
+	"ME": "Montenegro",
+	"MF": "St. Martin",
+	"MG": "Madagascar",
+	"MH": "Marshall Islands",
+	"MK": "North Macedonia",
+	"ML": "Mali",
+	"MM": "Myanmar (Burma)",
+	"MN": "Mongolia",
+	"MO": "Macao",
+	"MP": "Northern Mariana Islands",
+	"MQ": "Martinique",
+	"MR": "Mauritania",
+	"MS": "Montserrat",
+	"MT": "Malta",
+	"MU": "Mauritius",
+	"MV": "Maldives",
+	"MW": "Malawi",
+	"MX": "Mexico",
+	"MY": "Malaysia",
+	"MZ": "Mozambique",
+	"NA": "Namibia",
+	"NC": "New Caledonia",
+	"NE": "Niger",
+	"NF": "Norfolk Island",
+	"NG": "Nigeria",
+	"NI": "Nicaragua",
+	"NL": "Netherlands",
+	"NO": "Norway",
+	"NP": "Nepal",
+	"NR": "Nauru",
+	"NU": "Niue",
+	"NZ": "New Zealand",
+	"OM": "Oman",
+	"PA": "Panama",
+	"PE": "Peru",
+	"PF": "French Polynesia",
+	"PG": "Papua New Guinea",
+	"PH": "Philippines",
+	"PK": "Pakistan",
+	"PL": "Poland",
+	"PM": "St. Pierre & Miquelon",
+	"PN": "Pitcairn Islands",
+	"PR": "Puerto Rico",
+	"PS": "Palestine",
+	"PT": "Portugal",
+	"PW": "Palau",
+	"PY": "Paraguay",
+	"QA": "Qatar",
+	"RE": "Réunion",
+	"RO": "Romania",
+	"RS": "Serbia",
+	"RU": "Russia",
+	"RW": "Rwanda",
+	"SA": "Saudi Arabia",
+	"SB": "Solomon Islands",
+	"SC": "Seychelles",
+	"SD": "Sudan",
+	"SE": "Sweden",
+	"SG": "Singapore",
+	"SH": "St. Helena",
+	"SI": "Slovenia",
+	"SJ": "Svalbard & Jan Mayen",
+	"SK": "Slovakia",
+	"SL": "Sierra Leone",
+	"SM": "San Marino",
+	"SN": "Senegal",
+	"SO": "Somalia",
+	"SR": "Suriname",
+	"SS": "South Sudan",
+	"ST": "São Tomé & Príncipe",
+	"SV": "El Salvador",
+	"SX": "Sint Maarten",
+	"SY": "Syria",
+	"SZ": "Eswatini",
+	"TC": "Turks & Caicos Islands",
+	"TD": "Chad",
+	"TF": "French Southern Territories",
+	"TG": "Togo",
+	"TH": "Thailand",
+	"TJ": "Tajikistan",
+	"TK": "Tokelau",
+	"TL": "Timor-Leste",
+	"TM": "Turkmenistan",
+	"TN": "Tunisia",
+	"TO": "Tonga",
+	"TR": "Türkiye",
+	"TT": "Trinidad & Tobago",
+	"TV": "Tuvalu",
+	"TW": "Taiwan",
+	"TZ": "Tanzania",
+	"UA": "Ukraine",
+	"UG": "Uganda",
+	"UM": "U.S. Outlying Islands",
+	"US": "United States",
+	"UY": "Uruguay",
+	"UZ": "Uzbekistan",
+	"VA": "Vatican City",
+	"VC": "St. Vincent & Grenadines",
+	"VE": "Venezuela",
+	"VG": "British Virgin Islands",
+	"VI": "U.S. Virgin Islands",
+	"VN": "Vietnam",
+	"VU": "Vanuatu",
+	"WF": "Wallis & Futuna",
+	"WS": "Samoa",
+	"XK": "Kosovo",
+	"YE": "Yemen",
+	"YT": "Mayotte",
+	"ZA": "South Africa",
+	"ZM": "Zambia",
+	"ZW": "Zimbabwe",
+}
+
+// Other spellings seen in old clients and geolocation services, lowercase
+var countryAliases = map[string]string{
+	"czech republic":                         "CZ",
+	"turkey":                                 "TR",
+	"hong kong sar china":                    "HK",
+	"macau":                                  "MO",
+	"macao sar china":                        "MO",
+	"korea":                                  "KR",
+	"republic of korea":                      "KR",
+	"korea, republic of":                     "KR",
+	"korea, south":                           "KR",
+	"korea, democratic people's republic of": "KP",
+	"russian federation":                     "RU",
+	"viet nam":                               "VN",
+	"united states of america":               "US",
+	"usa":                                    "US",
+	"uk":                                     "GB",
+	"great britain":                          "GB",
+	"england":                                "GB",
+	"iran, islamic republic of":              "IR",
+	"palestinian territories":                "PS",
+	"palestine, state of":                    "PS",
+	"the netherlands":                        "NL",
+	"holland":                                "NL",
+	"cote d'ivoire":                          "CI",
+	"ivory coast":                            "CI",
+	"macedonia":                              "MK",
+	"swaziland":                              "SZ",
+	"burma":                                  "MM",
+	"myanmar":                                "MM",
+	"cabo verde":                             "CV",
+	"congo - kinshasa":                       "CD",
+	"democratic republic of the congo":       "CD",
+	"congo, the democratic republic of the":  "CD",
+	"congo - brazzaville":                    "CG",
+	"republic of the congo":                  "CG",
+	"lao people's democratic republic":       "LA",
+	"syrian arab republic":                   "SY",
+	"tanzania, united republic of":           "TZ",
+	"moldova, republic of":                   "MD",
+	"bolivia, plurinational state of":        "BO",
+	"venezuela, bolivarian republic of":      "VE",
+	"taiwan, province of china":              "TW",
+	"brunei darussalam":                      "BN",
+	"east timor":                             "TL",
+	"holy see":                               "VA",
+	"micronesia, federated states of":        "FM",
+	"the bahamas":                            "BS",
+	"the gambia":                             "GM",
+	"unknown":                                "ZZ",
+}
+
+var countryCodesByName = buildCountryIndex()
+
+func normalizeCountryName(name string) string {
+	name = strings.ToLower(strings.TrimSpace(name))
+	name = strings.ReplaceAll(name, "&", "and")
+	return strings.ReplaceAll(name, "’", "'")
+}
+
+func buildCountryIndex() map[string]string {
+	index := make(map[string]string, len(countryNames)+len(countryAliases))
+	for code, name := range countryNames {
+		index[normalizeCountryName(name)] = code
+	}
+	for alias, code := range countryAliases {
+		index[alias] = code
+	}
+	return index
+}
+
+// ISO code for a code in any case or a country name; unknownCountry for
+// anything else, including empty values
+func normalizeCountry(value string) string {
+	code := strings.ToUpper(strings.TrimSpace(value))
+	if _, ok := countryNames[code]; ok {
+		return code
+	}
+	if code, ok := countryCodesByName[normalizeCountryName(value)]; ok {
+		return code
+	}
+	return unknownCountry
+}
+
+// Convert data stored with country names to codes, merging spellings of the
+// same country. Runs on every start; once everything is a code it changes
+// nothing. Caller holds the lock.
+func migrateCountries() error {
+	// Click totals
+	merged := make(map[string]int64, len(storage.countryClicks))
+	var legacy []string
+	for country, clicks := range storage.countryClicks {
+		code := normalizeCountry(country)
+		if code != country {
+			legacy = append(legacy, country)
+		}
+		merged[code] += clicks
+	}
+	if len(legacy) > 0 {
+		fields := make(map[string]interface{}, len(merged))
+		for code, clicks := range merged {
+			fields[code] = clicks
+		}
+		_, err := redisClient.TxPipelined(ctx, func(pipe redis.Pipeliner) error {
+			pipe.HDel(ctx, redisKeyClicks, legacy...)
+			pipe.HSet(ctx, redisKeyClicks, fields)
+			return nil
+		})
+		if err != nil {
+			return fmt.Errorf("failed to migrate country clicks: %v", err)
+		}
+		storage.countryClicks = merged
+		log.Printf("🌍 Migrated %d country names to codes", len(legacy))
+	}
+
+	// Player profiles are saved with the next periodic save
+	for id, player := range storage.players {
+		if code := normalizeCountry(player.Country); code != player.Country {
+			player.Country = code
+			storage.players[id] = player
+			storage.dirtyPlayers[id] = true
+		}
+	}
+
+	// High scores. Anonymous players are keyed by nickname + country, so their
+	// keys change and the stored tables are replaced rather than updated.
+	for bucket, period := range currentHighScoreBuckets(time.Now()) {
+		table, changed := migrateHighScores(storage.highScores[bucket])
+		if !changed {
+			continue
+		}
+
+		redisKey := redisKeyHighScores + ":" + bucket
+		_, err := redisClient.TxPipelined(ctx, func(pipe redis.Pipeliner) error {
+			pipe.Del(ctx, redisKey)
+			if len(table) > 0 {
+				pipe.HSet(ctx, redisKey, highScoreFields(table))
+			}
+			if ttl := highScoreTTL(period); ttl > 0 {
+				pipe.Expire(ctx, redisKey, ttl)
+			}
+			return nil
+		})
+		if err != nil {
+			return fmt.Errorf("failed to migrate %s high scores: %v", period, err)
+		}
+		storage.highScores[bucket] = table
+	}
+	return nil
+}
+
+// High score table with country codes, keeping each player's best score when
+// two spellings of their country merge. Reports whether anything changed.
+func migrateHighScores(table map[string]HighScore) (map[string]HighScore, bool) {
+	migrated := make(map[string]HighScore, len(table))
+	changed := false
+	for key, entry := range table {
+		if code := normalizeCountry(entry.Country); code != entry.Country {
+			entry.Country = code
+			if !strings.HasPrefix(key, "id:") {
+				key = playerKey(entry.Nickname, code)
+			}
+			changed = true
+		}
+		if current, exists := migrated[key]; exists {
+			if current.Score > entry.Score || (current.Score == entry.Score && current.Time <= entry.Time) {
+				continue
+			}
+		}
+		migrated[key] = entry
+	}
+	return migrated, changed
+}
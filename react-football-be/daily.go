@@ -0,0 +1,54 @@
+package main
+
+import "math"
+
+// Server-side copy of the daily challenge generator (src/game/daily.js), so
+// challenge runs can be replayed under the same wind, gravity and obstacles.
+
+// FNV-1a hash of the challenge id, used as the seed
+func hashString(value string) uint32 {
+	hash := uint32(2166136261)
+	for _, c := range value {
+		hash ^= uint32(c)
+		hash *= 16777619
+	}
+	return hash
+}
+
+// Mulberry32, bit for bit the same as createRandom() in daily.js
+func newRandom(seed uint32) func() float64 {
+	state := seed
+	return func() float64 {
+		state += 0x6d2b79f5
+		t := state
+		t = (t ^ (t >> 15)) * (t | 1)
+		t ^= t + (t^(t>>7))*(t|61)
+		return float64(t^(t>>14)) / 4294967296
+	}
+}
+
+func dailyChallengePhysics(id string) PhysicsConfig {
+	random := newRandom(hashString(id))
+	between := func(min, max float64) float64 {
+		return min + random()*(max-min)
+	}
+
+	config := defaultPhysics
+	config.Gravity = between(1.0, 1.6)
+	config.Wind = between(-0.08, 0.08)
+
+	count := 1 + int(math.Floor(random()*3))
+	config.Obstacles = make([]Obstacle, 0, count)
+	for i := 0; i < count; i++ {
+		config.Obstacles = append(config.Obstacles, Obstacle{
+			X:      between(0.15, 0.85),
+			Y:      between(0.45, 0.8),
+			Radius: math.Round(between(24, 48)),
+			RangeX: between(0, 0.25),
+			RangeY: between(0, 0.08),
+			Period: math.Round(between(2000, 6000)),
+			Phase:  between(0, math.Pi*2),
+		})
+	}
+	return config
+}
@@ -0,0 +1,27 @@
+package main
+
+// Server-side copy of the difficulty presets (src/game/difficulty.js), so
+// classic runs can be replayed with the ball the player had. The daily
+// challenge has its own rules and no difficulty.
+
+const defaultDifficulty = "normal"
+
+var difficulties = []string{"easy", defaultDifficulty, "hard"}
+
+// Physics for a difficulty; false when there is no such difficulty
+func difficultyPhysics(difficulty string) (PhysicsConfig, bool) {
+	config := defaultPhysics
+	switch difficulty {
+	case "easy":
+		config.Radius = 60
+		config.Gravity = 0.9
+	case defaultDifficulty:
+	case "hard":
+		config.Radius = 38
+		config.Gravity = 1.5
+		config.Wind = 0.03
+	default:
+		return config, false
+	}
+	return config, true
+}
@@ -0,0 +1,356 @@
+package main
+
+import (
+	"crypto/sha256"
+	"encoding/hex"
+	"encoding/json"
+	"fmt"
+	"log"
+	"net/http"
+	"sort"
+	"strconv"
+	"strings"
+	"time"
+
+	"github.com/go-redis/redis/v8"
+)
+
+// High score periods
+const (
+	periodAllTime = "all"
+	periodDaily   = "daily"
+	periodWeekly  = "weekly"
+
+	// Daily challenge runs are played under different rules and get their own table
+	periodChallenge = "challenge"
+)
+
+// Tables a regular game counts towards
+var regularPeriods = []string{periodAllTime, periodDaily, periodWeekly}
+var allPeriods = []string{periodAllTime, periodDaily, periodWeekly, periodChallenge}
+
+const (
+	redisKeyHighScores = "football:highscores" // + ":<bucket>"
+	defaultHighScores  = 10
+	maxHighScores      = 100
+	highScoreTableSize = maxHighScores + 20 // Entries kept per table: what can be shown, plus a margin
+	maxNicknameLength  = 20
+	defaultNickname    = "Anonymous"
+)
+
+type HighScore struct {
+	Nickname string `json:"nickname"`
+	Country  string `json:"country"`
+	Avatar   string `json:"avatar"`
+	Score    int    `json:"score"`
+	Time     int64  `json:"time"`             // Unix ms when the score was set
+	Player   string `json:"player,omitempty"` // Stable row id, only set in responses, see publicPlayerKey()
+}
+
+// Bucket names for a period, e.g. "all", "day:2024-06-01", "week:2024-W22".
+// Daily and weekly tables start fresh whenever the bucket name changes.
+// Other difficulties than normal get tables of their own ("hard:all"), except
+// for the daily challenge, which is the same for everyone.
+func highScoreBucket(period, difficulty string, now time.Time) string {
+	now = now.UTC()
+	var bucket string
+	switch period {
+	case periodDaily:
+		bucket = "day:" + now.Format("2006-01-02")
+	case periodWeekly:
+		year, week := now.ISOWeek()
+		bucket = fmt.Sprintf("week:%d-W%02d", year, week)
+	case periodChallenge:
+		return "challenge:" + challengeID(now)
+	default:
+		bucket = periodAllTime
+	}
+	if difficulty == defaultDifficulty {
+		return bucket
+	}
+	return difficulty + ":" + bucket
+}
+
+// Every current table, bucket -> period. Yesterday's challenge stays current
+// while runs started before midnight can still come in.
+func currentHighScoreBuckets(now time.Time) map[string]string {
+	buckets := make(map[string]string, len(allPeriods)*len(difficulties)+1)
+	for _, period := range allPeriods {
+		for _, difficulty := range difficulties {
+			buckets[highScoreBucket(period, difficulty, now)] = period
+		}
+	}
+	buckets[highScoreBucket(periodChallenge, defaultDifficulty, now.Add(-sessionTTL))] = periodChallenge
+	return buckets
+}
+
+// How long a bucket is kept in Redis after its last write
+func highScoreTTL(period string) time.Duration {
+	switch period {
+	case periodDaily, periodChallenge:
+		return 48 * time.Hour
+	case periodWeekly:
+		return 8 * 24 * time.Hour
+	default:
+		return 0
+	}
+}
+
+// Daily challenge id for a time, matching the client's UTC date seed
+func challengeID(now time.Time) string {
+	return now.UTC().Format("2006-01-02")
+}
+
+// Start of a challenge's day, e.g. to pick its table
+func challengeDay(id string) (time.Time, bool) {
+	day, err := time.Parse("2006-01-02", id)
+	return day, err == nil
+}
+
+// Time picking the tables of a run recorded at `recorded` (Unix ms): its
+// challenge's day for daily challenge runs, otherwise when it was recorded
+func tablesAt(recorded int64, challengeStart time.Time) time.Time {
+	if !challengeStart.IsZero() {
+		return challengeStart
+	}
+	return time.UnixMilli(recorded)
+}
+
+// Id of a table entry that clients can key rows by. The table key itself
+// can't be shown: for registered players it holds their secret player ID.
+func publicPlayerKey(key string) string {
+	sum := sha256.Sum256([]byte(key))
+	return hex.EncodeToString(sum[:8])
+}
+
+// Anonymous players are identified by nickname + country
+func playerKey(nickname, country string) string {
+	return strings.ToLower(nickname) + "|" + country
+}
+
+func sanitizeNickname(nickname string) string {
+	nickname = strings.TrimSpace(nickname)
+	if nickname == "" {
+		return defaultNickname
+	}
+	if runes := []rune(nickname); len(runes) > maxNicknameLength {
+		nickname = string(runes[:maxNicknameLength])
+	}
+	return nickname
+}
+
+// Record a finished game in the given period tables, keeping each player's
+// best. `at` picks the tables: the day and week the run was played in, or the
+// challenge's day.
+func recordHighScore(key string, entry HighScore, periods []string, difficulty string, at time.Time) {
+	storage.mu.Lock()
+	defer storage.mu.Unlock()
+
+	for _, period := range periods {
+		bucket := highScoreBucket(period, difficulty, at)
+		table, ok := storage.highScores[bucket]
+		if !ok {
+			table = make(map[string]HighScore)
+			storage.highScores[bucket] = table
+		}
+		if current, exists := table[key]; exists && current.Score >= entry.Score {
+			// Keep the best score but pick up profile changes
+			if current.Nickname != entry.Nickname || current.Country != entry.Country || current.Avatar != entry.Avatar {
+				current.Nickname, current.Country, current.Avatar = entry.Nickname, entry.Country, entry.Avatar
+				table[key] = current
+				storage.dirtyHighScores[bucket] = period
+			}
+			continue
+		}
+		table[key] = entry
+		storage.dirtyHighScores[bucket] = period
+		trimHighScoreTable(bucket, table)
+	}
+
+	pruneHighScoreBuckets(time.Now())
+}
+
+// Take a recorded run off the tables it went to (picked by `at`, as in
+// recordHighScore). The player's entry is only removed if it still is that
+// run, not a better one set since.
+func removeHighScore(run RecordedRun, periods []string, difficulty string, at time.Time) {
+	storage.mu.Lock()
+	defer storage.mu.Unlock()
+
+	for _, period := range periods {
+		bucket := highScoreBucket(period, difficulty, at)
+		table, ok := storage.highScores[bucket]
+		if !ok {
+			continue
+		}
+		if current, exists := table[run.Key]; exists && current.Score == run.Score && current.Time == run.Time {
+			delete(table, run.Key)
+			storage.removedHighScores[bucket] = append(storage.removedHighScores[bucket], run.Key)
+		}
+	}
+}
+
+// Drop daily and weekly tables that are no longer current. Caller holds the lock.
+func pruneHighScoreBuckets(now time.Time) {
+	current := currentHighScoreBuckets(now)
+	for bucket := range storage.highScores {
+		if _, ok := current[bucket]; !ok {
+			delete(storage.highScores, bucket)
+		}
+	}
+}
+
+// Ranking of high scores: highest score first, earlier score wins ties
+func betterHighScore(a, b HighScore) bool {
+	if a.Score != b.Score {
+		return a.Score > b.Score
+	}
+	return a.Time < b.Time
+}
+
+// Keep only the best highScoreTableSize entries of a table, so tables don't
+// grow with every player who ever played. Caller holds the lock.
+func trimHighScoreTable(bucket string, table map[string]HighScore) {
+	if len(table) <= highScoreTableSize {
+		return
+	}
+	keys := make([]string, 0, len(table))
+	for key := range table {
+		keys = append(keys, key)
+	}
+	sort.Slice(keys, func(i, j int) bool {
+		return betterHighScore(table[keys[i]], table[keys[j]])
+	})
+	for _, key := range keys[highScoreTableSize:] {
+		delete(table, key)
+		storage.removedHighScores[bucket] = append(storage.removedHighScores[bucket], key)
+	}
+}
+
+// Top N scores for a period and difficulty, best first
+func getHighScores(period, difficulty string, limit int) []HighScore {
+	storage.mu.RLock()
+	defer storage.mu.RUnlock()
+
+	table := storage.highScores[highScoreBucket(period, difficulty, time.Now())]
+	result := make([]HighScore, 0, len(table))
+	for key, entry := range table {
+		entry.Player = publicPlayerKey(key)
+		result = append(result, entry)
+	}
+
+	sort.Slice(result, func(i, j int) bool {
+		return betterHighScore(result[i], result[j])
+	})
+
+	if len(result) > limit {
+		result = result[:limit]
+	}
+	return result
+}
+
+// Load the current high score tables from Redis. Caller holds the lock.
+func loadHighScoresFromRedis() error {
+	for bucket := range currentHighScoreBuckets(time.Now()) {
+		data, err := redisClient.HGetAll(ctx, redisKeyHighScores+":"+bucket).Result()
+		if err != nil && err != redis.Nil {
+			return fmt.Errorf("failed to load high scores from Redis: %v", err)
+		}
+
+		table := make(map[string]HighScore, len(data))
+		for key, raw := range data {
+			var entry HighScore
+			if err := json.Unmarshal([]byte(raw), &entry); err == nil {
+				table[key] = entry
+			}
+		}
+		// Tables saved before they were trimmed shrink on the next save
+		trimHighScoreTable(bucket, table)
+		storage.highScores[bucket] = table
+		log.Printf("🏅 Loaded %d %s high scores from Redis", len(table), bucket)
+	}
+	return nil
+}
+
+// Redis hash fields for a high score table
+func highScoreFields(table map[string]HighScore) map[string]interface{} {
+	fields := make(map[string]interface{}, len(table))
+	for key, entry := range table {
+		raw, err := json.Marshal(entry)
+		if err != nil {
+			continue
+		}
+		fields[key] = raw
+	}
+	return fields
+}
+
+// Save changed high score tables to Redis
+func saveHighScoresToRedis() error {
+	storage.mu.Lock()
+	defer storage.mu.Unlock()
+
+	// Removals first: a removed key may have been recorded again since
+	for bucket, keys := range storage.removedHighScores {
+		if err := redisClient.HDel(ctx, redisKeyHighScores+":"+bucket, keys...).Err(); err != nil {
+			return fmt.Errorf("failed to remove high scores from Redis: %v", err)
+		}
+		delete(storage.removedHighScores, bucket)
+	}
+
+	for bucket, period := range storage.dirtyHighScores {
+		table, ok := storage.highScores[bucket]
+		if !ok || len(table) == 0 {
+			delete(storage.dirtyHighScores, bucket)
+			continue
+		}
+
+		redisKey := redisKeyHighScores + ":" + bucket
+		if err := redisClient.HSet(ctx, redisKey, highScoreFields(table)).Err(); err != nil {
+			return fmt.Errorf("failed to save high scores to Redis: %v", err)
+		}
+		if ttl := highScoreTTL(period); ttl > 0 {
+			redisClient.Expire(ctx, redisKey, ttl)
+		}
+		delete(storage.dirtyHighScores, bucket)
+	}
+	return nil
+}
+
+// Handler: Get high scores
+// GET /api/highscores?period=all|daily|weekly|challenge&difficulty=easy|normal|hard&limit=10
+func handleHighScores(w http.ResponseWriter, r *http.Request) {
+	period := r.URL.Query().Get("period")
+	switch period {
+	case periodAllTime, periodDaily, periodWeekly, periodChallenge:
+	case "":
+		period = periodAllTime
+	default:
+		http.Error(w, "Invalid period", http.StatusBadRequest)
+		return
+	}
+
+	difficulty := r.URL.Query().Get("difficulty")
+	if difficulty == "" {
+		difficulty = defaultDifficulty
+	} else if _, ok := difficultyPhysics(difficulty); !ok {
+		http.Error(w, "Invalid difficulty", http.StatusBadRequest)
+		return
+	}
+
+	limit := defaultHighScores
+	if value := r.URL.Query().Get("limit"); value != "" {
+		parsed, err := strconv.Atoi(value)
+		if err != nil || parsed < 1 {
+			http.Error(w, "Invalid limit", http.StatusBadRequest)
+			return
+		}
+		limit = parsed
+	}
+	if limit > maxHighScores {
+		limit = maxHighScores
+	}
+
+	w.Header().Set("Content-Type", "application/json")
+	json.NewEncoder(w).Encode(getHighScores(period, difficulty, limit))
+}
@@ -0,0 +1,41 @@
+package main
+
+import (
+	"fmt"
+	"testing"
+	"time"
+)
+
+func TestHighScoreTablesAreTrimmed(t *testing.T) {
+	now := time.Now()
+	bucket := highScoreBucket(periodAllTime, "easy", now)
+	defer func() {
+		delete(storage.highScores, bucket)
+		delete(storage.dirtyHighScores, bucket)
+		delete(storage.removedHighScores, bucket)
+	}()
+
+	// Every player scores once, worst first
+	players := highScoreTableSize + 30
+	for i := 1; i <= players; i++ {
+		entry := HighScore{Nickname: fmt.Sprint("player", i), Country: "MA", Score: i, Time: now.UnixMilli()}
+		recordHighScore(playerKey(entry.Nickname, entry.Country), entry, []string{periodAllTime}, "easy", now)
+	}
+
+	table := storage.highScores[bucket]
+	if len(table) != highScoreTableSize {
+		t.Fatalf("table has %d entries, want %d", len(table), highScoreTableSize)
+	}
+	if _, kept := table[playerKey("player1", "MA")]; kept {
+		t.Error("the worst score was kept")
+	}
+	if _, kept := table[playerKey(fmt.Sprint("player", players), "MA")]; !kept {
+		t.Error("the best score was dropped")
+	}
+	if removed := len(storage.removedHighScores[bucket]); removed != players-highScoreTableSize {
+		t.Errorf("%d entries queued for removal from Redis, want %d", removed, players-highScoreTableSize)
+	}
+	if top := getHighScores(periodAllTime, "easy", maxHighScores); len(top) != maxHighScores || top[0].Score != players {
+		t.Errorf("top scores start with %d and have %d entries", top[0].Score, len(top))
+	}
+}
@@ -27,7 +27,8 @@ var (
 	redisPassword  = getEnv("REDIS_PASSWORD", "")
 	redisDB        = getEnvInt("REDIS_DB", 0)
 	rateLimitTime  = 100 * time.Millisecond // Minimum time between clicks per IP
-	saveInterval   = 10 * time.Minute       // Save to Redis every 10 minutes
+	countryHeaders = strings.Split(getEnv("COUNTRY_HEADERS", "CF-IPCountry,X-Country-Code"), ",")
+	saveInterval   = 10 * time.Minute // Save to Redis every 10 minutes
 )
 
 // Redis keys
@@ -38,13 +39,27 @@ const (
 
 // Data structures
 type ClickPayload struct {
-	Country string `json:"country"`
-	Clicks  int    `json:"clicks"`
+	PlayerID  string `json:"playerId"`
+	SessionID string `json:"sessionId"`
+	Token     string `json:"token"`
+	Country   string `json:"country"`
+	Clicks    int    `json:"clicks"`
 }
 
 type ScorePayload struct {
-	Country string `json:"country"`
-	Score   int    `json:"score"`
+	PlayerID   string `json:"playerId"`
+	Nickname   string `json:"nickname"`
+	Country    string `json:"country"`
+	Score      int    `json:"score"`
+	Mode       string `json:"mode"`       // "daily" for daily challenge runs
+	Challenge  string `json:"challenge"`  // Daily challenge id (UTC date)
+	Difficulty string `json:"difficulty"` // "easy", "normal" (default) or "hard"; not used by the daily challenge
+
+	// The run itself, replayed to check the score
+	SessionID string `json:"sessionId"`
+	Token     string `json:"token"`
+	Bounds    Bounds `json:"bounds"`
+	Kicks     []Kick `json:"kicks"`
 }
 
 type CountryStats struct {
@@ -62,6 +77,13 @@ type Storage struct {
 	lastClickIP   map[string]time.Time // IP -> last click time
 	startTime     time.Time
 	dirty         bool // Flag to track if data changed since last save
+
+	highScores        map[string]map[string]HighScore // bucket -> player key -> best score
+	dirtyHighScores   map[string]string               // bucket -> period, changed since last save
+	removedHighScores map[string][]string             // bucket -> player keys removed since last save
+
+	players      map[string]Player // player ID -> profile
+	dirtyPlayers map[string]bool   // player IDs changed since last save
 }
 
 var (
@@ -70,9 +92,17 @@ var (
 		lastClickIP:   make(map[string]time.Time),
 		startTime:     time.Now(),
 		dirty:         false,
+
+		highScores:        make(map[string]map[string]HighScore),
+		dirtyHighScores:   make(map[string]string),
+		removedHighScores: make(map[string][]string),
+
+		players:      make(map[string]Player),
+		dirtyPlayers: make(map[string]bool),
 	}
-	redisClient *redis.Client
-	ctx         = context.Background()
+	redisClient  *redis.Client
+	redisEnabled bool // Redis was reached at startup, else memory-only mode
+	ctx          = context.Background()
 )
 
 func getEnv(key, defaultValue string) string {
@@ -151,11 +181,27 @@ func loadFromRedis() error {
 	}
 	log.Printf("📈 Total clicks loaded: %d", totalClicks)
 
-	return nil
+	// Load high score tables and players
+	if err := loadHighScoresFromRedis(); err != nil {
+		return err
+	}
+	if err := loadPlayersFromRedis(); err != nil {
+		return err
+	}
+
+	// Data from before countries were stored as codes
+	return migrateCountries()
 }
 
 // Save data to Redis
 func saveToRedis() error {
+	if err := saveHighScoresToRedis(); err != nil {
+		return err
+	}
+	if err := savePlayersToRedis(); err != nil {
+		return err
+	}
+
 	storage.mu.RLock()
 	defer storage.mu.RUnlock()
 
@@ -169,7 +215,7 @@ func saveToRedis() error {
 		for country, clicks := range storage.countryClicks {
 			clicksMap[country] = clicks
 		}
-		
+
 		err := redisClient.HSet(ctx, redisKeyClicks, clicksMap).Err()
 		if err != nil {
 			return fmt.Errorf("failed to save clicks to Redis: %v", err)
@@ -177,7 +223,7 @@ func saveToRedis() error {
 	}
 
 	storage.dirty = false
-	
+
 	// Calculate total for logging
 	var totalClicks int64
 	for _, clicks := range storage.countryClicks {
@@ -227,10 +273,11 @@ func checkRateLimit(ip string) bool {
 }
 
 // Increment country clicks
-func incrementClicks(country string, clicks int64) {
+func incrementClicks(country, playerID string, clicks int64) {
 	storage.mu.Lock()
 	defer storage.mu.Unlock()
 	storage.countryClicks[country] += clicks
+	addPlayerKicks(playerID, clicks)
 	storage.dirty = true // Mark data as changed
 }
 
@@ -308,9 +355,7 @@ func handleClick(w http.ResponseWriter, r *http.Request) {
 	}
 
 	// Validate payload
-	if payload.Country == "" {
-		payload.Country = "Unknown"
-	}
+	payload.Country = normalizeCountry(payload.Country)
 	if payload.Clicks < 1 {
 		payload.Clicks = 1
 	}
@@ -318,8 +363,17 @@ func handleClick(w http.ResponseWriter, r *http.Request) {
 		payload.Clicks = 10 // Max clicks per request
 	}
 
+	// Only count kicks a real game session could have made
+	clicks, err := creditSessionClicks(payload.SessionID, payload.Token, int64(payload.Clicks))
+	if err != nil {
+		http.Error(w, err.Error(), http.StatusForbidden)
+		return
+	}
+
 	// Increment clicks
-	incrementClicks(payload.Country, int64(payload.Clicks))
+	if clicks > 0 {
+		incrementClicks(payload.Country, payload.PlayerID, clicks)
+	}
 
 	// Response
 	w.Header().Set("Content-Type", "application/json")
@@ -335,11 +389,75 @@ func handleScore(w http.ResponseWriter, r *http.Request) {
 		return
 	}
 
-	// Log high scores (could store in database)
-	if payload.Score > 100 {
-		log.Printf("High score: %d from %s", payload.Score, payload.Country)
+	// Validate payload
+	if payload.Score < 1 {
+		http.Error(w, "Invalid score", http.StatusBadRequest)
+		return
+	}
+	payload.Country = normalizeCountry(payload.Country)
+
+	periods := regularPeriods
+	if payload.Difficulty == "" {
+		payload.Difficulty = defaultDifficulty
+	}
+	physics, ok := difficultyPhysics(payload.Difficulty)
+	if !ok {
+		http.Error(w, "Invalid difficulty", http.StatusBadRequest)
+		return
+	}
+	var challengeStart time.Time
+	if payload.Mode == "daily" {
+		// Only the challenge of the day the run was played on, see verifyRun
+		if challengeStart, ok = challengeDay(payload.Challenge); !ok {
+			http.Error(w, "Invalid challenge", http.StatusBadRequest)
+			return
+		}
+		periods = []string{periodChallenge}
+		physics = dailyChallengePhysics(payload.Challenge)
+		payload.Difficulty = defaultDifficulty
+	}
+
+	entry := HighScore{
+		Nickname: sanitizeNickname(payload.Nickname),
+		Country:  payload.Country,
+		Avatar:   defaultAvatar,
+		Score:    payload.Score,
+		Time:     time.Now().UnixMilli(),
+	}
+	key := playerKey(entry.Nickname, entry.Country)
+
+	// Registered players are attributed by ID with their saved profile
+	if player, exists := getPlayer(payload.PlayerID); exists {
+		entry.Nickname = player.Nickname
+		entry.Country = player.Country
+		entry.Avatar = player.Avatar
+		key = "id:" + player.ID
+	}
+
+	// Replay the run before trusting the score
+	claimed, err := verifyRun(payload, physics, RecordedRun{Key: key, Score: payload.Score, Time: entry.Time})
+	if err != nil {
+		if err == errInvalidSession {
+			http.Error(w, err.Error(), http.StatusForbidden)
+		} else if err == errChallengeExpired {
+			http.Error(w, "Challenge expired", http.StatusBadRequest)
+		} else {
+			log.Printf("🚫 Rejected score %d: %v", payload.Score, err)
+			http.Error(w, "Score rejected: "+err.Error(), http.StatusUnprocessableEntity)
+		}
+		return
+	}
+
+	// A newly registered player claiming their anonymous run: the run moves
+	// to them instead of showing up twice
+	if claimed != nil {
+		removeHighScore(*claimed, periods, payload.Difficulty, tablesAt(claimed.Time, challengeStart))
+		entry.Score = claimed.Score
+		entry.Time = claimed.Time
 	}
 
+	recordHighScore(key, entry, periods, payload.Difficulty, tablesAt(entry.Time, challengeStart))
+
 	// Response
 	w.Header().Set("Content-Type", "application/json")
 	json.NewEncoder(w).Encode(map[string]string{"status": "ok"})
@@ -353,6 +471,23 @@ func handleLeaderboard(w http.ResponseWriter, r *http.Request) {
 	json.NewEncoder(w).Encode(leaderboard)
 }
 
+// Handler: Country lookup
+// Reads the ISO country code set by the reverse proxy / CDN in front of us, so
+// clients never have to call third-party geolocation services.
+func handleCountry(w http.ResponseWriter, r *http.Request) {
+	for _, header := range countryHeaders {
+		// Cloudflare's "XX" (unknown) and "T1" (Tor) aren't countries
+		code := normalizeCountry(r.Header.Get(strings.TrimSpace(header)))
+		if code != unknownCountry {
+			w.Header().Set("Content-Type", "application/json")
+			json.NewEncoder(w).Encode(map[string]string{"code": code})
+			return
+		}
+	}
+
+	http.Error(w, "Country unknown", http.StatusNotFound)
+}
+
 // Handler: Health check
 func handleHealth(w http.ResponseWriter, r *http.Request) {
 	// Check Redis connection
@@ -374,6 +509,8 @@ func main() {
 		log.Printf("⚠️  Warning: Redis not available: %v", err)
 		log.Println("📝 Running in memory-only mode (data will not persist)")
 	} else {
+		redisEnabled = true
+
 		// Load existing data from Redis
 		if err := loadFromRedis(); err != nil {
 			log.Printf("⚠️  Warning: Failed to load from Redis: %v", err)
@@ -391,30 +528,38 @@ func main() {
 			<-sigChan
 			log.Println("\n🛑 Received shutdown signal...")
 			close(stopChan)
-			
+
 			// Final save
 			if err := saveToRedis(); err != nil {
 				log.Printf("❌ Error in final save: %v", err)
 			} else {
 				log.Println("✅ Data saved successfully")
 			}
-			
+
 			// Close Redis connection
 			if redisClient != nil {
 				redisClient.Close()
 			}
-			
+
 			os.Exit(0)
 		}()
 	}
 
+	// Push leaderboard changes to stream clients
+	go startLeaderboardBroadcast()
+
 	router := mux.NewRouter()
 
 	// API routes
 	api := router.PathPrefix("/api").Subrouter()
+	api.HandleFunc("/session", handleSession).Methods("POST")
 	api.HandleFunc("/click", handleClick).Methods("POST")
 	api.HandleFunc("/score", handleScore).Methods("POST")
 	api.HandleFunc("/leaderboard", handleLeaderboard).Methods("GET")
+	api.HandleFunc("/leaderboard/stream", handleLeaderboardStream).Methods("GET")
+	api.HandleFunc("/highscores", handleHighScores).Methods("GET")
+	api.HandleFunc("/player", handlePlayer).Methods("POST")
+	api.HandleFunc("/country", handleCountry).Methods("GET")
 	api.HandleFunc("/health", handleHealth).Methods("GET")
 
 	// CORS configuration
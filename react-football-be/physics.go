@@ -0,0 +1,159 @@
+package main
+
+import "math"
+
+// Server-side copy of the frontend ball physics (src/game/physics.js), used to
+// replay submitted runs. Keep the two in step: any rule change on one side
+// makes honest runs fail the replay on the other.
+
+const (
+	targetFrameTime = 1000.0 / 60
+	fixedStep       = targetFrameTime / 2
+)
+
+type Obstacle struct {
+	X      float64 `json:"x"`
+	Y      float64 `json:"y"`
+	Radius float64 `json:"radius"`
+	RangeX float64 `json:"rangeX"`
+	RangeY float64 `json:"rangeY"`
+	Period float64 `json:"period"`
+	Phase  float64 `json:"phase"`
+}
+
+type PhysicsConfig struct {
+	Gravity        float64
+	Radius         float64
+	RotationFactor float64
+	BounceFactor   float64
+	Friction       float64
+	KickStrength   float64
+	Wind           float64
+	Obstacles      []Obstacle
+}
+
+var defaultPhysics = PhysicsConfig{
+	Gravity:        1.2,
+	Radius:         48,
+	RotationFactor: 4,
+	BounceFactor:   0.6,
+	Friction:       0.99,
+	KickStrength:   25,
+}
+
+// World the run was played in, in world units rather than pixels
+// (src/game/world.js): always worldHeight tall, and as wide as the player's
+// screen shape within the aspect limits
+type Bounds struct {
+	Width  float64 `json:"width"`
+	Height float64 `json:"height"`
+}
+
+const (
+	worldHeight    = 800
+	minWorldAspect = 0.45
+	maxWorldAspect = 2.4
+)
+
+// Whether a run's bounds are a world the game can produce
+func validWorld(bounds Bounds) bool {
+	return bounds.Height == worldHeight &&
+		bounds.Width >= math.Round(worldHeight*minWorldAspect) &&
+		bounds.Width <= math.Round(worldHeight*maxWorldAspect) &&
+		bounds.Width == math.Round(bounds.Width)
+}
+
+// Only the parts of the ball state that affect its path
+type BallState struct {
+	X, Y, VX, VY float64
+	Time         float64 // Simulated ms since the ball was put in play
+}
+
+type PhysicsEvent struct {
+	Type string
+}
+
+func newBall(bounds Bounds, config PhysicsConfig) BallState {
+	return BallState{X: bounds.Width/2 - config.Radius, Y: 100}
+}
+
+func obstaclePosition(o Obstacle, t float64, bounds Bounds) (x, y float64) {
+	angle := (t/o.Period)*math.Pi*2 + o.Phase
+	return (o.X + o.RangeX*math.Sin(angle)) * bounds.Width,
+		(o.Y + o.RangeY*math.Cos(angle)) * bounds.Height
+}
+
+// Advance the ball by one fixed step
+func stepBall(s BallState, bounds Bounds, config PhysicsConfig) (BallState, []PhysicsEvent) {
+	var events []PhysicsEvent
+	r := config.Radius
+	delta := fixedStep / targetFrameTime
+
+	t := s.Time + fixedStep
+	vy := s.VY - config.Gravity*delta
+	vx := s.VX*math.Pow(config.Friction, delta) + config.Wind*delta
+	x := s.X + vx*delta
+	y := s.Y + vy*delta
+
+	for _, o := range config.Obstacles {
+		ox, oy := obstaclePosition(o, t, bounds)
+		dx := x + r - ox
+		dy := y + r - oy
+		distance := math.Sqrt(dx*dx + dy*dy)
+		minDistance := r + o.Radius
+		if distance >= minDistance || distance == 0 {
+			continue
+		}
+
+		nx := dx / distance
+		ny := dy / distance
+		x += nx * (minDistance - distance)
+		y += ny * (minDistance - distance)
+
+		normalSpeed := vx*nx + vy*ny
+		if normalSpeed < 0 {
+			events = append(events, PhysicsEvent{Type: "obstacleHit"})
+			vx -= (1 + config.BounceFactor) * normalSpeed * nx
+			vy -= (1 + config.BounceFactor) * normalSpeed * ny
+		}
+	}
+
+	if y <= 0 {
+		events = append(events, PhysicsEvent{Type: "groundHit"})
+		y, vx, vy = 0, 0, 0
+	}
+
+	maxX := bounds.Width - r*2
+	if x < 0 {
+		events = append(events, PhysicsEvent{Type: "wallHit"})
+		x = 0
+		vx = -vx * config.BounceFactor
+	} else if x > maxX {
+		events = append(events, PhysicsEvent{Type: "wallHit"})
+		x = maxX
+		vx = -vx * config.BounceFactor
+	}
+
+	maxY := bounds.Height - r*2
+	if y > maxY {
+		events = append(events, PhysicsEvent{Type: "ceilingHit"})
+		y = maxY
+		vy = -vy * config.BounceFactor
+	}
+
+	return BallState{X: x, Y: y, VX: vx, VY: vy, Time: t}, events
+}
+
+// Apply a kick, see kick() in physics.js
+func kickBall(s BallState, k Kick, config PhysicsConfig) BallState {
+	clickEffect := -k.X / config.Radius
+	swipeEffect := -k.DX * 0.3
+	kickVX := clickEffect*config.KickStrength*0.6 + swipeEffect
+
+	verticalBoost := math.Max(0, k.Y/config.Radius) * 5
+	kickVY := config.KickStrength + verticalBoost
+
+	s.VX += kickVX
+	s.VY = math.Max(s.VY+kickVY, kickVY)
+	return s
+}
@@ -0,0 +1,167 @@
+package main
+
+import (
+	"crypto/rand"
+	"encoding/hex"
+	"encoding/json"
+	"fmt"
+	"log"
+	"net/http"
+	"strings"
+	"time"
+
+	"github.com/go-redis/redis/v8"
+)
+
+const (
+	redisKeyPlayers = "football:players"
+	maxAvatarLength = 8 // Runes, so multi-codepoint emoji still fit
+	defaultAvatar   = "⚽"
+)
+
+// Lightweight player profile. The ID is issued by the server and kept by the
+// client in localStorage; it is never shown on the public leaderboard.
+type Player struct {
+	ID       string `json:"id"`
+	Nickname string `json:"nickname"`
+	Country  string `json:"country"`
+	Avatar   string `json:"avatar"`
+	Kicks    int64  `json:"kicks"`
+	Created  int64  `json:"created"` // Unix ms
+}
+
+type PlayerPayload struct {
+	ID       string `json:"id"`
+	Nickname string `json:"nickname"`
+	Country  string `json:"country"`
+	Avatar   string `json:"avatar"`
+}
+
+func newPlayerID() (string, error) {
+	buf := make([]byte, 16)
+	if _, err := rand.Read(buf); err != nil {
+		return "", err
+	}
+	return hex.EncodeToString(buf), nil
+}
+
+func sanitizeAvatar(avatar string) string {
+	avatar = strings.TrimSpace(avatar)
+	if avatar == "" {
+		return defaultAvatar
+	}
+	if runes := []rune(avatar); len(runes) > maxAvatarLength {
+		avatar = string(runes[:maxAvatarLength])
+	}
+	return avatar
+}
+
+// Create a new player, or update an existing one when the payload carries a known ID
+func upsertPlayer(payload PlayerPayload) (Player, error) {
+	storage.mu.Lock()
+	defer storage.mu.Unlock()
+
+	player, exists := storage.players[payload.ID]
+	if !exists {
+		id, err := newPlayerID()
+		if err != nil {
+			return Player{}, err
+		}
+		player = Player{ID: id, Created: time.Now().UnixMilli()}
+	}
+
+	player.Nickname = sanitizeNickname(payload.Nickname)
+	player.Country = normalizeCountry(payload.Country)
+	player.Avatar = sanitizeAvatar(payload.Avatar)
+
+	storage.players[player.ID] = player
+	storage.dirtyPlayers[player.ID] = true
+	return player, nil
+}
+
+func getPlayer(id string) (Player, bool) {
+	if id == "" {
+		return Player{}, false
+	}
+	storage.mu.RLock()
+	defer storage.mu.RUnlock()
+	player, exists := storage.players[id]
+	return player, exists
+}
+
+// Count kicks towards a player's lifetime total. Caller holds the lock.
+func addPlayerKicks(id string, clicks int64) {
+	player, exists := storage.players[id]
+	if !exists {
+		return
+	}
+	player.Kicks += clicks
+	storage.players[id] = player
+	storage.dirtyPlayers[id] = true
+}
+
+// Load players from Redis. Caller holds the lock.
+func loadPlayersFromRedis() error {
+	data, err := redisClient.HGetAll(ctx, redisKeyPlayers).Result()
+	if err != nil && err != redis.Nil {
+		return fmt.Errorf("failed to load players from Redis: %v", err)
+	}
+
+	for id, raw := range data {
+		var player Player
+		if err := json.Unmarshal([]byte(raw), &player); err == nil {
+			storage.players[id] = player
+		}
+	}
+	log.Printf("👤 Loaded %d players from Redis", len(storage.players))
+	return nil
+}
+
+// Save changed players to Redis
+func savePlayersToRedis() error {
+	storage.mu.Lock()
+	defer storage.mu.Unlock()
+
+	if len(storage.dirtyPlayers) == 0 {
+		return nil
+	}
+
+	fields := make(map[string]interface{}, len(storage.dirtyPlayers))
+	for id := range storage.dirtyPlayers {
+		raw, err := json.Marshal(storage.players[id])
+		if err != nil {
+			continue
+		}
+		fields[id] = raw
+	}
+
+	if err := redisClient.HSet(ctx, redisKeyPlayers, fields).Err(); err != nil {
+		return fmt.Errorf("failed to save players to Redis: %v", err)
+	}
+	storage.dirtyPlayers = make(map[string]bool)
+	return nil
+}
+
+// Handler: Create or update a player profile
+func handlePlayer(w http.ResponseWriter, r *http.Request) {
+	var payload PlayerPayload
+	if err := json.NewDecoder(r.Body).Decode(&payload); err != nil {
+		http.Error(w, "Invalid request body", http.StatusBadRequest)
+		return
+	}
+
+	if strings.TrimSpace(payload.Nickname) == "" {
+		http.Error(w, "Nickname is required", http.StatusBadRequest)
+		return
+	}
+
+	player, err := upsertPlayer(payload)
+	if err != nil {
+		log.Printf("❌ Error creating player: %v", err)
+		http.Error(w, "Failed to save player", http.StatusInternalServerError)
+		return
+	}
+
+	w.Header().Set("Content-Type", "application/json")
+	json.NewEncoder(w).Encode(player)
+}
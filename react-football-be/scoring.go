@@ -0,0 +1,103 @@
+package main
+
+import "math"
+
+// Server-side copy of the scoring rules (src/game/scoring.js)
+
+const (
+	scoreBasePoints    = 1
+	scoreEdgeThreshold = 0.6
+	scoreSaveWindow    = 700.0
+	scoreQuickWindow   = 450.0
+	scoreKicksPerLevel = 5
+	scoreMaxMultiplier = 4
+	scoreDecayTime     = 1500.0
+)
+
+var trickBonus = map[string]int{
+	"edge":    1,
+	"save":    2,
+	"ceiling": 2,
+	"quick":   1,
+}
+
+type scoringState struct {
+	combo          int
+	lastKickTime   float64
+	decayedAt      float64
+	hasKicked      bool
+	lastWallHit    float64
+	hasWallHit     bool
+	ceilingTouched bool
+}
+
+func (s scoringState) multiplier() int {
+	m := 1 + s.combo/scoreKicksPerLevel
+	if m > scoreMaxMultiplier {
+		return scoreMaxMultiplier
+	}
+	return m
+}
+
+func (s scoringState) decay(t float64) scoringState {
+	if !s.hasKicked || s.combo == 0 {
+		return s
+	}
+	levels := int(math.Floor((t - s.decayedAt) / scoreDecayTime))
+	if levels <= 0 {
+		return s
+	}
+	level := s.combo / scoreKicksPerLevel
+	combo := (level - levels) * scoreKicksPerLevel
+	if combo < 0 {
+		combo = 0
+	}
+	if combo == s.combo {
+		return s
+	}
+	s.combo = combo
+	s.decayedAt += float64(levels) * scoreDecayTime
+	return s
+}
+
+func (s scoringState) register(event PhysicsEvent, t float64) scoringState {
+	switch event.Type {
+	case "wallHit":
+		s.lastWallHit = t
+		s.hasWallHit = true
+	case "ceilingHit":
+		s.ceilingTouched = true
+	}
+	return s
+}
+
+// Points for a kick and the state after it
+func (s scoringState) kick(k Kick, t, radius float64) (scoringState, int) {
+	current := s.decay(t)
+	bonus, tricks := 0, 0
+	landed := func(trick string) {
+		bonus += trickBonus[trick]
+		tricks++
+	}
+
+	if math.Abs(k.X)/radius >= scoreEdgeThreshold {
+		landed("edge")
+	}
+	if current.hasWallHit && t-current.lastWallHit <= scoreSaveWindow {
+		landed("save")
+	}
+	if current.ceilingTouched {
+		landed("ceiling")
+	}
+	if current.hasKicked && t-current.lastKickTime <= scoreQuickWindow {
+		landed("quick")
+	}
+
+	next := scoringState{
+		combo:        current.combo + 1 + tricks,
+		lastKickTime: t,
+		decayedAt:    t,
+		hasKicked:    true,
+	}
+	return next, (scoreBasePoints + bonus) * current.multiplier()
+}
@@ -0,0 +1,345 @@
+package main
+
+import (
+	"crypto/hmac"
+	"crypto/rand"
+	"crypto/sha256"
+	"encoding/hex"
+	"encoding/json"
+	"errors"
+	"fmt"
+	"log"
+	"math"
+	"net/http"
+	"strconv"
+	"strings"
+	"sync"
+	"time"
+
+	"github.com/go-redis/redis/v8"
+)
+
+// Game sessions
+//
+// The client opens a session before each run and gets back a signed token.
+// Kicks are only counted for a valid session, at a humanly possible rate, and
+// a score is only recorded together with the run's kick log, which is replayed
+// here through the same physics and scoring rules as the client.
+//
+// Tokens are HMAC-signed, so they stay valid across restarts. The per-session
+// bookkeeping below lives in memory, except that submitted runs are also kept
+// in Redis for the session's lifetime, so a restart doesn't let a run be
+// submitted again.
+
+var sessionSecret = loadSessionSecret()
+
+const (
+	sessionTTL         = 2 * time.Hour
+	maxKicksPerSecond  = 10 // Sustained kick rate a session can be credited for
+	kickBurst          = 20 // Extra kicks allowed on top of the sustained rate
+	maxRunKicks        = 20000
+	minKickInterval    = 50.0 // ms of game time between two kicks
+	runClockSlack      = 5 * time.Second
+	maxKickOffsetRatio = 1.25 // Click offset from the ball center, relative to the radius
+
+	redisKeySession = "football:session" // + ":<id>", runs submitted in the session
+)
+
+var (
+	errInvalidSession   = errors.New("invalid or expired session")
+	errChallengeExpired = errors.New("challenge expired")
+)
+
+// One kick of a run, as logged by the client (src/game/kicklog.js)
+type Kick struct {
+	Step int     `json:"s"` // Physics step the kick happened at
+	X    float64 `json:"x"` // Click offset from the ball center
+	Y    float64 `json:"y"`
+	DX   float64 `json:"dx"` // Swipe
+	DY   float64 `json:"dy"`
+}
+
+type Session struct {
+	ID          string
+	Issued      time.Time
+	Clicks      int64       // Kicks credited to the leaderboard so far
+	Submitted   bool        // A score has been recorded for this run
+	SubmittedBy string      // Player ID the score was recorded for
+	Recorded    RecordedRun // Where the score was recorded
+}
+
+// A run's entry on the high score tables
+type RecordedRun struct {
+	Key   string `json:"key"`   // Player key, see playerKey()
+	Score int    `json:"score"` // Verified score
+	Time  int64  `json:"time"`  // Unix ms it was recorded at
+}
+
+// What Redis keeps of a submitted run
+type submittedRun struct {
+	SubmittedBy string      `json:"submittedBy"`
+	Recorded    RecordedRun `json:"recorded"`
+}
+
+type SessionResponse struct {
+	ID    string `json:"id"`
+	Token string `json:"token"`
+}
+
+var sessions = struct {
+	mu    sync.Mutex
+	byID  map[string]*Session
+	prune time.Time
+}{byID: make(map[string]*Session)}
+
+// SESSION_SECRET should be set in production, and shared between instances
+func loadSessionSecret() []byte {
+	if secret := getEnv("SESSION_SECRET", ""); secret != "" {
+		return []byte(secret)
+	}
+	buf := make([]byte, 32)
+	if _, err := rand.Read(buf); err != nil {
+		log.Fatalf("❌ Failed to generate session secret: %v", err)
+	}
+	log.Println("⚠️  SESSION_SECRET not set, using a random one: sessions won't survive a restart")
+	return buf
+}
+
+func signSession(id string, issued int64) string {
+	mac := hmac.New(sha256.New, sessionSecret)
+	fmt.Fprintf(mac, "%s.%d", id, issued)
+	return hex.EncodeToString(mac.Sum(nil))
+}
+
+func newSession() (SessionResponse, error) {
+	id, err := newPlayerID()
+	if err != nil {
+		return SessionResponse{}, err
+	}
+	issued := time.Now()
+
+	sessions.mu.Lock()
+	defer sessions.mu.Unlock()
+
+	// Drop expired sessions now and then
+	if issued.Sub(sessions.prune) > sessionTTL {
+		for key, session := range sessions.byID {
+			if issued.Sub(session.Issued) > sessionTTL {
+				delete(sessions.byID, key)
+			}
+		}
+		sessions.prune = issued
+	}
+	sessions.byID[id] = &Session{ID: id, Issued: issued}
+
+	ms := issued.UnixMilli()
+	return SessionResponse{ID: id, Token: fmt.Sprintf("%d.%s", ms, signSession(id, ms))}, nil
+}
+
+// Check a session token and run fn on the session's bookkeeping.
+// Sessions issued before a restart are picked up again from their token.
+func withSession(id, token string, fn func(*Session) error) error {
+	issuedPart, signature, ok := strings.Cut(token, ".")
+	if id == "" || !ok {
+		return errInvalidSession
+	}
+	ms, err := strconv.ParseInt(issuedPart, 10, 64)
+	if err != nil || !hmac.Equal([]byte(signature), []byte(signSession(id, ms))) {
+		return errInvalidSession
+	}
+	issued := time.UnixMilli(ms)
+	if time.Since(issued) > sessionTTL {
+		return errInvalidSession
+	}
+
+	sessions.mu.Lock()
+	defer sessions.mu.Unlock()
+	session, exists := sessions.byID[id]
+	if !exists {
+		session = &Session{ID: id, Issued: issued}
+		loadSubmittedRun(session)
+		sessions.byID[id] = session
+	}
+	return fn(session)
+}
+
+// Pick up a run submitted before a restart
+func loadSubmittedRun(session *Session) {
+	if !redisEnabled {
+		return
+	}
+	raw, err := redisClient.Get(ctx, redisKeySession+":"+session.ID).Result()
+	if err != nil {
+		if err != redis.Nil {
+			log.Printf("⚠️  Failed to load session %s from Redis: %v", session.ID, err)
+		}
+		return
+	}
+	var run submittedRun
+	if err := json.Unmarshal([]byte(raw), &run); err != nil {
+		return
+	}
+	session.Submitted = true
+	session.SubmittedBy = run.SubmittedBy
+	session.Recorded = run.Recorded
+}
+
+// Keep a submitted run in Redis until its session expires
+func saveSubmittedRun(session *Session) {
+	if !redisEnabled {
+		return
+	}
+	raw, err := json.Marshal(submittedRun{SubmittedBy: session.SubmittedBy, Recorded: session.Recorded})
+	if err != nil {
+		return
+	}
+	ttl := sessionTTL - time.Since(session.Issued)
+	if ttl <= 0 {
+		return
+	}
+	if err := redisClient.Set(ctx, redisKeySession+":"+session.ID, raw, ttl).Err(); err != nil {
+		log.Printf("⚠️  Failed to save session %s to Redis: %v", session.ID, err)
+	}
+}
+
+// Clamp a batch of kicks to what the session can have played by now
+func creditSessionClicks(id, token string, clicks int64) (int64, error) {
+	var credited int64
+	err := withSession(id, token, func(session *Session) error {
+		allowed := int64(time.Since(session.Issued).Seconds()*maxKicksPerSecond) + kickBurst - session.Clicks
+		credited = clicks
+		if credited > allowed {
+			credited = allowed
+		}
+		if credited < 0 {
+			credited = 0
+		}
+		session.Clicks += credited
+		return nil
+	})
+	return credited, err
+}
+
+// Replay a run and return the score it is worth
+func replayRun(kicks []Kick, bounds Bounds, config PhysicsConfig, elapsed time.Duration) (int, error) {
+	if len(kicks) == 0 || len(kicks) > maxRunKicks {
+		return 0, errors.New("invalid kick count")
+	}
+	if !validWorld(bounds) {
+		return 0, errors.New("invalid playfield size")
+	}
+	if kicks[0].Step != 0 {
+		return 0, errors.New("run must start with a kick")
+	}
+
+	// The game runs in real time (or slower), never faster
+	last := kicks[len(kicks)-1]
+	if time.Duration(float64(last.Step)*fixedStep)*time.Millisecond > elapsed+runClockSlack {
+		return 0, errors.New("run is longer than the session")
+	}
+
+	minSteps := int(minKickInterval / fixedStep)
+	maxOffset := config.Radius * maxKickOffsetRatio
+	maxSwipe := bounds.Width + bounds.Height
+
+	ball := newBall(bounds, config)
+	scoring := scoringState{}
+	score := 0
+	step := 0
+	grounded := -1 // Step the ball hit the ground at
+
+	for i, k := range kicks {
+		if i > 0 && k.Step-kicks[i-1].Step < minSteps {
+			return 0, fmt.Errorf("kick %d came too soon", i)
+		}
+		if math.Abs(k.X) > maxOffset || math.Abs(k.Y) > maxOffset ||
+			math.Abs(k.DX) > maxSwipe || math.Abs(k.DY) > maxSwipe {
+			return 0, fmt.Errorf("kick %d is out of reach", i)
+		}
+
+		for grounded < 0 && step < k.Step {
+			var events []PhysicsEvent
+			ball, events = stepBall(ball, bounds, config)
+			step++
+			for _, event := range events {
+				scoring = scoring.register(event, ball.Time)
+				if event.Type == "groundHit" {
+					grounded = step
+				}
+			}
+		}
+		// The physics is deterministic: a ball the client saw land can't be kicked
+		if grounded >= 0 {
+			return 0, fmt.Errorf("ball was on the ground before kick %d", i)
+		}
+
+		var points int
+		scoring, points = scoring.kick(k, ball.Time, config.Radius)
+		score += points
+		ball = kickBall(ball, k, config)
+	}
+
+	return score, nil
+}
+
+// Scores may differ slightly from the replay (float differences between
+// browsers and Go), but not by much
+func scoreMatchesReplay(claimed, replayed int) bool {
+	return claimed <= replayed+replayed/10+2
+}
+
+// Verify a submitted run against its session, to be recorded as `record`. A
+// run can only be recorded once, except that an anonymous run may be claimed
+// once by a newly registered player: the anonymous entry is then returned, for
+// the caller to move to the player.
+func verifyRun(payload ScorePayload, config PhysicsConfig, record RecordedRun) (*RecordedRun, error) {
+	var claimed *RecordedRun
+	err := withSession(payload.SessionID, payload.Token, func(session *Session) error {
+		// A run started just before midnight UTC still counts for the
+		// challenge it was played on
+		if payload.Mode == "daily" && payload.Challenge != challengeID(session.Issued) &&
+			payload.Challenge != challengeID(time.Now()) {
+			return errChallengeExpired
+		}
+
+		if session.Submitted {
+			if session.SubmittedBy != "" || payload.PlayerID == "" || payload.Score > session.Recorded.Score {
+				return errors.New("run was already submitted")
+			}
+			previous := session.Recorded
+			claimed = &previous
+			session.SubmittedBy = payload.PlayerID
+			session.Recorded = RecordedRun{Key: record.Key, Score: previous.Score, Time: previous.Time}
+			saveSubmittedRun(session)
+			return nil
+		}
+
+		replayed, err := replayRun(payload.Kicks, payload.Bounds, config, time.Since(session.Issued))
+		if err != nil {
+			return err
+		}
+		if !scoreMatchesReplay(payload.Score, replayed) {
+			return fmt.Errorf("score %d doesn't match replay (%d)", payload.Score, replayed)
+		}
+
+		session.Submitted = true
+		session.SubmittedBy = payload.PlayerID
+		session.Recorded = record
+		saveSubmittedRun(session)
+		return nil
+	})
+	return claimed, err
+}
+
+// Handler: Open a game session
+func handleSession(w http.ResponseWriter, r *http.Request) {
+	session, err := newSession()
+	if err != nil {
+		log.Printf("❌ Error creating session: %v", err)
+		http.Error(w, "Failed to create session", http.StatusInternalServerError)
+		return
+	}
+
+	w.Header().Set("Content-Type", "application/json")
+	json.NewEncoder(w).Encode(session)
+}
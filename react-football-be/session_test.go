@@ -0,0 +1,232 @@
+package main
+
+import (
+	"encoding/json"
+	"os"
+	"strings"
+	"testing"
+	"time"
+)
+
+// Synthetic runs played through the frontend's physics and scoring, with the
+// score the client gave them, shared with the frontend
+// (src/game/replay.test.js). See fixtures/README.md.
+type recordedRun struct {
+	Name       string `json:"name"`
+	Difficulty string `json:"difficulty"`
+	Challenge  string `json:"challenge"`
+	Bounds     Bounds `json:"bounds"`
+	Score      int    `json:"score"`
+	Kicks      []Kick `json:"kicks"`
+}
+
+func loadRecordedRuns(t *testing.T) []recordedRun {
+	t.Helper()
+	raw, err := os.ReadFile("../fixtures/runs.json")
+	if err != nil {
+		t.Fatalf("reading recorded runs: %v", err)
+	}
+	var runs []recordedRun
+	if err := json.Unmarshal(raw, &runs); err != nil {
+		t.Fatalf("parsing recorded runs: %v", err)
+	}
+	return runs
+}
+
+func (run recordedRun) physics(t *testing.T) PhysicsConfig {
+	t.Helper()
+	if run.Challenge != "" {
+		return dailyChallengePhysics(run.Challenge)
+	}
+	config, ok := difficultyPhysics(run.Difficulty)
+	if !ok {
+		t.Fatalf("unknown difficulty %q", run.Difficulty)
+	}
+	return config
+}
+
+// The normal run, with its kicks copied so a test can change them
+func normalRun(t *testing.T) (recordedRun, PhysicsConfig) {
+	t.Helper()
+	for _, run := range loadRecordedRuns(t) {
+		if run.Difficulty == defaultDifficulty && run.Challenge == "" {
+			run.Kicks = append([]Kick(nil), run.Kicks...)
+			return run, run.physics(t)
+		}
+	}
+	t.Fatal("no normal run recorded")
+	return recordedRun{}, PhysicsConfig{}
+}
+
+func TestReplayMatchesClient(t *testing.T) {
+	for _, run := range loadRecordedRuns(t) {
+		t.Run(run.Name, func(t *testing.T) {
+			score, err := replayRun(run.Kicks, run.Bounds, run.physics(t), time.Hour)
+			if err != nil {
+				t.Fatalf("replay rejected the run: %v", err)
+			}
+			if score != run.Score {
+				t.Errorf("replayed score %d, client scored %d", score, run.Score)
+			}
+		})
+	}
+}
+
+func TestReplayRejects(t *testing.T) {
+	run, config := normalRun(t)
+	last := run.Kicks[len(run.Kicks)-1]
+	duration := time.Duration(float64(last.Step)*fixedStep) * time.Millisecond
+
+	tests := []struct {
+		name    string
+		change  func(kicks []Kick) []Kick
+		elapsed time.Duration
+		bounds  Bounds
+		want    string
+	}{
+		{
+			name: "kick too soon",
+			change: func(kicks []Kick) []Kick {
+				kicks[5].Step = kicks[4].Step + 1
+				return kicks
+			},
+			want: "kick 5 came too soon",
+		},
+		{
+			name: "click out of reach",
+			change: func(kicks []Kick) []Kick {
+				kicks[3].X = config.Radius * 2
+				return kicks
+			},
+			want: "kick 3 is out of reach",
+		},
+		{
+			name: "swipe out of reach",
+			change: func(kicks []Kick) []Kick {
+				kicks[3].DX = run.Bounds.Width * 3
+				return kicks
+			},
+			want: "kick 3 is out of reach",
+		},
+		{
+			name:    "run longer than the session",
+			elapsed: duration - runClockSlack - time.Second,
+			want:    "run is longer than the session",
+		},
+		{
+			name: "kick after the ground hit",
+			change: func(kicks []Kick) []Kick {
+				return append(kicks, Kick{Step: last.Step + 2000})
+			},
+			want: "ball was on the ground before kick",
+		},
+		{
+			name: "kick right after the ground hit",
+			change: func(kicks []Kick) []Kick {
+				// One step after the ball landed, i.e. a dead ball the client saved
+				return append(kicks, Kick{Step: groundStep(t, run, config) + 1})
+			},
+			want: "ball was on the ground before kick",
+		},
+		{
+			name: "first kick late",
+			change: func(kicks []Kick) []Kick {
+				kicks[0].Step = 10
+				return kicks
+			},
+			want: "run must start with a kick",
+		},
+		{
+			name:   "world not to scale",
+			bounds: Bounds{Width: 1920, Height: 1080},
+			want:   "invalid playfield size",
+		},
+	}
+
+	for _, test := range tests {
+		t.Run(test.name, func(t *testing.T) {
+			kicks := append([]Kick(nil), run.Kicks...)
+			if test.change != nil {
+				kicks = test.change(kicks)
+			}
+			elapsed := test.elapsed
+			if elapsed == 0 {
+				elapsed = time.Hour
+			}
+			bounds := test.bounds
+			if bounds == (Bounds{}) {
+				bounds = run.Bounds
+			}
+
+			_, err := replayRun(kicks, bounds, config, elapsed)
+			if err == nil {
+				t.Fatalf("replay accepted the run, want %q", test.want)
+			}
+			if !strings.Contains(err.Error(), test.want) {
+				t.Errorf("got error %q, want %q", err, test.want)
+			}
+		})
+	}
+}
+
+// Step the recorded run's ball lands at after its last kick
+func groundStep(t *testing.T, run recordedRun, config PhysicsConfig) int {
+	t.Helper()
+	ball := newBall(run.Bounds, config)
+	next := 0
+	for step := 0; step < 1000000; step++ {
+		for next < len(run.Kicks) && run.Kicks[next].Step == step {
+			ball = kickBall(ball, run.Kicks[next], config)
+			next++
+		}
+		var events []PhysicsEvent
+		ball, events = stepBall(ball, run.Bounds, config)
+		for _, event := range events {
+			if event.Type == "groundHit" {
+				if next < len(run.Kicks) {
+					t.Fatalf("ball landed at step %d, before kick %d", step+1, next)
+				}
+				return step + 1
+			}
+		}
+	}
+	t.Fatal("ball never landed")
+	return 0
+}
+
+func TestReplayAcceptsRunWithinSession(t *testing.T) {
+	run, config := normalRun(t)
+	last := run.Kicks[len(run.Kicks)-1]
+	duration := time.Duration(float64(last.Step)*fixedStep) * time.Millisecond
+
+	// The session may have been issued a little after the client's clock says
+	if _, err := replayRun(run.Kicks, run.Bounds, config, duration-runClockSlack/2); err != nil {
+		t.Errorf("replay rejected a run as long as its session: %v", err)
+	}
+}
+
+func TestVerifyRunChallengeDay(t *testing.T) {
+	run := loadRecordedRuns(t)[0]
+	session, err := newSession()
+	if err != nil {
+		t.Fatal(err)
+	}
+	payload := ScorePayload{
+		SessionID: session.ID,
+		Token:     session.Token,
+		Mode:      "daily",
+		Score:     1,
+		Bounds:    run.Bounds,
+		Kicks:     run.Kicks[:1],
+	}
+
+	payload.Challenge = challengeID(time.Now().Add(-48 * time.Hour))
+	if _, err := verifyRun(payload, dailyChallengePhysics(payload.Challenge), RecordedRun{}); err != errChallengeExpired {
+		t.Errorf("old challenge: got %v, want %v", err, errChallengeExpired)
+	}
+
+	payload.Challenge = challengeID(time.Now())
+	if _, err := verifyRun(payload, dailyChallengePhysics(payload.Challenge), RecordedRun{}); err != nil {
+		t.Errorf("today's challenge: %v", err)
+	}
+}
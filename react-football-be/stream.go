@@ -0,0 +1,159 @@
+package main
+
+import (
+	"encoding/json"
+	"fmt"
+	"log"
+	"net/http"
+	"sync"
+	"time"
+)
+
+var (
+	streamInterval  = 1 * time.Second  // How often leaderboard changes are pushed
+	streamKeepAlive = 20 * time.Second // Comment ping to keep proxies from closing idle streams
+)
+
+// Pushed to every stream client once per interval
+type LeaderboardDelta struct {
+	Worldwide CountryStats     `json:"worldwide"`
+	Countries map[string]int64 `json:"countries"` // Countries whose total changed -> new total
+}
+
+// Fan-out of leaderboard updates to connected SSE clients
+type streamHub struct {
+	mu      sync.Mutex
+	clients map[chan []byte]bool
+}
+
+var hub = &streamHub{clients: make(map[chan []byte]bool)}
+
+func (h *streamHub) subscribe() chan []byte {
+	h.mu.Lock()
+	defer h.mu.Unlock()
+	ch := make(chan []byte, 8)
+	h.clients[ch] = true
+	return ch
+}
+
+func (h *streamHub) unsubscribe(ch chan []byte) {
+	h.mu.Lock()
+	defer h.mu.Unlock()
+	delete(h.clients, ch)
+}
+
+func (h *streamHub) count() int {
+	h.mu.Lock()
+	defer h.mu.Unlock()
+	return len(h.clients)
+}
+
+// Send to every client without blocking. Deltas only list the countries that
+// changed since the previous one, so a client that can't keep up and misses
+// one would show stale totals: its channel is closed instead, which ends its
+// stream. EventSource reconnects and starts again from a snapshot.
+func (h *streamHub) broadcast(msg []byte) {
+	h.mu.Lock()
+	defer h.mu.Unlock()
+	for ch := range h.clients {
+		select {
+		case ch <- msg:
+		default:
+			delete(h.clients, ch)
+			close(ch)
+		}
+	}
+}
+
+// Collect countries whose totals changed since the last call
+func collectLeaderboardDelta(lastSent map[string]int64) LeaderboardDelta {
+	storage.mu.RLock()
+	defer storage.mu.RUnlock()
+
+	changed := make(map[string]int64)
+	var totalClicks int64
+	for country, clicks := range storage.countryClicks {
+		totalClicks += clicks
+		if lastSent[country] != clicks {
+			changed[country] = clicks
+			lastSent[country] = clicks
+		}
+	}
+
+	elapsed := time.Since(storage.startTime).Seconds()
+	kps := 0.0
+	if elapsed > 0 {
+		kps = float64(totalClicks) / elapsed
+	}
+
+	return LeaderboardDelta{
+		Worldwide: CountryStats{Country: "Worldwide", Clicks: totalClicks, KPS: kps},
+		Countries: changed,
+	}
+}
+
+// Periodically push leaderboard changes to stream clients
+func startLeaderboardBroadcast() {
+	ticker := time.NewTicker(streamInterval)
+	defer ticker.Stop()
+
+	lastSent := make(map[string]int64)
+	for range ticker.C {
+		delta := collectLeaderboardDelta(lastSent)
+		if len(delta.Countries) == 0 || hub.count() == 0 {
+			continue
+		}
+
+		msg, err := json.Marshal(delta)
+		if err != nil {
+			log.Printf("❌ Error encoding leaderboard delta: %v", err)
+			continue
+		}
+		hub.broadcast(msg)
+	}
+}
+
+// Handler: Leaderboard stream (Server-Sent Events)
+// Sends a "snapshot" event with the full leaderboard, then "delta" events.
+func handleLeaderboardStream(w http.ResponseWriter, r *http.Request) {
+	flusher, ok := w.(http.Flusher)
+	if !ok {
+		http.Error(w, "Streaming unsupported", http.StatusInternalServerError)
+		return
+	}
+
+	w.Header().Set("Content-Type", "text/event-stream")
+	w.Header().Set("Cache-Control", "no-cache")
+	w.Header().Set("Connection", "keep-alive")
+	w.Header().Set("X-Accel-Buffering", "no") // Disable nginx buffering
+
+	ch := hub.subscribe()
+	defer hub.unsubscribe(ch)
+
+	snapshot, err := json.Marshal(getLeaderboard())
+	if err != nil {
+		http.Error(w, "Failed to encode leaderboard", http.StatusInternalServerError)
+		return
+	}
+	fmt.Fprintf(w, "event: snapshot\ndata: %s\n\n", snapshot)
+	flusher.Flush()
+
+	keepAlive := time.NewTicker(streamKeepAlive)
+	defer keepAlive.Stop()
+
+	for {
+		select {
+		case <-r.Context().Done():
+			return
+		case msg, ok := <-ch:
+			if !ok {
+				return // Fell behind, see broadcast()
+			}
+			fmt.Fprintf(w, "event: delta\ndata: %s\n\n", msg)
+			flusher.Flush()
+		case <-keepAlive.C:
+			fmt.Fprint(w, ": ping\n\n")
+			flusher.Flush()
+		}
+	}
+}
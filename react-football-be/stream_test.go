@@ -0,0 +1,26 @@
+package main
+
+import "testing"
+
+func TestBroadcastDropsClientsThatFallBehind(t *testing.T) {
+	h := &streamHub{clients: make(map[chan []byte]bool)}
+	fast := h.subscribe()
+	slow := h.subscribe()
+
+	// The slow client never reads; the fast one keeps up
+	for i := 0; i <= cap(slow); i++ {
+		h.broadcast([]byte("delta"))
+		<-fast
+	}
+
+	if h.count() != 1 {
+		t.Fatalf("%d clients left, want 1", h.count())
+	}
+	for range slow {
+		// Deltas queued before it fell behind
+	}
+	h.broadcast([]byte("delta"))
+	if _, ok := <-fast; !ok {
+		t.Error("the client that kept up was dropped")
+	}
+}
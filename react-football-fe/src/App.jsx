@@ -1,182 +1,413 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import './App.css';
 import Scoreboard from './components/Scoreboard';
-import Emoji from './components/Emoji';
-import Ball from './components/Ball';
+import Playfield from './components/Playfield';
 import Leaderboard from './components/Leaderboard';
-import { submitClick, submitScore } from './services/api';
-import kickSound from './assets/sounds/kick.ogg';
-import wallSound from './assets/sounds/wall.ogg';
-import endSound from './assets/sounds/end.ogg';
-import backgroundImg from './assets/background.png';
-
-// Physical variables (tuned for 60fps baseline)
-const TARGET_FPS = 60;
-const TARGET_FRAME_TIME = 1000 / TARGET_FPS; // ~16.67ms
-const gravity = 1.2;
-const radius = 48;
-const rotationFactor = 4;
-const bounceFactor = 0.6;
-const friction = 0.99;
-const kickStrength = 25;
+import PlayerProfile from './components/PlayerProfile';
+import MyStats from './components/MyStats';
+import WindIndicator from './components/WindIndicator';
+import VersusGame from './components/VersusGame';
+import MatchResults from './components/MatchResults';
+import ModePicker from './components/ModePicker';
+import Settings from './components/Settings';
+import UpdatePrompt from './components/UpdatePrompt';
+import Achievements from './components/Achievements';
+import AchievementToast from './components/AchievementToast';
+import { submitClick, submitScore, registerPlayer, startSubmissionQueue, openSession, getSession } from './services/api';
+import { getProfile } from './services/profile';
+import { loadAssets, ASSETS } from './services/assets';
+import { registerServiceWorker } from './services/pwa';
+import { t, formatNumber, useLocale } from './i18n';
+import { unlockAudio, playSound, kickVariation, impactVariation } from './services/audio';
+import { startInput, withinReach } from './services/input';
+import { useFocusTrap } from './hooks/useFocusTrap';
+import { loadStats, recordGame, getBest, getDailyBest } from './services/stats';
+import { loadReplays, saveRun, getBestRun } from './services/replays';
+import { getSettings, updateSettings } from './services/settings';
+import { loadAchievements, recordPlay, unlockAchievements } from './services/achievements';
+import { getKnownCountry } from './services/country';
+import { createBall, createSimulation, advance, kick, obstaclePosition } from './game/physics';
+import { difficultyPhysics } from './game/difficulty';
+import { worldFor, sameWorld } from './game/world';
+import { IDLE, transition, inRun } from './game/lifecycle';
+import { createRunProgress, trackEvent, reachedAchievements } from './game/achievements';
+import { createDailyChallenge, getChallengeId, formatShareText, shareResult } from './game/daily';
+import { createMatch, recordRun, currentRound } from './game/modes';
+import { logKick, kickInput, kickTooSoon } from './game/kicklog';
+import { createPlayback, advancePlayback, runPhysics } from './game/replay';
+import { createScoring, scoreKick, registerEvent, decayCombo, getMultiplier } from './game/scoring';
+import { createEmoji, createCallout, randomEmoji, createBurst, createRing, createSquash, createShake, createConfetti } from './render/effects';
+import { activeSkin, ballImage } from './render/skins';
+
+// Tell the player what they are missing out on after a degraded load
+function describeMissingAssets(ids) {
+  const sounds = ASSETS.filter(asset => asset.type === 'sound');
+  const missingSounds = sounds.filter(asset => ids.includes(asset.id));
+  if (missingSounds.length < ids.length) {
+    return `⚠️ ${t('loading.missingAssets')}`;
+  }
+  return missingSounds.length === sounds.length
+    ? `🔇 ${t('loading.missingSound')}`
+    : `🔇 ${t('loading.missingSounds')}`;
+}
+
+// How far the playfield shakes when the ball hits the ground, in world units
+const GAME_OVER_SHAKE = 12;
+
+// Playfield size until the Playfield reports it
+function windowSize() {
+  return { width: window.innerWidth, height: window.innerHeight };
+}
+
+// Kick popups and the rest of the effects can each be turned off in the settings
+function showEffect(renderer, effect) {
+  const display = getSettings('display');
+  const enabled = effect.kind === 'emoji' || effect.kind === 'callout' ? display.popups : display.effects;
+  if (renderer && enabled) renderer.pop(effect);
+}
+
+// Dust and sparks where the foot met the ball, and the ball squashing along
+// the kick. input is the kick as the physics took it, ball the kicked ball.
+function showKick(renderer, ball, input, { radius, kickStrength }) {
+  const power = Math.hypot(ball.vx, ball.vy) / kickStrength;
+  // Pointer offsets are measured y down, the world is y up
+  const angle = Math.atan2(-input.clickOffsetY, input.clickOffsetX);
+  const x = ball.x + radius + input.clickOffsetX;
+  const y = ball.y + radius - input.clickOffsetY;
+  showEffect(renderer, createBurst(x, y, angle, power));
+  showEffect(renderer, createSquash(angle, 0.25 * power));
+}
+
+// Hits slower than this (world units per 60fps frame) are too soft to show
+const MIN_IMPACT = 3;
+
+// Ring where the ball hit a wall, the ceiling or an obstacle, and the ball
+// squashing against it
+function showImpact(renderer, event, physics, world, time) {
+  if (event.speed < MIN_IMPACT) return;
+
+  const { radius, kickStrength } = physics;
+  const power = Math.min(event.speed / kickStrength, 1);
+  const centerX = event.x + radius;
+  const centerY = event.y + radius;
+  let x = centerX;
+  let y = centerY;
+  let angle = 0; // Axis of the hit
+  if (event.type === 'wallHit') {
+    x = event.side === 'left' ? 0 : world.width;
+  } else if (event.type === 'ceilingHit') {
+    y = world.height;
+    angle = Math.PI / 2;
+  } else if (event.type === 'obstacleHit') {
+    const obstacle = obstaclePosition(physics.obstacles[event.index], time, world);
+    angle = Math.atan2(centerY - obstacle.y, centerX - obstacle.x);
+    x = obstacle.x + Math.cos(angle) * obstacle.radius;
+    y = obstacle.y + Math.sin(angle) * obstacle.radius;
+  } else {
+    return;
+  }
+  showEffect(renderer, createRing(x, y, radius * (1 + power)));
+  showEffect(renderer, createSquash(angle, 0.3 * power));
+}
+
+// Rules of a live run: today's challenge, or the chosen difficulty
+function runRules(challenge, difficulty) {
+  return challenge?.physics || difficultyPhysics(difficulty);
+}
 
 function App() {
-  const [position, setPosition] = useState({
-    x: window.innerWidth / 2 - radius,
-    y: 100,
-  });
-  const [velocity, setVelocity] = useState({ vx: 0, vy: 0 });
-  const [rotation, setRotation] = useState(0);
-  const [scale, setScale] = useState(1);
-  // Removed squash effect
+  useLocale(); // Everything below re-renders in the new language
   const [score, setScore] = useState(0);
-  const [miss, setMiss] = useState(0);
-  const [standby, setStandby] = useState(true);
-  const [best, setBest] = useState(0);
-  const [emoji, setEmoji] = useState({ x: 0, y: 0 });
-  const [gameStarted, setGameStarted] = useState(false);
-  const [gameOver, setGameOver] = useState(false);
+  const [game, setGame] = useState(IDLE); // Lifecycle of the run, see game/lifecycle.js
+  const [stats, setStats] = useState(() => loadStats());
+  const [best, setBest] = useState(() => getBest(stats, getSettings('game').difficulty)); // Under the current rules
   const [lastScore, setLastScore] = useState(0);
   const [showLeaderboard, setShowLeaderboard] = useState(false);
+  const [showStats, setShowStats] = useState(false);
+  const [profile, setProfile] = useState(() => getProfile());
+  const [challenge, setChallenge] = useState(null); // Daily challenge, null in classic mode
+  const [shareStatus, setShareStatus] = useState(null);
+  const [match, setMatch] = useState(null); // Local multiplayer match, null in single player
+  const [matchNumber, setMatchNumber] = useState(0);
+  const [awaitingTurn, setAwaitingTurn] = useState(false); // Hot-seat: next player must press Go
+  const [showModePicker, setShowModePicker] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [applyUpdate, setApplyUpdate] = useState(null); // Switches to a downloaded update
+  const [multiplier, setMultiplier] = useState(1);
+  const [replays, setReplays] = useState(() => loadReplays());
+  const [replaying, setReplaying] = useState(null); // Run being watched
+  const [difficulty, setDifficulty] = useState(() => getSettings('game').difficulty);
+  const [achievements, setAchievements] = useState(() => loadAchievements());
+  const [newAchievements, setNewAchievements] = useState([]); // Unlocks waiting for their toast
+  const [showAchievements, setShowAchievements] = useState(false);
+  const [skins, setSkins] = useState(() => getSettings('skins'));
 
   const [assetsLoaded, setAssetsLoaded] = useState(false);
-
-  const velocityRef = useRef(velocity);
-  const positionRef = useRef(position);
+  const [assetProgress, setAssetProgress] = useState(0);
+  const [missingAssets, setMissingAssets] = useState([]);
+
+  // The ball, ghost and effects are drawn by the renderer straight from these
+  // refs; React state is only used for the HUD and modals
+  const rendererRef = useRef(null);
+  const playfieldSizeRef = useRef(windowSize());
+  const worldRef = useRef(worldFor(windowSize())); // World the physics runs in, see game/world.js
+  const simRef = useRef(createSimulation(createBall(worldFor(windowSize()), difficultyPhysics(difficulty))));
   const scoreRef = useRef(score);
-  const gameStartedRef = useRef(gameStarted);
+  const runRef = useRef({ bounds: null, kicks: [] }); // Kick log of the current run
+  const lastRunRef = useRef(null); // Finished run, in case it needs submitting again
+  const gameRef = useRef(game);
+  const challengeRef = useRef(challenge);
+  const difficultyRef = useRef(difficulty);
+  const matchRef = useRef(match);
+  const scoringRef = useRef(createScoring());
+  const playbackRef = useRef(null); // Replay driving the ball instead of the player
+  const ghostRef = useRef(null); // Playback of the personal best, next to the live ball
+  const aimRef = useRef(null); // Keyboard / gamepad aim, null once the player taps instead
+  const handleBallKickRef = useRef(null);
+  const achievementsRef = useRef(achievements);
+  const runProgressRef = useRef(createRunProgress()); // What the run has done towards achievements
+  const historyRef = useRef(null); // Player's history at the start of the run, null when it doesn't count
+  const ballSkinRef = useRef(null);
+  const bestToBeatRef = useRef(null); // Best score before the run, until the run beats it
 
   // Keep refs in sync
   useEffect(() => {
-    velocityRef.current = velocity;
-  }, [velocity]);
+    scoreRef.current = score;
+  }, [score]);
 
   useEffect(() => {
-    positionRef.current = position;
-  }, [position]);
+    challengeRef.current = challenge;
+  }, [challenge]);
 
   useEffect(() => {
-    scoreRef.current = score;
-  }, [score]);
+    matchRef.current = match;
+  }, [match]);
 
   useEffect(() => {
-    gameStartedRef.current = gameStarted;
-  }, [gameStarted]);
+    difficultyRef.current = difficulty;
+  }, [difficulty]);
+
+  // Skins are cosmetic and follow the stats that unlock them
+  const ballSkin = activeSkin('ball', skins.ball, stats);
+  const pitch = activeSkin('pitch', skins.pitch, stats);
 
-  // Preload all audio and background image before allowing game to start
   useEffect(() => {
-    let loaded = 0;
-    const total = 4;
-    const onAssetLoad = () => {
-      loaded++;
-      if (loaded === total) setAssetsLoaded(true);
-    };
+    ballSkinRef.current = ballSkin;
+  }, [ballSkin]);
+
+  // Send kicks and scores in the background, and again after being offline
+  useEffect(() => startSubmissionQueue(), []);
+
+  // Offline support; a new version waits for the player to accept it
+  useEffect(() => {
+    registerServiceWorker(apply => setApplyUpdate(() => apply));
+  }, []);
 
-    // Preload audio
-    [kickSound, wallSound, endSound].forEach(src => {
-      const audio = new window.Audio();
-      audio.src = src;
-      audio.oncanplaythrough = onAssetLoad;
-      audio.load();
+  // Session for the first run; handleRestart opens one for every run after it
+  useEffect(() => {
+    openSession();
+  }, []);
+
+  // Preload images and sounds before allowing game to start. Assets that
+  // fail are left out rather than holding up the game.
+  useEffect(() => {
+    let cancelled = false;
+    loadAssets((done, total) => {
+      if (!cancelled) setAssetProgress(done / total);
+    }).then(({ failed }) => {
+      if (cancelled) return;
+      setMissingAssets(failed);
+      setAssetsLoaded(true);
     });
 
-    // Preload background image
-    const img = new window.Image();
-    img.src = backgroundImg;
-    img.onload = onAssetLoad;
+    // Audio itself starts on the first tap or key press
+    const removeUnlock = unlockAudio();
+    return () => {
+      cancelled = true;
+      removeUnlock();
+    };
+  }, []);
+
+  // Move the run along the lifecycle. The ref changes straight away, so the
+  // game loop sees the new state on its next frame.
+  const dispatchGame = useCallback((event) => {
+    const next = transition(gameRef.current, event);
+    if (next === gameRef.current) return;
+    gameRef.current = next;
+    setGame(next);
+  }, []);
+
+  const startGame = useCallback(() => dispatchGame('start'), [dispatchGame]);
+  const pauseGame = useCallback(() => dispatchGame('pause'), [dispatchGame]);
+  const resumeGame = useCallback(() => dispatchGame('resume'), [dispatchGame]);
+  const togglePause = useCallback(() => {
+    dispatchGame(gameRef.current.status === 'paused' ? 'resume' : 'pause');
+  }, [dispatchGame]);
+
+  // Count a kick or physics event towards the achievements and queue a toast
+  // for each new unlock
+  const trackAchievements = useCallback((event) => {
+    if (!historyRef.current) return;
+    runProgressRef.current = trackEvent(runProgressRef.current, event);
+    const reached = reachedAchievements(runProgressRef.current, historyRef.current);
+    const { record, fresh } = unlockAchievements(achievementsRef.current, reached);
+    if (fresh.length === 0) return;
+
+    achievementsRef.current = record;
+    setAchievements(record);
+    setNewAchievements(queue => [...queue, ...fresh]);
   }, []);
 
-  // Physics loop with delta time for consistent behavior across frame rates
+  const handleToastDone = useCallback(() => setNewAchievements(queue => queue.slice(1)), []);
+
+  // Leave a replay and show the live ball again, with the score of the run
+  // it was watched over
+  const stopReplay = useCallback(() => {
+    const liveScore = playbackRef.current?.liveScore ?? 0;
+    playbackRef.current = null;
+    setReplaying(null);
+    scoreRef.current = liveScore;
+    setScore(liveScore);
+  }, []);
+
+  // Physics loop: feed frame time into the fixed-step simulation and react to its events
   useEffect(() => {
     let animationId;
     let lastTime = performance.now();
 
-    const updatePhysics = (currentTime) => {
-      // Calculate delta time and normalize to 60fps
-      const deltaTime = currentTime - lastTime;
-      lastTime = currentTime;
-      
-      // Delta multiplier: 1.0 at 60fps, 0.5 at 120fps, 2.0 at 30fps
-      const delta = deltaTime / TARGET_FRAME_TIME;
-      
-      // Clamp delta to prevent huge jumps (e.g., when tab is inactive)
-      const clampedDelta = Math.min(delta, 3);
-
-      if (!gameStartedRef.current) {
-        animationId = requestAnimationFrame(updatePhysics);
+    const handleGameOver = () => {
+      // Missed the ball - it hit the ground - GAME OVER
+      const finalScore = scoreRef.current;
+      dispatchGame('end');
+      setScore(0);
+      playSound('end');
+      ghostRef.current = null;
+
+      const { ball } = simRef.current;
+      const { radius } = runRules(challengeRef.current, difficultyRef.current);
+      const renderer = rendererRef.current;
+      showEffect(renderer, createEmoji(ball.x + radius, ball.y + radius, randomEmoji(false), true));
+      showEffect(renderer, createBurst(ball.x + radius, 0, Math.PI / 2, 0.6));
+      showEffect(renderer, createSquash(Math.PI / 2, 0.3));
+      showEffect(renderer, createShake(GAME_OVER_SHAKE));
+
+      // Hot-seat: record the attempt and hand over to the next player.
+      // Shared-device matches stay out of the high scores and local stats.
+      const currentMatch = matchRef.current;
+      if (currentMatch) {
+        const next = recordRun(currentMatch, currentMatch.turn, finalScore);
+        matchRef.current = next;
+        setMatch(next);
+        setAwaitingTurn(!next.finished);
         return;
       }
 
-      const vel = velocityRef.current;
-      const pos = positionRef.current;
+      setLastScore(finalScore);
+      setBest(b => Math.max(b, finalScore));
+      // Submit final score to backend, with the kick log to back it up
+      const challengeId = challengeRef.current?.id;
+      const recorded = {
+        score: finalScore,
+        time: Date.now(),
+        challenge: challengeId || null,
+        ...runRef.current,
+      };
+      const run = { ...recorded, session: getSession() };
+      lastRunRef.current = run;
+      submitScore(finalScore, challengeId, run);
+      setStats(recordGame({ score: finalScore, kicks: run.kicks.length, challenge: challengeId, difficulty: run.difficulty }));
+      setReplays(saveRun(recorded));
+    };
 
-      // Apply gravity (scaled by delta)
-      let newVy = vel.vy - gravity * clampedDelta;
-      
-      // Apply friction (adjusted for delta time)
-      const frictionMultiplier = Math.pow(friction, clampedDelta);
-      let newVx = vel.vx * frictionMultiplier;
-
-      // Update position (scaled by delta)
-      let newX = pos.x + newVx * clampedDelta;
-      let newY = pos.y + newVy * clampedDelta;
-
-      // Ground collision - bottom of ball touches ground
-      if (newY <= 0) {
-        newY = 0;
-        // Missed the ball - it hit the ground - GAME OVER
-        if (scoreRef.current > 0) {
-          const finalScore = scoreRef.current;
-          setLastScore(finalScore);
-          setBest(b => Math.max(b, finalScore));
-          setGameOver(true);
-          setGameStarted(false);
-          setMiss(m => m + 1);
-          setScore(0);
-          setStandby(true);
-          newVy = 0;
-          newVx = 0;
-          playSound(endSound);
-          // Submit final score to backend
-          submitScore(finalScore);
-        } else {
-          // No score yet, just stop the ball
-          newVy = 0;
-          newVx = 0;
+    // Watching a replay: the recorded kicks drive the ball
+    const updatePlayback = (deltaTime) => {
+      const { playback, events } = advancePlayback(playbackRef.current, deltaTime);
+      playbackRef.current = playback;
+
+      events.forEach(event => {
+        const { ball } = playback.sim;
+        if (event.type === 'kick') {
+          const { radius, kickStrength } = playback.config;
+          playSound('kick', kickVariation(Math.hypot(ball.vx, ball.vy), kickStrength));
+          showEffect(rendererRef.current, createEmoji(ball.x + radius, ball.y + radius, randomEmoji(true)));
+          showKick(rendererRef.current, ball, event.input, playback.config);
+        } else if (event.type === 'wallHit' || event.type === 'obstacleHit') {
+          playSound('wall', impactVariation(event.speed));
         }
+        showImpact(rendererRef.current, event, playback.config, playback.run.bounds, ball.time);
+      });
+
+      setScore(playback.score);
+
+      if (playback.finished) {
+        playSound('end');
+        stopReplay();
       }
+    };
 
-      // Wall collisions
-      const maxX = window.innerWidth - radius * 2;
-      if (newX < 0) {
-        newX = 0;
-        newVx = -newVx * bounceFactor;
-        playSound(wallSound);
-      } else if (newX > maxX) {
-        newX = maxX;
-        newVx = -newVx * bounceFactor;
-        playSound(wallSound);
+    // Live play: the player's kicks drive the ball
+    const updateGame = (deltaTime) => {
+      const physics = runRules(challengeRef.current, difficultyRef.current);
+      const { sim, events } = advance(simRef.current, deltaTime, worldRef.current, physics);
+      simRef.current = sim;
+
+      events.forEach(event => {
+        scoringRef.current = registerEvent(scoringRef.current, event);
+        trackAchievements(event);
+        showImpact(rendererRef.current, event, physics, worldRef.current, sim.ball.time);
+        if (event.type === 'wallHit' || event.type === 'obstacleHit') {
+          playSound('wall', impactVariation(event.speed));
+        } else if (event.type === 'groundHit' && scoreRef.current > 0) {
+          handleGameOver();
+        }
+      });
+
+      // Combo runs out while the ball is in the air
+      const decayed = decayCombo(scoringRef.current, sim.ball.time);
+      if (decayed !== scoringRef.current) {
+        scoringRef.current = decayed;
+        setMultiplier(getMultiplier(decayed));
       }
 
-      // Ceiling collision
-      const maxY = window.innerHeight - radius * 2;
-      if (newY > maxY) {
-        newY = maxY;
-        newVy = -newVy * bounceFactor;
+      // The personal best plays along until its own run ends
+      if (ghostRef.current) {
+        const { playback } = advancePlayback(ghostRef.current, deltaTime);
+        ghostRef.current = playback.finished ? null : playback;
       }
+    };
 
-      // Update rotation based on horizontal velocity (scaled by delta)
-      setRotation(r => r + newVx * rotationFactor * clampedDelta);
+    const draw = () => {
+      const renderer = rendererRef.current;
+      if (!renderer) return;
+
+      const playback = playbackRef.current;
+      const ball = playback ? playback.sim.ball : simRef.current.ball;
+      const physics = playback ? playback.config : runRules(challengeRef.current, difficultyRef.current);
+      const world = playback ? playback.run.bounds : worldRef.current;
+
+      renderer.draw({
+        world,
+        ball,
+        ghost: playback ? null : ghostRef.current?.sim.ball,
+        obstacles: physics.obstacles.map(obstacle => obstaclePosition(obstacle, ball.time, world)),
+        radius: physics.radius,
+        pulse: !playback && gameRef.current.status === 'idle',
+        aim: playback ? null : aimRef.current,
+        ballImage: ballImage(ballSkinRef.current, getKnownCountry()),
+      });
+    };
 
-    // Update scale based on velocity (squash and stretch)
-      const speed = Math.sqrt(newVx * newVx + newVy * newVy);
-      const newScale = 1 + Math.min(speed * 0.005, 0.15);
-      setScale(newScale);
-      
-      // No squash effect
+    const updatePhysics = (currentTime) => {
+      const deltaTime = currentTime - lastTime;
+      lastTime = currentTime;
 
-      setVelocity({ vx: newVx, vy: newVy });
-      setPosition({ x: newX, y: newY });
+      // Versus lanes run their own balls
+      if (playbackRef.current) {
+        updatePlayback(deltaTime);
+      } else if (gameRef.current.status === 'playing' && matchRef.current?.mode !== 'versus') {
+        updateGame(deltaTime);
+      }
+      draw();
 
       animationId = requestAnimationFrame(updatePhysics);
     };
@@ -184,153 +415,513 @@ function App() {
     animationId = requestAnimationFrame(updatePhysics);
 
     return () => cancelAnimationFrame(animationId);
-  }, []);
+  }, [stopReplay, dispatchGame, trackAchievements]);
+
+  // Hidden tabs and windows in the background pause the run
+  useEffect(() => {
+    const handleVisibility = () => {
+      if (document.hidden) pauseGame();
+    };
+    document.addEventListener('visibilitychange', handleVisibility);
+    window.addEventListener('blur', pauseGame);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibility);
+      window.removeEventListener('blur', pauseGame);
+    };
+  }, [pauseGame]);
+
+  // Resume countdown, one tick a second
+  useEffect(() => {
+    if (game.status !== 'resuming') return;
+    const timer = setTimeout(() => dispatchGame('tick'), 1000);
+    return () => clearTimeout(timer);
+  }, [game, dispatchGame]);
 
   // Handle ball kick
-  const handleBallKick = useCallback(({ clickOffsetX, clickOffsetY, swipeDx, swipeDy }) => {
-    if (gameOver) {
+  const handleBallKick = useCallback((pointer) => {
+    const { status } = gameRef.current;
+    if (replaying || (status !== 'idle' && status !== 'playing')) {
      return;
     }
-    if (!gameStarted) {
-      setGameStarted(true);
-      setStandby(false);
+    // Taps closer together than the server allows would void the run
+    if (kickTooSoon(runRef.current.kicks, simRef.current.ball.time)) return;
+    if (status === 'idle') {
+      dispatchGame('start');
+      runRef.current.bounds = worldRef.current;
+
+      if (!challenge) runRef.current.difficulty = difficulty;
+
+      // Race your personal best (not in local multiplayer, where it isn't yours)
+      const bestRun = !match && getSettings('display').ghost && getBestRun(replays, challenge?.id, difficulty);
+      ghostRef.current = bestRun ? createPlayback(bestRun) : null;
+      bestToBeatRef.current = match ? null : best;
+
+      // Achievements are personal too; the day and country count from the first kick
+      if (!match) {
+        const record = recordPlay(achievementsRef.current, getKnownCountry());
+        achievementsRef.current = record;
+        setAchievements(record);
+        historyRef.current = {
+          totalKicks: stats.totalKicks,
+          countries: record.countries.length,
+          streak: record.streak.days,
+        };
+      }
     }
 
-    // Calculate kick direction based on:
-    // 1. Where you clicked on the ball (clicking left side pushes ball right)
-    // 2. Swipe direction (swiping adds extra velocity)
-    
-    // Click position effect: clicking left of center pushes right, and vice versa
-    const clickEffect = -clickOffsetX / radius; // Normalized: -1 to 1
-    
-    // Swipe effect: add extra velocity based on swipe
-    const swipeEffect = -swipeDx * 0.3;
-    
-    // Combined horizontal velocity
-    const kickVx = (clickEffect * kickStrength * 0.6) + swipeEffect;
-    
-    // Vertical velocity: always kick upward, stronger if clicked on bottom of ball
-    const verticalBoost = Math.max(0, clickOffsetY / radius) * 5; // Clicking bottom gives more lift
-    const kickVy = kickStrength + verticalBoost;
-
-    setVelocity(v => ({
-      vx: v.vx + kickVx,
-      vy: Math.max(v.vy + kickVy, kickVy), // Minimum upward velocity
-    }));
+    const physics = runRules(challenge, difficulty);
+    const { radius } = physics;
 
-    // Play kick sound
-    playSound(kickSound);
+    // Log the kick and play it exactly as logged
+    const entry = logKick(pointer, simRef.current.ball.time);
+    runRef.current.kicks.push(entry);
+    const input = kickInput(entry);
 
-    // No squash effect
+    const result = scoreKick(scoringRef.current, input, simRef.current.ball.time, radius);
+    scoringRef.current = result.scoring;
+    setMultiplier(getMultiplier(result.scoring));
 
-    // Update score
-    setScore(s => {
-      const newScore = s + 1;
-      if (newScore > best) {
-        setBest(newScore);
-      }
-      return newScore;
-    });
-    setStandby(false);
+    const kicked = kick(simRef.current.ball, input, physics);
+    simRef.current = { ...simRef.current, ball: kicked };
+
+    // Play kick sound, harder kicks sound harder
+    playSound('kick', kickVariation(Math.hypot(kicked.vx, kicked.vy), physics.kickStrength));
 
-    // Submit click to backend
+    showKick(rendererRef.current, kicked, input, physics);
+
+    // Update score. The ref is ahead of the state until the next render.
+    const newScore = scoreRef.current + result.points;
+    scoreRef.current = newScore;
+    setScore(newScore);
+    if (newScore > best) {
+      setBest(newScore);
+    }
+    // Confetti the first time the run beats the previous best
+    if (bestToBeatRef.current && newScore > bestToBeatRef.current) {
+      bestToBeatRef.current = null;
+      showEffect(rendererRef.current, createConfetti(worldRef.current));
+    }
+
+    // Queue click for the backend
     submitClick();
+    trackAchievements({ type: 'kick' });
+
+    // Emoji popup, and what the kick was worth
+    showEffect(rendererRef.current, createEmoji(kicked.x + radius, kicked.y + radius, randomEmoji(true)));
+    showEffect(rendererRef.current, createCallout(kicked.x + radius, kicked.y + radius * 2, {
+      points: result.points,
+      multiplier: result.multiplier,
+      tricks: result.tricks.map(trick => t(`tricks.${trick}`)),
+    }));
+  }, [best, challenge, replaying, match, replays, difficulty, stats, dispatchGame, trackAchievements]);
+
+  useEffect(() => {
+    handleBallKickRef.current = handleBallKick;
+  }, [handleBallKick]);
+
+  // A tap hides the aim until the keys are used again
+  const handlePointerKick = useCallback((pointer) => {
+    aimRef.current = null;
+    handleBallKick(pointer);
+  }, [handleBallKick]);
 
-    // Update emoji position
-    setEmoji({
-      x: positionRef.current.x + radius,
-      y: positionRef.current.y + radius,
+  // Keyboard and gamepad kicks (versus lanes listen for their own players)
+  const isVersus = match?.mode === 'versus';
+  useEffect(() => {
+    if (isVersus) return;
+    return startInput({
+      getRadius: () => runRules(challengeRef.current, difficultyRef.current).radius,
+      onAim: (player, aim) => {
+        aimRef.current = aim;
+      },
+      onKick: (player, input, aim) => {
+        aimRef.current = aim;
+        if (withinReach(simRef.current.ball, worldRef.current)) {
+          handleBallKickRef.current(input);
+        }
+      },
+      onPause: togglePause,
     });
-  }, [gameStarted, best, gameOver]);
+  }, [isVersus, togglePause]);
+
+  // The world follows the playfield's shape between runs. A run keeps the
+  // world it started in (it is replayed there), the renderer rescales it.
+  const handlePlayfieldResize = useCallback((size) => {
+    playfieldSizeRef.current = size;
+    if (gameRef.current.status !== 'idle') return;
+
+    const world = worldFor(size);
+    if (sameWorld(world, worldRef.current)) return;
+    worldRef.current = world;
+    // The waiting ball moves to the middle of the new world
+    simRef.current = createSimulation(createBall(world, runRules(challengeRef.current, difficultyRef.current)));
+  }, []);
+
+  // Shared-device matches have their own hand-over instead of a game over
+  const showGameOver = game.status === 'over' && !match && !replaying;
+  // A replay opened from the stats mid-run plays over the paused run
+  const showPause = game.status === 'paused' && !replaying;
+
+  // The end-of-run and pause modals keep the keyboard inside them; Escape
+  // resumes from the pause
+  const gameOverDialogRef = useFocusTrap(showGameOver);
+  const pauseDialogRef = useFocusTrap(showPause, resumeGame);
+  const turnDialogRef = useFocusTrap(match?.mode === 'hotseat' && awaitingTurn);
 
   // Handle container click (miss)
   const handleContainerClick = (e) => {
-    if (e.target === e.currentTarget && gameStarted) {
+    if (e.target === e.currentTarget && game.status === 'playing') {
       // Clicked outside the ball
     }
   };
 
+  // Save the profile from the Game Over screen
+  const handleProfileSave = async (fields) => {
+    const isNew = !profile?.id;
+    const saved = await registerPlayer(fields);
+    setProfile(saved);
+    // Attribute the run that was just played to the new profile
+    if (isNew && saved.id) {
+      submitScore(lastScore, challenge?.id, lastRunRef.current);
+    }
+  };
+
+  // A new daily challenge starts at midnight UTC. A run in progress finishes
+  // on its own challenge (the backend still accepts it); the next one plays
+  // today's. Returns whether the challenge changed.
+  const refreshChallenge = useCallback(() => {
+    if (!challengeRef.current || challengeRef.current.id === getChallengeId()) return false;
+    const next = createDailyChallenge();
+    challengeRef.current = next;
+    setChallenge(next);
+    setBest(getDailyBest(stats, next.id));
+    return true;
+  }, [stats]);
+
+  // A waiting ball switches to the new challenge at midnight
+  useEffect(() => {
+    if (!challenge) return;
+    const midnight = new Date();
+    midnight.setUTCHours(24, 0, 1, 0);
+    const timer = setTimeout(() => {
+      if (gameRef.current.status === 'idle' && refreshChallenge()) {
+        simRef.current = createSimulation(createBall(worldRef.current, runRules(challengeRef.current, difficultyRef.current)));
+      }
+    }, midnight - Date.now());
+    return () => clearTimeout(timer);
+  }, [challenge, refreshChallenge]);
+
+  // Switch between classic mode and today's daily challenge
+  const handleToggleChallenge = () => {
+    const next = challenge ? null : createDailyChallenge();
+    challengeRef.current = next; // The restart below already plays by its rules
+    setChallenge(next);
+    setBest(next ? getDailyBest(stats, next.id) : getBest(stats, difficulty));
+    handleRestart();
+  };
+
+  const handleShare = async () => {
+    const text = formatShareText(challenge, lastScore, window.location.origin);
+    setShareStatus(await shareResult(text));
+  };
+
+  // Switch to single player (null) or start a local multiplayer match
+  const handleSelectMode = (mode) => {
+    setShowModePicker(false);
+    challengeRef.current = null;
+    setChallenge(null);
+    setBest(getBest(stats, difficulty));
+    handleRestart();
+    setMatch(mode ? createMatch(mode, [1, 2].map(number => t('match.player', { number }))) : null);
+    setMatchNumber(n => n + 1);
+    setAwaitingTurn(false);
+  };
+
+  // Difficulty changes start a fresh run on the new ball
+  const handleDifficultyChange = (next) => {
+    updateSettings('game', { difficulty: next });
+    difficultyRef.current = next;
+    setDifficulty(next);
+    if (!challengeRef.current) setBest(getBest(stats, next));
+    handleRestart();
+  };
+
+  // Skins can change at any time, even mid-run: they don't touch the physics
+  const handleSkinChange = (kind, id) => {
+    setSkins(updateSettings('skins', { [kind]: id }));
+  };
+
+  // Versus lanes report all scores at once
+  const handleVersusFinish = (scores) => {
+    dispatchGame('end');
+    setMatch(m => scores.reduce((next, score, player) => recordRun(next, player, score), m));
+  };
+
+  // Hot-seat: next player is ready
+  const handleNextTurn = () => {
+    handleRestart();
+    setAwaitingTurn(false);
+  };
+
+  // Watch a recorded run
+  const handleWatchReplay = (run) => {
+    setShowStats(false);
+    playbackRef.current = createPlayback(run, scoreRef.current);
+    setReplaying(run);
+    setScore(0);
+    rendererRef.current?.clearEffects();
+  };
+
   // Handle restart game
   const handleRestart = () => {
-    setPosition({
-      x: window.innerWidth / 2 - radius,
-      y: 100,
-    });
-    setVelocity({ vx: 0, vy: 0 });
-    setRotation(0);
-    setScale(1);
+    refreshChallenge();
+    worldRef.current = worldFor(playfieldSizeRef.current);
+    simRef.current = createSimulation(createBall(worldRef.current, runRules(challengeRef.current, difficultyRef.current)));
     setScore(0);
-    setGameOver(false);
-    setGameStarted(false);
-    setStandby(true);
+    runRef.current = { bounds: null, kicks: [] };
+    openSession();
+    scoringRef.current = createScoring();
+    runProgressRef.current = createRunProgress();
+    historyRef.current = null;
+    bestToBeatRef.current = null;
+    setMultiplier(1);
+    rendererRef.current?.clearEffects();
+    dispatchGame('restart');
+    setShareStatus(null);
+    ghostRef.current = null;
+    playbackRef.current = null;
+    setReplaying(null);
+    // Versus lanes start over with fresh balls
+    if (matchRef.current?.mode === 'versus') setMatchNumber(n => n + 1);
   };
 
-  function playSound(sound) {
-    const audio = new window.Audio(sound);
-    audio.currentTime = 0;
-    audio.volume = 0.7;
-    audio.play();
-  }
+  // Menus opened mid-run pause it first
+  const openMenu = (show) => {
+    pauseGame();
+    show(true);
+  };
+
+  const running = inRun(game);
+
+  // Wind on the field: the replayed run's, or the current rules'
+  const fieldPhysics = replaying ? runPhysics(replaying) : runRules(challenge, difficulty);
 
   if (!assetsLoaded) {
     return (
       <div className="loading-assets">
         <div className="spinner"></div>
-        <div>Loading game assets...</div>
+        <div>{t('loading.assets')}</div>
+        <div className="loading-progress">
+          <div className="loading-progress-bar" style={{ width: `${Math.round(assetProgress * 100)}%` }}></div>
+        </div>
       </div>
     );
   }
 
   return (
-    <div className="container" onClick={handleContainerClick}>
+    <div className="container" data-pitch={pitch} onClick={handleContainerClick}>
       {/* Ground Line */}
       {/* <div className="ground-area"></div>
       <div className="ground-line"></div>
        */}
-      {/* Leaderboard Button */}
-      <button 
-        className="leaderboard-button" 
-        onClick={() => setShowLeaderboard(true)}
-      >
-        <span>🏆</span>
-        Leaderboard
-      </button>
+      {match?.mode !== 'versus' && (
+        <Playfield rendererRef={rendererRef} onKick={handlePointerKick} onResize={handlePlayfieldResize} />
+      )}
+
+      <div className="menu-buttons">
+        {game.status === 'playing' && !replaying && (
+          <button className="leaderboard-button" onClick={pauseGame}>
+            <span>⏸</span>
+            {t('pause.pause')}
+          </button>
+        )}
+
+        <button
+          className="leaderboard-button"
+          onClick={() => setShowModePicker(true)}
+          disabled={running}
+        >
+          <span>👥</span>
+          {match ? t('menu.mode') : t('menu.twoPlayers')}
+        </button>
+
+        {!match && (
+          <button
+            className="leaderboard-button"
+            onClick={handleToggleChallenge}
+            disabled={running}
+          >
+            <span>{challenge ? '⚽' : '📅'}</span>
+            {challenge ? t('menu.classic') : t('menu.dailyChallenge')}
+          </button>
+        )}
+
+        <button
+          className="leaderboard-button"
+          onClick={() => openMenu(setShowStats)}
+        >
+          <span>📊</span>
+          {t('menu.myStats')}
+        </button>
+
+        <button
+          className="leaderboard-button"
+          onClick={() => openMenu(setShowSettings)}
+        >
+          <span>⚙️</span>
+          {t('menu.settings')}
+        </button>
+
+        <button
+          className="leaderboard-button"
+          onClick={() => openMenu(setShowAchievements)}
+        >
+          <span>🏅</span>
+          {t('menu.achievements')}
+        </button>
+
+        {/* Leaderboard Button */}
+        <button 
+          className="leaderboard-button" 
+          onClick={() => openMenu(setShowLeaderboard)}
+        >
+          <span>🏆</span>
+          {t('menu.leaderboard')}
+        </button>
+      </div>
       
-      <Scoreboard
-        score={score}
-        standby={standby}
-        best={best}
-      />
-      <Ball
-        x={position.x}
-        y={position.y}
-        radius={radius}
-        rotate={rotation}
-        scale={scale}
-        onStart={handleBallKick}
-        pulse={!gameStarted && !gameOver}
-      />
-      <Emoji
-        x={emoji.x}
-        y={emoji.y}
-        score={score}
-        miss={miss}
-        gameOver={gameOver}
-      />
+      {match?.mode === 'versus' ? (
+        <VersusGame
+          key={matchNumber}
+          names={match.players.map(player => player.name)}
+          physics={difficultyPhysics(difficulty)}
+          ballImage={ballImage(ballSkin, getKnownCountry())}
+          status={game.status}
+          onStart={startGame}
+          onPause={togglePause}
+          onFinish={handleVersusFinish}
+        />
+      ) : (
+        <>
+          {fieldPhysics.wind !== 0 && <WindIndicator wind={fieldPhysics.wind} />}
+
+          <Scoreboard
+            score={score}
+            status={replaying ? 'playing' : game.status}
+            best={best}
+            multiplier={multiplier}
+            label={replaying ? t('score.replay') : match ? t('score.playerRound', { name: match.players[match.turn].name, round: currentRound(match), rounds: match.rounds }) : undefined}
+          />
+        </>
+      )}
+
+      {/* Screen readers hear the end of a run; the score is announced by the Scoreboard */}
+      <div className="visually-hidden" role="alert">
+        {showGameOver ? t('a11y.gameOver', { score: lastScore, best }) : ''}
+      </div>
+
+      <AchievementToast queue={newAchievements} onDone={handleToastDone} />
+
+      {applyUpdate && !running && (
+        <UpdatePrompt onUpdate={applyUpdate} onDismiss={() => setApplyUpdate(null)} />
+      )}
+
+      {!running && !replaying && missingAssets.length > 0 && (
+        <div className="asset-warning">{describeMissingAssets(missingAssets)}</div>
+      )}
+
+      {replaying && (
+        <button className="replay-stop" onClick={stopReplay}>{t('replay.stop')}</button>
+      )}
+
+      {/* Hot-seat hand-over between attempts */}
+      {match?.mode === 'hotseat' && awaitingTurn && (
+        <div className="game-over-overlay">
+          <div
+            ref={turnDialogRef}
+            className="game-over-modal"
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="turn-title"
+            tabIndex={-1}
+          >
+            <div className="turn-hint">{t('match.round', { round: currentRound(match), rounds: match.rounds })}</div>
+            <h2 id="turn-title">{t('match.yourTurn', { name: match.players[match.turn].name })}</h2>
+            <button className="restart-hint" onClick={handleNextTurn} autoFocus>{t('match.go')}</button>
+          </div>
+        </div>
+      )}
+
+      {match?.finished && (
+        <MatchResults
+          match={match}
+          onRematch={() => handleSelectMode(match.mode)}
+          onExit={() => handleSelectMode(null)}
+        />
+      )}
+
+      {/* Paused mid-run; P also resumes, Escape through the focus trap */}
+      {showPause && (
+        <div className="game-over-overlay">
+          <div
+            ref={pauseDialogRef}
+            className="game-over-modal pause-modal"
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="pause-title"
+            tabIndex={-1}
+            onKeyDown={(e) => {
+              if (e.code === 'KeyP') resumeGame();
+            }}
+          >
+            <h2 id="pause-title">{t('pause.title')}</h2>
+            <div className="turn-hint">{t('pause.hint')}</div>
+            <button className="restart-hint" onClick={resumeGame} autoFocus>{t('pause.resume')}</button>
+            <button className="replay-button" onClick={handleRestart}>{t('pause.restart')}</button>
+          </div>
+        </div>
+      )}
+
+      {/* Count down before the ball moves again */}
+      {game.status === 'resuming' && (
+        <div className="resume-countdown" aria-live="assertive">
+          <span key={game.countdown}>{formatNumber(game.countdown)}</span>
+        </div>
+      )}
+
       {/* Ball will pulse when waiting to start */}
-      {gameOver && (
+      {showGameOver && (
         <div className="game-over-overlay">
-          <div className="game-over-modal">
-            <h2>Game Over!</h2>
+          <div
+            ref={gameOverDialogRef}
+            className="game-over-modal"
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="game-over-title"
+            tabIndex={-1}
+          >
+            <h2 id="game-over-title">{t('gameOver.title')}</h2>
+            {challenge && (
+              <div className="challenge-result">
+                <span className="challenge-label">{t('gameOver.challenge', { id: challenge.id })}</span>
+                <button className="share-button" onClick={handleShare}>
+                  {shareStatus === 'copied' ? t('gameOver.copied') : shareStatus === 'shared' ? t('gameOver.shared') : t('gameOver.share')}
+                </button>
+              </div>
+            )}
             <div className="score-display">
-              <span className="score-label2">Your Score</span>
-              <span className="final-score">{lastScore}</span>
+              <span className="score-label2">{t('gameOver.yourScore')}</span>
+              <span className="final-score">{formatNumber(lastScore)}</span>
             </div>
             <div className="best-display">
-              <span className="best-label">Best Score</span>
-              <span className="best-score">{best}</span>
+              <span className="best-label">{t('gameOver.bestScore')}</span>
+              <span className="best-score">{formatNumber(best)}</span>
             </div>
-            <button className="restart-hint" onClick={handleRestart}>Play Again</button>
+            <PlayerProfile profile={profile} onSave={handleProfileSave} />
+            <button className="restart-hint" onClick={handleRestart} autoFocus>{t('gameOver.playAgain')}</button>
+            <button className="replay-button" onClick={() => handleWatchReplay(lastRunRef.current)}>
+              {t('gameOver.watchReplay')}
+            </button>
           </div>
         </div>
       )}
@@ -340,6 +931,37 @@ function App() {
         isOpen={showLeaderboard} 
         onClose={() => setShowLeaderboard(false)} 
       />
+
+      <Achievements
+        isOpen={showAchievements}
+        onClose={() => setShowAchievements(false)}
+        unlocked={achievements.unlocked}
+      />
+
+      <MyStats
+        isOpen={showStats}
+        onClose={() => setShowStats(false)}
+        stats={stats}
+        replays={replays}
+        difficulty={difficulty}
+        onWatch={handleWatchReplay}
+      />
+
+      <ModePicker
+        isOpen={showModePicker}
+        onClose={() => setShowModePicker(false)}
+        onSelect={handleSelectMode}
+      />
+
+      <Settings
+        isOpen={showSettings}
+        onClose={() => setShowSettings(false)}
+        difficulty={difficulty}
+        onDifficultyChange={running || replaying || (match && !match.finished) ? null : handleDifficultyChange}
+        skins={{ ball: ballSkin, pitch }}
+        onSkinChange={handleSkinChange}
+        stats={stats}
+      />
     </div>
   );
 }
@@ -0,0 +1,36 @@
+import { useEffect } from 'react';
+import './AchievementToast.css';
+import { ACHIEVEMENTS } from '../game/achievements';
+import { t } from '../i18n';
+
+const TOAST_TIME = 3500;
+
+// "Achievement unlocked" notice over the game. queue holds the ids of fresh
+// unlocks; the first one shows for a few seconds, then onDone() drops it and
+// the next one follows.
+function AchievementToast({ queue, onDone }) {
+  const current = ACHIEVEMENTS.find(({ id }) => id === queue[0]);
+
+  useEffect(() => {
+    if (!current) return;
+    const timer = setTimeout(onDone, TOAST_TIME);
+    return () => clearTimeout(timer);
+  }, [current, onDone]);
+
+  // The live region stays mounted so screen readers catch every unlock
+  return (
+    <div className="achievement-toasts" role="status" aria-live="polite">
+      {current && (
+        <div key={current.id} className="achievement-toast">
+          <span className="achievement-toast-icon" aria-hidden="true">{current.icon}</span>
+          <span className="achievement-toast-text">
+            <span className="achievement-toast-label">{t('achievements.unlocked')}</span>
+            <span className="achievement-toast-name">{t(`achievements.${current.id}`)}</span>
+          </span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AchievementToast;
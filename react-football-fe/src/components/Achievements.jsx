@@ -0,0 +1,66 @@
+import './Achievements.css';
+import { ACHIEVEMENTS } from '../game/achievements';
+import { t, formatDate } from '../i18n';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+
+const DATE_FORMAT = {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+};
+
+// Gallery of every achievement, unlocked ones with the day they were earned.
+// unlocked is id -> time, see services/achievements.
+function Achievements({ isOpen, onClose, unlocked }) {
+  const dialogRef = useFocusTrap(isOpen, onClose);
+  if (!isOpen) return null;
+
+  const count = ACHIEVEMENTS.filter(({ id }) => unlocked[id]).length;
+
+  return (
+    <div className="leaderboard-overlay" onClick={onClose}>
+      <div
+        ref={dialogRef}
+        className="leaderboard-container"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="achievements-title"
+        tabIndex={-1}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="leaderboard-header">
+          <span className="leaderboard-icon">🏅</span>
+          <h2 id="achievements-title">{t('achievements.title')}</h2>
+          <button className="leaderboard-close" onClick={onClose} aria-label={t('a11y.close')}>
+            <span aria-hidden="true">✕</span>
+          </button>
+        </div>
+
+        <div className="leaderboard-content">
+          <p className="achievements-count">
+            {t('achievements.count', { unlocked: count, total: ACHIEVEMENTS.length })}
+          </p>
+          <ul className="country-list achievement-list">
+            {ACHIEVEMENTS.map(({ id, icon }) => {
+              const time = unlocked[id];
+              return (
+                <li key={id} className={`country-row achievement-row${time ? '' : ' locked'}`}>
+                  <span className="achievement-icon" aria-hidden="true">{time ? icon : '🔒'}</span>
+                  <span className="achievement-text">
+                    <span className="achievement-name">{t(`achievements.${id}`)}</span>
+                    <span className="achievement-desc">{t(`achievements.${id}Desc`)}</span>
+                  </span>
+                  <span className="achievement-status">
+                    {time ? formatDate(time, DATE_FORMAT) : t('achievements.locked')}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Achievements;
@@ -0,0 +1,44 @@
+import { useState, useEffect } from 'react';
+import { COUNTRIES } from '../data/countries';
+import { detectCountry } from '../services/country';
+import { t, countryName, getLocale } from '../i18n';
+
+// Countries in the current language, sorted the way that language sorts
+function sortedCountries() {
+  const collator = new Intl.Collator(getLocale());
+  return Object.keys(COUNTRIES)
+    .map(code => ({ code, label: countryName(code) }))
+    .sort((a, b) => collator.compare(a.label, b.label));
+}
+
+// Country select with an automatic option; '' means detect automatically
+function CountryPicker({ value, onChange, className }) {
+  const [detected, setDetected] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    detectCountry().then(country => {
+      if (!cancelled) setDetected(country);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return (
+    <select
+      className={className}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+    >
+      <option value="">
+        {detected ? t('country.automaticDetected', { country: countryName(detected) }) : t('country.automatic')}
+      </option>
+      {sortedCountries().map(({ code, label }) => (
+        <option key={code} value={code}>{label}</option>
+      ))}
+    </select>
+  );
+}
+
+export default CountryPicker;
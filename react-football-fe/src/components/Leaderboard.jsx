@@ -1,192 +1,228 @@
 import { useState, useEffect, useRef } from 'react';
 import './Leaderboard.css';
 import 'flag-icons/css/flag-icons.min.css';
-import { getLeaderboard } from '../services/api';
-
-// Country name to ISO 3166-1 alpha-2 code mapping
-const countryToCode = {
-  'Afghanistan': 'af',
-  'Albania': 'al',
-  'Algeria': 'dz',
-  'Argentina': 'ar',
-  'Australia': 'au',
-  'Austria': 'at',
-  'Bahrain': 'bh',
-  'Bangladesh': 'bd',
-  'Belgium': 'be',
-  'Brazil': 'br',
-  'Canada': 'ca',
-  'Chile': 'cl',
-  'China': 'cn',
-  'Colombia': 'co',
-  'Czech Republic': 'cz',
-  'Denmark': 'dk',
-  'Egypt': 'eg',
-  'Finland': 'fi',
-  'France': 'fr',
-  'Germany': 'de',
-  'Greece': 'gr',
-  'Hong Kong': 'hk',
-  'India': 'in',
-  'Indonesia': 'id',
-  'Ireland': 'ie',
-  'Israel': 'il',
-  'Italy': 'it',
-  'Japan': 'jp',
-  'Jordan': 'jo',
-  'Kenya': 'ke',
-  'Kuwait': 'kw',
-  'Lebanon': 'lb',
-  'Malaysia': 'my',
-  'Mexico': 'mx',
-  'Morocco': 'ma',
-  'Netherlands': 'nl',
-  'New Zealand': 'nz',
-  'Nigeria': 'ng',
-  'Norway': 'no',
-  'Oman': 'om',
-  'Pakistan': 'pk',
-  'Peru': 'pe',
-  'Philippines': 'ph',
-  'Poland': 'pl',
-  'Portugal': 'pt',
-  'Qatar': 'qa',
-  'Romania': 'ro',
-  'Russia': 'ru',
-  'Saudi Arabia': 'sa',
-  'Singapore': 'sg',
-  'South Africa': 'za',
-  'South Korea': 'kr',
-  'Spain': 'es',
-  'Sweden': 'se',
-  'Switzerland': 'ch',
-  'Taiwan': 'tw',
-  'Thailand': 'th',
-  'Turkey': 'tr',
-  'Ukraine': 'ua',
-  'United Arab Emirates': 'ae',
-  'United Kingdom': 'gb',
-  'United States': 'us',
-  'Vietnam': 'vn',
-};
-
-// Get flag class for a country
+import CountryPicker from './CountryPicker';
+import { subscribeLeaderboard, getHighScores, registerPlayer } from '../services/api';
+import { getProfile } from '../services/profile';
+import { getSettings } from '../services/settings';
+import { getCountryChoice, setCountryChoice } from '../services/country';
+import { COUNTRIES } from '../data/countries';
+import { DIFFICULTIES } from '../game/difficulty';
+import { t, formatNumber, countryName } from '../i18n';
+import { reducedMotion } from '../services/motion';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+
+// Get flag class for a country code
 function getCountryFlag(country) {
   if (country === 'Worldwide') {
     return { type: 'emoji', value: '🌍' };
   }
-  if (country === 'Unknown') {
-    return { type: 'emoji', value: '🏳️' };
-  }
-  const code = countryToCode[country];
-  if (code) {
-    return { type: 'flag-icon', value: code };
+  if (COUNTRIES[country]) {
+    return { type: 'flag-icon', value: country.toLowerCase() };
   }
   return { type: 'emoji', value: '🏳️' };
 }
 
-function formatNumber(num) {
-  return num.toLocaleString();
-}
-
 function getRankIcon(rank) {
   if (rank === 1) return '🥇';
   if (rank === 2) return '🥈';
   if (rank === 3) return '🥉';
-  return rank;
+  return formatNumber(rank);
 }
 
-// Animated number component
-function AnimatedNumber({ value, duration = 500 }) {
+// Animated number component. Counts from whatever is on screen to the new
+// value, so updates arriving mid-animation continue smoothly. With reduced
+// motion the new value is shown straight away.
+function AnimatedNumber({ value, duration = 500, linear = false }) {
   const [displayValue, setDisplayValue] = useState(value);
-  const previousValue = useRef(value);
+  const displayedRef = useRef(value);
 
   useEffect(() => {
-    if (previousValue.current === value) return;
-    
-    const startValue = previousValue.current;
+    const startValue = displayedRef.current;
+    if (startValue === value) return;
+
     const endValue = value;
     const startTime = performance.now();
-    
+    let frame;
+
     const animate = (currentTime) => {
       const elapsed = currentTime - startTime;
       const progress = Math.min(elapsed / duration, 1);
-      
-      // Easing function for smooth animation
-      const easeOut = 1 - Math.pow(1 - progress, 3);
-      const currentValue = Math.floor(startValue + (endValue - startValue) * easeOut);
-      
+
+      // Easing function for smooth animation; linear keeps a live counter ticking evenly
+      const eased = linear ? progress : 1 - Math.pow(1 - progress, 3);
+      const currentValue = progress < 1
+        ? Math.floor(startValue + (endValue - startValue) * eased)
+        : endValue;
+
+      displayedRef.current = currentValue;
       setDisplayValue(currentValue);
-      
+
       if (progress < 1) {
-        requestAnimationFrame(animate);
-      } else {
-        setDisplayValue(endValue);
-        previousValue.current = endValue;
+        frame = requestAnimationFrame(animate);
       }
     };
-    
-    requestAnimationFrame(animate);
-  }, [value, duration]);
 
-  return <>{displayValue.toLocaleString()}</>;
+    frame = requestAnimationFrame(animate);
+    return () => cancelAnimationFrame(frame);
+  }, [value, duration, linear]);
+
+  return <>{formatNumber(reducedMotion() ? value : displayValue)}</>;
+}
+
+const periods = [
+  { id: 'all', label: 'leaderboard.allTime' },
+  { id: 'weekly', label: 'leaderboard.thisWeek' },
+  { id: 'daily', label: 'leaderboard.today' },
+  { id: 'challenge', label: 'leaderboard.challenge' },
+];
+
+function CountryFlag({ country }) {
+  const flag = getCountryFlag(country);
+  return (
+    <span className="country-flag">
+      {flag.type === 'flag-icon' ? (
+        <span className={`fi fi-${flag.value}`}></span>
+      ) : (
+        flag.value
+      )}
+    </span>
+  );
+}
+
+// Individual high score table. Each difficulty has its own, starting with the
+// one the player plays; the daily challenge is the same for everyone.
+function TopPlayers() {
+  const [period, setPeriod] = useState('all');
+  const [difficulty, setDifficulty] = useState(() => getSettings('game').difficulty);
+  const [scores, setScores] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    getHighScores(period, difficulty).then(data => {
+      if (cancelled) return;
+      setScores(data);
+      setLoading(false);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [period, difficulty]);
+
+  const selectPeriod = (id) => {
+    if (id === period) return;
+    setLoading(true);
+    setPeriod(id);
+  };
+
+  const selectDifficulty = (id) => {
+    if (id === difficulty) return;
+    setLoading(true);
+    setDifficulty(id);
+  };
+
+  return (
+    <div className="top-players">
+      <div className="period-tabs" role="tablist">
+        {periods.map(p => (
+          <button
+            key={p.id}
+            role="tab"
+            aria-selected={period === p.id}
+            className={`period-tab${period === p.id ? ' active' : ''}`}
+            onClick={() => selectPeriod(p.id)}
+          >
+            {t(p.label)}
+          </button>
+        ))}
+      </div>
+
+      {period !== 'challenge' && (
+        <div className="period-tabs" role="tablist" aria-label={t('settings.difficulty')}>
+          {Object.entries(DIFFICULTIES).map(([id, { icon }]) => (
+            <button
+              key={id}
+              role="tab"
+              aria-selected={difficulty === id}
+              className={`period-tab${difficulty === id ? ' active' : ''}`}
+              onClick={() => selectDifficulty(id)}
+            >
+              <span aria-hidden="true">{icon}</span> {t(`difficulty.${id}`)}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="leaderboard-loading">
+          <div className="spinner"></div>
+          <p>{t('leaderboard.loading')}</p>
+        </div>
+      ) : scores.length === 0 ? (
+        <div className="leaderboard-empty">
+          <p>{t('leaderboard.empty')}</p>
+        </div>
+      ) : (
+        <div className="country-list">
+          {/* Registered players can share a nickname and country: rows are keyed by the player */}
+          {scores.map((item, index) => (
+            <div key={item.player} className="country-row">
+              <span className="rank">{getRankIcon(index + 1)}</span>
+              <CountryFlag country={item.country} />
+              <span className="player-avatar">{item.avatar}</span>
+              <span className="country-name">{item.nickname}</span>
+              <span className="click-count">{formatNumber(item.score)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
 }
 
 function Leaderboard({ isOpen, onClose }) {
+  const dialogRef = useFocusTrap(isOpen, onClose);
+  const [tab, setTab] = useState('countries');
+  const [countryChoice, setChoice] = useState(() => getCountryChoice());
   const [leaderboardData, setLeaderboardData] = useState([]);
   const [worldwideData, setWorldwideData] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
   const [isRefreshing, setIsRefreshing] = useState(false);
 
+  // Live updates while open
   useEffect(() => {
-    if (isOpen) {
-      fetchLeaderboard();
-      
-      // Auto-refresh every 5 seconds
-      const interval = setInterval(() => {
-        refreshLeaderboard();
-      }, 5000);
-      
-      return () => clearInterval(interval);
-    }
-  }, [isOpen]);
+    if (!isOpen) return;
 
-  const fetchLeaderboard = async () => {
-    setLoading(true);
-    setError(null);
-    try {
-      const data = await getLeaderboard();
-      
+    let refreshTimer = null;
+    const unsubscribe = subscribeLeaderboard(data => {
       // Separate worldwide from countries
       const worldwide = data.find(item => item.country === 'Worldwide');
       const countries = data.filter(item => item.country !== 'Worldwide');
-      
+
       setWorldwideData(worldwide);
       setLeaderboardData(countries);
-    } catch (err) {
-      setError('Failed to load leaderboard');
-      console.error(err);
-    } finally {
       setLoading(false);
-    }
-  };
 
-  // Silent refresh without loading state
-  const refreshLeaderboard = async () => {
-    setIsRefreshing(true);
-    try {
-      const data = await getLeaderboard();
-      
-      const worldwide = data.find(item => item.country === 'Worldwide');
-      const countries = data.filter(item => item.country !== 'Worldwide');
-      
-      setWorldwideData(worldwide);
-      setLeaderboardData(countries);
-    } catch (err) {
-      console.error('Failed to refresh leaderboard:', err);
-    } finally {
-      setIsRefreshing(false);
+      // Blink the refresh indicator
+      setIsRefreshing(true);
+      clearTimeout(refreshTimer);
+      refreshTimer = setTimeout(() => setIsRefreshing(false), 300);
+    });
+
+    return () => {
+      unsubscribe();
+      clearTimeout(refreshTimer);
+    };
+  }, [isOpen]);
+
+  const handleCountryChange = (country) => {
+    setCountryChoice(country);
+    setChoice(country);
+    // Registered players carry their country on the server too
+    const profile = getProfile();
+    if (profile) {
+      registerPlayer({ ...profile, country });
     }
   };
 
@@ -194,24 +230,50 @@ function Leaderboard({ isOpen, onClose }) {
 
   return (
     <div className="leaderboard-overlay" onClick={onClose}>
-      <div className="leaderboard-container" onClick={(e) => e.stopPropagation()}>
+      <div
+        ref={dialogRef}
+        className="leaderboard-container"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="leaderboard-title"
+        tabIndex={-1}
+        onClick={(e) => e.stopPropagation()}
+      >
         <div className="leaderboard-header">
           <span className="leaderboard-icon">🏆</span>
-          <h2>Leaderboard</h2>
-          <button className="leaderboard-close" onClick={onClose}>
-            <span>✕</span>
+          <h2 id="leaderboard-title">{t('leaderboard.title')}</h2>
+          <button className="leaderboard-close" onClick={onClose} aria-label={t('a11y.close')}>
+            <span aria-hidden="true">✕</span>
+          </button>
+        </div>
+
+        <div className="leaderboard-tabs" role="tablist">
+          <button
+            role="tab"
+            aria-selected={tab === 'countries'}
+            className={`leaderboard-tab${tab === 'countries' ? ' active' : ''}`}
+            onClick={() => setTab('countries')}
+          >
+            {t('leaderboard.countries')}
+          </button>
+          <button
+            role="tab"
+            aria-selected={tab === 'players'}
+            className={`leaderboard-tab${tab === 'players' ? ' active' : ''}`}
+            onClick={() => setTab('players')}
+          >
+            {t('leaderboard.topPlayers')}
           </button>
         </div>
         
-        {loading ? (
+        {tab === 'players' ? (
+          <div className="leaderboard-content">
+            <TopPlayers />
+          </div>
+        ) : loading ? (
           <div className="leaderboard-loading">
             <div className="spinner"></div>
-            <p>Loading...</p>
-          </div>
-        ) : error ? (
-          <div className="leaderboard-error">
-            <p>{error}</p>
-            <button onClick={fetchLeaderboard}>Retry</button>
+            <p>{t('leaderboard.loading')}</p>
           </div>
         ) : (
           <div className="leaderboard-content">
@@ -219,39 +281,41 @@ function Leaderboard({ isOpen, onClose }) {
             {worldwideData && (
               <div className="worldwide-row">
                 <span className="country-flag">🌍</span>
-                <span className="country-name">Worldwide</span>
-                <span className="kps-badge" title="Kicks Per Second">{worldwideData.kps?.toFixed(1) || '0'} KPS</span>
+                <span className="country-name">{countryName('Worldwide')}</span>
+                <span className="kps-badge" title={t('leaderboard.kpsTitle')}>
+                  {t('leaderboard.kps', { kps: formatNumber(worldwideData.kps || 0, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) })}
+                </span>
                 <span className="click-count">
-                  <AnimatedNumber value={worldwideData.clicks} /> kicks
+                  <AnimatedNumber value={worldwideData.clicks} duration={1000} linear /> {t('leaderboard.kicks', { count: worldwideData.clicks })}
                 </span>
-                {isRefreshing && <span className="refresh-indicator">•</span>}
+                {isRefreshing && <span className="refresh-indicator" aria-hidden="true">•</span>}
               </div>
             )}
             
             {/* Country List */}
             <div className="country-list">
-              {leaderboardData.map((item, index) => {
-                const flag = getCountryFlag(item.country);
-                return (
-                  <div key={item.country} className="country-row">
-                    <span className="rank">{getRankIcon(index + 1)}</span>
-                    <span className="country-flag">
-                      {flag.type === 'flag-icon' ? (
-                        <span className={`fi fi-${flag.value}`}></span>
-                      ) : (
-                        flag.value
-                      )}
-                    </span>
-                    <span className="country-name">{item.country}</span>
-                    <span className="click-count">
-                      <AnimatedNumber value={item.clicks} />
-                    </span>
-                  </div>
-                );
-              })}
+              {leaderboardData.map((item, index) => (
+                <div key={item.country} className="country-row">
+                  <span className="rank">{getRankIcon(index + 1)}</span>
+                  <CountryFlag country={item.country} />
+                  <span className="country-name">{countryName(item.country)}</span>
+                  <span className="click-count">
+                    <AnimatedNumber value={item.clicks} />
+                  </span>
+                </div>
+              ))}
             </div>
           </div>
         )}
+
+        <div className="leaderboard-footer">
+          <span className="footer-label">{t('leaderboard.playingFor')}</span>
+          <CountryPicker
+            className="footer-country"
+            value={countryChoice}
+            onChange={handleCountryChange}
+          />
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,45 @@
+import { getResults } from '../game/modes';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+import { t, formatNumber } from '../i18n';
+
+const medals = ['🥇', '🥈', '🥉'];
+
+// Results screen for local multiplayer, replaces the single-player Game Over modal
+function MatchResults({ match, onRematch, onExit }) {
+  const dialogRef = useFocusTrap(true);
+  const { standings, winners } = getResults(match);
+  const headline = winners.length > 1
+    ? t('match.draw')
+    : t('match.wins', { name: winners[0].name });
+
+  return (
+    <div className="game-over-overlay">
+      <div
+        ref={dialogRef}
+        className="game-over-modal"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="match-results-title"
+        tabIndex={-1}
+      >
+        <h2 id="match-results-title">{headline}</h2>
+        <div className="match-standings">
+          {standings.map((player, rank) => (
+            <div key={player.index} className="match-row">
+              <span className="match-rank">{medals[rank] || formatNumber(rank + 1)}</span>
+              <span className="match-name">{player.name}</span>
+              {match.rounds > 1 && (
+                <span className="match-rounds">{player.scores.map(score => formatNumber(score)).join(' + ')}</span>
+              )}
+              <span className="match-total">{formatNumber(player.total)}</span>
+            </div>
+          ))}
+        </div>
+        <button className="restart-hint" onClick={onRematch} autoFocus>{t('match.rematch')}</button>
+        <button className="match-exit" onClick={onExit}>{t('match.exit')}</button>
+      </div>
+    </div>
+  );
+}
+
+export default MatchResults;
@@ -0,0 +1,51 @@
+import { MATCH_MODES } from '../game/modes';
+import { t } from '../i18n';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+
+// Choose between single player and the local multiplayer modes
+function ModePicker({ isOpen, onClose, onSelect }) {
+  const dialogRef = useFocusTrap(isOpen, onClose);
+  if (!isOpen) return null;
+
+  return (
+    <div className="leaderboard-overlay" onClick={onClose}>
+      <div
+        ref={dialogRef}
+        className="leaderboard-container"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="modes-title"
+        tabIndex={-1}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="leaderboard-header">
+          <span className="leaderboard-icon">👥</span>
+          <h2 id="modes-title">{t('modes.title')}</h2>
+          <button className="leaderboard-close" onClick={onClose} aria-label={t('a11y.close')}>
+            <span aria-hidden="true">✕</span>
+          </button>
+        </div>
+
+        <div className="leaderboard-content">
+          <div className="country-list">
+            <button className="country-row mode-option" onClick={() => onSelect(null)}>
+              <span className="country-flag">⚽</span>
+              <span className="country-name">{t('modes.single')}</span>
+            </button>
+            {Object.entries(MATCH_MODES).map(([id, mode]) => (
+              <button key={id} className="country-row mode-option" onClick={() => onSelect(id)}>
+                <span className="country-flag">{mode.icon}</span>
+                <span className="country-name">{t(`modes.${id}`)}</span>
+                <span className="click-count">
+                  {mode.rounds > 1 ? t('modes.rounds', { rounds: mode.rounds }) : t('modes.sameTime')}
+                </span>
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ModePicker;
@@ -0,0 +1,132 @@
+import './MyStats.css';
+import { histogramBuckets, getBest } from '../services/stats';
+import { DIFFICULTIES, DEFAULT_DIFFICULTY } from '../game/difficulty';
+import { t, formatNumber, formatDate } from '../i18n';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+
+const DATE_FORMAT = {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+};
+
+// Marks a daily challenge entry, or the difficulty of a classic one
+function RunMark({ challenge, difficulty = DEFAULT_DIFFICULTY }) {
+  if (challenge) return <span title={t('stats.dailyChallenge')}>📅 </span>;
+  return <span title={t(`difficulty.${difficulty}`)}>{DIFFICULTIES[difficulty]?.icon} </span>;
+}
+
+function MyStats({ isOpen, onClose, stats, replays, difficulty, onWatch }) {
+  const dialogRef = useFocusTrap(isOpen, onClose);
+  if (!isOpen) return null;
+
+  // Saved best runs, daily challenge first
+  const bestRuns = [replays.daily, ...replays.classic].filter(Boolean);
+
+  const buckets = histogramBuckets();
+  const maxCount = Math.max(1, ...buckets.map(b => stats.histogram[b] || 0));
+  const average = stats.gamesPlayed > 0
+    ? stats.recentGames.reduce((sum, g) => sum + g.score, 0) / stats.recentGames.length
+    : 0;
+
+  return (
+    <div className="leaderboard-overlay" onClick={onClose}>
+      <div
+        ref={dialogRef}
+        className="leaderboard-container"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="stats-title"
+        tabIndex={-1}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="leaderboard-header">
+          <span className="leaderboard-icon">📊</span>
+          <h2 id="stats-title">{t('stats.title')}</h2>
+          <button className="leaderboard-close" onClick={onClose} aria-label={t('a11y.close')}>
+            <span aria-hidden="true">✕</span>
+          </button>
+        </div>
+
+        <div className="leaderboard-content">
+          <div className="stats-summary">
+            <div className="stats-tile">
+              <span className="stats-value">{formatNumber(getBest(stats, difficulty))}</span>
+              <span className="stats-label">{t('stats.best', { difficulty: t(`difficulty.${difficulty}`) })}</span>
+            </div>
+            <div className="stats-tile">
+              <span className="stats-value">{formatNumber(stats.gamesPlayed)}</span>
+              <span className="stats-label">{t('stats.games')}</span>
+            </div>
+            <div className="stats-tile">
+              <span className="stats-value">{formatNumber(stats.totalKicks)}</span>
+              <span className="stats-label">{t('stats.totalKicks')}</span>
+            </div>
+            <div className="stats-tile">
+              <span className="stats-value">{formatNumber(average, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}</span>
+              <span className="stats-label">{t('stats.recentAverage')}</span>
+            </div>
+          </div>
+
+          {stats.gamesPlayed === 0 ? (
+            <div className="leaderboard-empty">
+              <p>{t('stats.empty')}</p>
+            </div>
+          ) : (
+            <>
+              <h3 className="stats-heading">{t('stats.scores')}</h3>
+              <div className="stats-histogram">
+                {buckets.map(bucket => {
+                  const count = stats.histogram[bucket] || 0;
+                  return (
+                    <div key={bucket} className="histogram-column" title={`${bucket}: ${formatNumber(count)}`}>
+                      <div
+                        className="histogram-bar"
+                        style={{ height: `${(count / maxCount) * 100}%` }}
+                      ></div>
+                      <span className="histogram-label">{bucket}</span>
+                    </div>
+                  );
+                })}
+              </div>
+
+              {bestRuns.length > 0 && (
+                <>
+                  <h3 className="stats-heading">{t('stats.bestRuns')}</h3>
+                  <div className="country-list">
+                    {bestRuns.map(run => (
+                      <button key={run.time} className="country-row replay-row" onClick={() => onWatch(run)}>
+                        <span className="country-flag">▶</span>
+                        <span className="country-name">
+                          <RunMark challenge={run.challenge} difficulty={run.difficulty} />
+                          {formatDate(run.time, DATE_FORMAT)}
+                        </span>
+                        <span className="click-count">{formatNumber(run.score)}</span>
+                      </button>
+                    ))}
+                  </div>
+                </>
+              )}
+
+              <h3 className="stats-heading">{t('stats.recentGames')}</h3>
+              <div className="country-list">
+                {stats.recentGames.map(game => (
+                  <div key={game.time} className="country-row">
+                    <span className="country-name">
+                      <RunMark challenge={game.challenge} difficulty={game.difficulty} />
+                      {formatDate(game.time, DATE_FORMAT)}
+                    </span>
+                    <span className="click-count">{formatNumber(game.score)}</span>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default MyStats;
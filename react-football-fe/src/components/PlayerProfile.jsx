@@ -0,0 +1,74 @@
+import { useState } from 'react';
+import './PlayerProfile.css';
+import CountryPicker from './CountryPicker';
+import { avatars } from '../services/profile';
+import { getCountryChoice } from '../services/country';
+import { t } from '../i18n';
+
+// Nickname / avatar / country form shown on the Game Over screen
+function PlayerProfile({ profile, onSave }) {
+  const [editing, setEditing] = useState(!profile);
+  const [nickname, setNickname] = useState(profile?.nickname || '');
+  const [avatar, setAvatar] = useState(profile?.avatar || avatars[0]);
+  const [country, setCountry] = useState(() => getCountryChoice());
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!nickname.trim()) return;
+
+    setSaving(true);
+    await onSave({ nickname: nickname.trim(), avatar, country });
+    setSaving(false);
+    setEditing(false);
+  };
+
+  if (!editing) {
+    return (
+      <div className="profile-summary">
+        <span className="profile-avatar">{profile.avatar}</span>
+        <span className="profile-nickname">{profile.nickname}</span>
+        <button className="profile-edit" onClick={() => setEditing(true)}>{t('profile.edit')}</button>
+      </div>
+    );
+  }
+
+  return (
+    <form className="profile-form" onSubmit={handleSubmit}>
+      <span className="profile-title">
+        {profile ? t('profile.editTitle') : t('profile.newTitle')}
+      </span>
+      <input
+        className="profile-input"
+        type="text"
+        placeholder={t('profile.nickname')}
+        maxLength={20}
+        value={nickname}
+        onChange={(e) => setNickname(e.target.value)}
+        autoFocus
+      />
+      <div className="profile-avatars">
+        {avatars.map(a => (
+          <button
+            key={a}
+            type="button"
+            className={`profile-avatar-option${a === avatar ? ' selected' : ''}`}
+            onClick={() => setAvatar(a)}
+          >
+            {a}
+          </button>
+        ))}
+      </div>
+      <CountryPicker
+        className="profile-country"
+        value={country}
+        onChange={setCountry}
+      />
+      <button className="profile-save" type="submit" disabled={saving || !nickname.trim()}>
+        {saving ? t('profile.saving') : t('profile.save')}
+      </button>
+    </form>
+  );
+}
+
+export default PlayerProfile;
@@ -0,0 +1,68 @@
+import { useEffect, useRef } from 'react';
+import './Playfield.css';
+import { createRenderer } from '../render/renderer';
+import { observeSize } from '../render/scene';
+import { swipeKick } from '../services/input';
+import { t } from '../i18n';
+
+// Hosts the renderer that draws the ball, obstacles and effects, and turns
+// pointer gestures on the ball into kicks. The renderer is handed to the
+// parent through rendererRef so its game loop can draw every frame.
+// Keyboard and gamepad kicks are handled by the parent (services/input).
+// onResize({ width, height }) reports the playfield's size in pixels, inside
+// the screen's safe area, so the parent can pick the world to play in.
+function Playfield({ rendererRef, onKick, onResize }) {
+  const containerRef = useRef(null);
+  const gestureRef = useRef(null); // Pointer that went down on the ball
+  const onKickRef = useRef(onKick);
+  const onResizeRef = useRef(onResize);
+
+  useEffect(() => {
+    onKickRef.current = onKick;
+    onResizeRef.current = onResize;
+  }, [onKick, onResize]);
+
+  useEffect(() => {
+    const renderer = createRenderer(containerRef.current);
+    rendererRef.current = renderer;
+    return () => {
+      renderer.destroy();
+      rendererRef.current = null;
+    };
+  }, [rendererRef]);
+
+  useEffect(() => observeSize(containerRef.current, size => onResizeRef.current?.(size)), []);
+
+  const handlePointerDown = (e) => {
+    const renderer = rendererRef.current;
+    const hit = renderer?.hitTest(e.clientX, e.clientY);
+    if (!hit) return;
+
+    e.currentTarget.setPointerCapture(e.pointerId);
+    gestureRef.current = { hit, start: renderer.pointer(e.clientX, e.clientY) };
+  };
+
+  const handlePointerUp = (e) => {
+    const gesture = gestureRef.current;
+    const renderer = rendererRef.current;
+    if (!gesture || !renderer) return;
+    gestureRef.current = null;
+
+    // Pass both click position on ball and swipe direction, in world units
+    onKickRef.current(swipeKick(gesture.hit, gesture.start, renderer.pointer(e.clientX, e.clientY)));
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      className="playfield"
+      tabIndex={0}
+      role="application"
+      aria-label={t('a11y.playfield')}
+      onPointerDown={handlePointerDown}
+      onPointerUp={handlePointerUp}
+    />
+  );
+}
+
+export default Playfield;
@@ -1,17 +1,28 @@
 import './Scoreboard.css';
+import { t, formatNumber } from '../i18n';
 
-function Scoreboard({ score, standby, best }) {
+// status is the game's (see game/lifecycle.js): before and after a run the
+// board shows the best score, during one the current score.
+// With a label (e.g. a player name) the board always shows that player's score
+// The combo multiplier is shown under the score while it's above x1
+function Scoreboard({ score, status, best, label, multiplier = 1 }) {
+  const standby = status === 'idle' || status === 'over';
+  const paused = status === 'paused' || status === 'resuming';
+  const showBest = standby && label === undefined;
   return (
-    <div className="score-container">
+    <div className={`score-container${paused ? ' paused' : ''}`} role="status" aria-atomic="true">
       <span className="score-label">
-        {standby ? 'Current best' : '\u00A0'}
+        {label ?? (standby ? t('score.currentBest') : paused ? t('pause.title') : '\u00A0')}
       </span>
       <span 
         className="score-value"
-        style={{ color: standby ? '#3ba05c' : 'white' }}
+        style={{ color: showBest ? '#3ba05c' : 'white' }}
       >
-        {standby ? best : score}
+        {formatNumber(showBest ? best : score)}
       </span>
+      {!standby && multiplier > 1 && (
+        <span className="score-multiplier">{t('score.combo', { multiplier })}</span>
+      )}
     </div>
   );
 }
@@ -0,0 +1,187 @@
+import { useState } from 'react';
+import './Settings.css';
+import { getAudioSettings, setAudioSettings } from '../services/audio';
+import { getSettings, updateSettings } from '../services/settings';
+import { setMotion } from '../services/motion';
+import { DIFFICULTIES } from '../game/difficulty';
+import { SKINS, skinUnlocked } from '../render/skins';
+import { t, formatNumber, setLocale, LANGUAGES } from '../i18n';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+
+const SLIDERS = [
+  { key: 'master', label: 'settings.masterVolume' },
+  { key: 'sfx', label: 'settings.effectsVolume' },
+];
+
+const DISPLAY_OPTIONS = [
+  { key: 'ghost', label: 'settings.ghost' },
+  { key: 'popups', label: 'settings.popups' },
+  { key: 'effects', label: 'settings.effects' },
+];
+
+const SKIN_KINDS = [
+  { kind: 'ball', label: 'settings.ball' },
+  { kind: 'pitch', label: 'settings.pitch' },
+];
+
+// What it takes to unlock a skin
+function unlockText({ best, totalKicks }) {
+  return best ? t('skins.unlockBest', { score: best }) : t('skins.unlockKicks', { kicks: totalKicks });
+}
+
+// Difficulty, skins, sound, display and language, saved as the player changes
+// them. The difficulty belongs to the game (App); onDifficultyChange is null
+// while it can't be changed, during a run or a match. Skins also belong to the
+// game, which knows the stats (local stats) that unlock them.
+function Settings({ isOpen, onClose, difficulty, onDifficultyChange, skins, onSkinChange, stats }) {
+  const dialogRef = useFocusTrap(isOpen, onClose);
+  const [audio, setAudio] = useState(getAudioSettings);
+  const [display, setDisplay] = useState(() => getSettings('display'));
+  const [language, setLanguage] = useState(() => getSettings('general').language);
+  const [motion, setMotionChoice] = useState(() => getSettings('general').motion);
+
+  if (!isOpen) return null;
+
+  const updateAudio = (changes) => setAudio(setAudioSettings(changes));
+  const updateDisplay = (changes) => setDisplay(updateSettings('display', changes));
+
+  const handleLanguageChange = (value) => {
+    setLanguage(value);
+    setLocale(value);
+  };
+
+  const handleMotionChange = (value) => {
+    setMotionChoice(value);
+    setMotion(value);
+  };
+
+  return (
+    <div className="leaderboard-overlay" onClick={onClose}>
+      <div
+        ref={dialogRef}
+        className="leaderboard-container"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="settings-title"
+        tabIndex={-1}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="leaderboard-header">
+          <span className="leaderboard-icon">⚙️</span>
+          <h2 id="settings-title">{t('settings.title')}</h2>
+          <button className="leaderboard-close" onClick={onClose} aria-label={t('a11y.close')}>
+            <span aria-hidden="true">✕</span>
+          </button>
+        </div>
+
+        <div className="leaderboard-content">
+          <h3 className="settings-heading">🎯 {t('settings.difficulty')}</h3>
+          <div className="settings-choices" role="radiogroup" aria-label={t('settings.difficulty')}>
+            {Object.entries(DIFFICULTIES).map(([id, { icon }]) => (
+              <button
+                key={id}
+                role="radio"
+                aria-checked={difficulty === id}
+                className={`settings-choice${difficulty === id ? ' active' : ''}`}
+                disabled={!onDifficultyChange}
+                onClick={() => difficulty !== id && onDifficultyChange(id)}
+              >
+                <span aria-hidden="true">{icon}</span> {t(`difficulty.${id}`)}
+              </button>
+            ))}
+          </div>
+          <p className="settings-hint">
+            {onDifficultyChange ? t(`difficulty.${difficulty}Hint`) : t('settings.difficultyLocked')}
+          </p>
+
+          <h3 className="settings-heading">🎨 {t('settings.skins')}</h3>
+          {SKIN_KINDS.map(({ kind, label }) => (
+            <div key={kind}>
+              <p className="settings-subheading">{t(label)}</p>
+              <div className="settings-choices wrap" role="radiogroup" aria-label={t(label)}>
+                {Object.entries(SKINS[kind]).map(([id, { icon, unlock }]) => {
+                  const unlocked = skinUnlocked(kind, id, stats);
+                  return (
+                    <button
+                      key={id}
+                      role="radio"
+                      aria-checked={skins[kind] === id}
+                      className={`settings-choice${skins[kind] === id ? ' active' : ''}`}
+                      disabled={!unlocked}
+                      onClick={() => skins[kind] !== id && onSkinChange(kind, id)}
+                    >
+                      <span aria-hidden="true">{unlocked ? icon : '🔒'}</span> {t(`skins.${kind}.${id}`)}
+                      {!unlocked && <small className="settings-unlock">{unlockText(unlock)}</small>}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+          <p className="settings-hint">{t('skins.hint')}</p>
+
+          <h3 className="settings-heading">{audio.muted ? '🔇' : '🔊'} {t('settings.sound')}</h3>
+          <label className="settings-row">
+            <span className="settings-label">{t('settings.mute')}</span>
+            <input
+              type="checkbox"
+              checked={audio.muted}
+              onChange={(e) => updateAudio({ muted: e.target.checked })}
+            />
+          </label>
+
+          {SLIDERS.map(({ key, label }) => (
+            <label key={key} className="settings-row">
+              <span className="settings-label">{t(label)}</span>
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.05"
+                value={audio[key]}
+                disabled={audio.muted}
+                onChange={(e) => updateAudio({ [key]: Number(e.target.value) })}
+              />
+              <span className="settings-value">{formatNumber(audio[key], { style: 'percent' })}</span>
+            </label>
+          ))}
+
+          <h3 className="settings-heading">👁️ {t('settings.display')}</h3>
+          {DISPLAY_OPTIONS.map(({ key, label }) => (
+            <label key={key} className="settings-row">
+              <span className="settings-label">{t(label)}</span>
+              <input
+                type="checkbox"
+                checked={display[key]}
+                onChange={(e) => updateDisplay({ [key]: e.target.checked })}
+              />
+            </label>
+          ))}
+
+          <h3 className="settings-heading">🌐 {t('settings.language')}</h3>
+          <label className="settings-row">
+            <span className="settings-label">{t('settings.language')}</span>
+            <select value={language} onChange={(e) => handleLanguageChange(e.target.value)}>
+              <option value="">{t('settings.languageAutomatic')}</option>
+              {Object.entries(LANGUAGES).map(([id, { name }]) => (
+                <option key={id} value={id}>{name}</option>
+              ))}
+            </select>
+          </label>
+
+          <h3 className="settings-heading">♿ {t('settings.accessibility')}</h3>
+          <label className="settings-row">
+            <span className="settings-label">{t('settings.motion')}</span>
+            <select value={motion} onChange={(e) => handleMotionChange(e.target.value)}>
+              <option value="">{t('settings.motionAutomatic')}</option>
+              <option value="reduce">{t('settings.motionReduced')}</option>
+              <option value="full">{t('settings.motionFull')}</option>
+            </select>
+          </label>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Settings;
@@ -0,0 +1,15 @@
+import './UpdatePrompt.css';
+import { t } from '../i18n';
+
+// Offered between runs when a new version of the game has been downloaded
+function UpdatePrompt({ onUpdate, onDismiss }) {
+  return (
+    <div className="update-prompt">
+      <span>{t('update.available')}</span>
+      <button className="update-prompt-apply" onClick={onUpdate}>{t('update.apply')}</button>
+      <button className="update-prompt-dismiss" onClick={onDismiss}>✕</button>
+    </div>
+  );
+}
+
+export default UpdatePrompt;
@@ -0,0 +1,201 @@
+import { useState, useEffect, useRef, createRef } from 'react';
+import './VersusGame.css';
+import Scoreboard from './Scoreboard';
+import Playfield from './Playfield';
+import { submitClick } from '../services/api';
+import { playSound, kickVariation, impactVariation } from '../services/audio';
+import { startInput, withinReach } from '../services/input';
+import { DEFAULT_PHYSICS, createBall, createSimulation, advance, kick, obstaclePosition } from '../game/physics';
+import { createScoring, scoreKick, registerEvent } from '../game/scoring';
+import { worldFor } from '../game/world';
+import { t } from '../i18n';
+
+// Each player gets an equal vertical slice of the screen
+function getLaneSize(size, laneCount) {
+  return { width: size.width / laneCount, height: size.height };
+}
+
+// Split-screen simultaneous play: one ball per player, each in its own lane.
+// Calls onFinish(scores) once every ball has hit the ground. Players kick by
+// tapping their ball, or with their half of the keyboard or their gamepad.
+// physics is the same for every lane (the chosen difficulty), and so is the
+// world, picked for the lanes' shape when the match starts. Every lane is a
+// Playfield drawn by its own renderer from the loop below, like the main
+// game; React only renders the lanes' scoreboards. ballImage is the ball
+// skin, the same for everyone.
+//
+// The match follows the game lifecycle (game/lifecycle.js) of its parent:
+// status is the lifecycle status, onStart() is called on the first kick and
+// onPause() when a player asks to pause. The balls only move while the
+// status is 'playing'.
+function VersusGame({ names, physics = DEFAULT_PHYSICS, ballImage, status, onStart, onPause, onFinish }) {
+  const laneCount = names.length;
+  const { radius, kickStrength } = physics;
+  const [world] = useState(() => worldFor(getLaneSize({ width: window.innerWidth, height: window.innerHeight }, laneCount)));
+  const [scores, setScores] = useState(() => names.map(() => 0));
+  const [started, setStarted] = useState(() => names.map(() => false));
+  const [done, setDone] = useState(() => names.map(() => false));
+  const [renderers] = useState(() => names.map(() => createRef())); // One per lane, see Playfield
+
+  const simsRef = useRef(names.map(() => createSimulation(createBall(world, physics))));
+  const scoringsRef = useRef(names.map(() => createScoring()));
+  const scoresRef = useRef(scores);
+  const startedRef = useRef(started);
+  const doneRef = useRef(done);
+  const aimsRef = useRef(names.map(() => null)); // Keyboard / gamepad aim per lane
+  const statusRef = useRef(status);
+  const onStartRef = useRef(onStart);
+  const onPauseRef = useRef(onPause);
+  const onFinishRef = useRef(onFinish);
+  const ballImageRef = useRef(ballImage);
+  const physicsRef = useRef(physics); // Settings can't change during a match
+  const handleKickRef = useRef(null);
+
+  useEffect(() => {
+    statusRef.current = status;
+    onStartRef.current = onStart;
+    onPauseRef.current = onPause;
+    onFinishRef.current = onFinish;
+    ballImageRef.current = ballImage;
+  }, [status, onStart, onPause, onFinish, ballImage]);
+
+  // Physics and drawing loop for all lanes
+  useEffect(() => {
+    let animationId;
+    let lastTime = performance.now();
+    let finished = false;
+
+    const updateLanes = (deltaTime) => {
+      simsRef.current = simsRef.current.map((current, lane) => {
+        if (!startedRef.current[lane] || doneRef.current[lane]) return current;
+
+        const { sim, events } = advance(current, deltaTime, world, physicsRef.current);
+        events.forEach(event => {
+          scoringsRef.current[lane] = registerEvent(scoringsRef.current[lane], event);
+          if (event.type === 'wallHit' || event.type === 'obstacleHit') {
+            playSound('wall', impactVariation(event.speed));
+          } else if (event.type === 'groundHit' && scoresRef.current[lane] > 0) {
+            // This player's run is over
+            doneRef.current = doneRef.current.map((d, i) => (i === lane ? true : d));
+            setDone(doneRef.current);
+            playSound('end');
+          }
+        });
+        return sim;
+      });
+    };
+
+    const draw = () => {
+      const { obstacles, radius: ballRadius } = physicsRef.current;
+      simsRef.current.forEach(({ ball }, lane) => {
+        renderers[lane].current?.draw({
+          world,
+          ball,
+          obstacles: obstacles.map(obstacle => obstaclePosition(obstacle, ball.time, world)),
+          radius: ballRadius,
+          pulse: !startedRef.current[lane],
+          aim: aimsRef.current[lane],
+          ballImage: ballImageRef.current,
+        });
+      });
+    };
+
+    const updatePhysics = (currentTime) => {
+      const deltaTime = currentTime - lastTime;
+      lastTime = currentTime;
+
+      // Paused and counting down, the balls stay where they are
+      if (statusRef.current === 'playing') updateLanes(deltaTime);
+      draw();
+
+      if (!finished && doneRef.current.every(Boolean)) {
+        finished = true;
+        onFinishRef.current(scoresRef.current);
+      }
+
+      animationId = requestAnimationFrame(updatePhysics);
+    };
+
+    animationId = requestAnimationFrame(updatePhysics);
+
+    return () => cancelAnimationFrame(animationId);
+  }, [world, renderers]);
+
+  const setAim = (lane, aim) => {
+    aimsRef.current = aimsRef.current.map((a, i) => (i === lane ? aim : a));
+  };
+
+  // Keyboard and gamepads, one player each
+  useEffect(() => startInput({
+    players: laneCount,
+    getRadius: () => physicsRef.current.radius,
+    onAim: (lane, aim) => setAim(lane, aim),
+    onKick: (lane, input, aim) => {
+      setAim(lane, aim);
+      if (withinReach(simsRef.current[lane].ball, world)) {
+        handleKickRef.current(lane, input);
+      }
+    },
+    onPause: () => onPauseRef.current?.(),
+  }), [laneCount, world]);
+
+  const handleKick = (lane, input) => {
+    const current = statusRef.current;
+    if (doneRef.current[lane] || (current !== 'idle' && current !== 'playing')) return;
+    if (current === 'idle') {
+      statusRef.current = 'playing';
+      onStartRef.current?.();
+    }
+
+    if (!startedRef.current[lane]) {
+      startedRef.current = startedRef.current.map((s, i) => (i === lane ? true : s));
+      setStarted(startedRef.current);
+    }
+
+    const sims = [...simsRef.current];
+    const result = scoreKick(scoringsRef.current[lane], input, sims[lane].ball.time, radius);
+    scoringsRef.current[lane] = result.scoring;
+
+    const kicked = kick(sims[lane].ball, input, physics);
+    sims[lane] = { ...sims[lane], ball: kicked };
+    simsRef.current = sims;
+
+    scoresRef.current = scoresRef.current.map((s, i) => (i === lane ? s + result.points : s));
+    setScores(scoresRef.current);
+
+    playSound('kick', kickVariation(Math.hypot(kicked.vx, kicked.vy), kickStrength));
+    submitClick();
+  };
+
+  useEffect(() => {
+    handleKickRef.current = handleKick;
+  });
+
+  // A tap hides the lane's aim until the keys are used again
+  const handleTap = (lane, input) => {
+    setAim(lane, null);
+    handleKick(lane, input);
+  };
+
+  return (
+    <div className="versus">
+      {names.map((name, lane) => (
+        <div
+          key={lane}
+          className={`versus-lane${done[lane] ? ' done' : ''}`}
+          style={{
+            left: `${(lane * 100) / laneCount}%`,
+            width: `${100 / laneCount}%`,
+          }}
+        >
+          <Playfield rendererRef={renderers[lane]} onKick={(input) => handleTap(lane, input)} />
+          <Scoreboard score={scores[lane]} status={started[lane] ? 'playing' : 'idle'} label={name} />
+          <span className="visually-hidden">{t(`a11y.lane${lane + 1}Controls`)}</span>
+          {done[lane] && <div className="lane-done">{t('match.done')}</div>}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default VersusGame;
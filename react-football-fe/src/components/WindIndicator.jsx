@@ -0,0 +1,15 @@
+import './WindIndicator.css';
+
+// Wind direction and strength under daily challenge rules
+function WindIndicator({ wind }) {
+  const windStrength = Math.min(Math.abs(wind) / 0.08, 1);
+  if (windStrength <= 0.1) return null;
+
+  return (
+    <div className="wind-indicator" style={{ opacity: 0.4 + windStrength * 0.6 }}>
+      💨 {wind < 0 ? '←' : '→'}
+    </div>
+  );
+}
+
+export default WindIndicator;
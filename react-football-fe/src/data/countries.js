@@ -0,0 +1,331 @@
+// Countries by ISO 3166-1 alpha-2 code, with their English names
+//
+// Countries are identified by code everywhere: in API payloads, on the
+// leaderboard and in localStorage. The names are only a fallback for browsers
+// without Intl.DisplayNames and the key for recognising old name-based data.
+// Mirrored in react-football-be/countries.go.
+
+// Player whose country couldn't be resolved (CLDR's "Unknown Region")
+export const UNKNOWN_COUNTRY = 'ZZ';
+
+export const COUNTRIES = {
+  AD: 'Andorra',
+  AE: 'United Arab Emirates',
+  AF: 'Afghanistan',
+  AG: 'Antigua & Barbuda',
+  AI: 'Anguilla',
+  AL: 'Albania',
+  AM: 'Armenia',
+  AO: 'Angola',
+  AQ: 'Antarctica',
+  AR: 'Argentina',
+  AS: 'American Samoa',
+  AT: 'Austria',
+  AU: 'Australia',
+  AW: 'Aruba',
+  AX: 'Åland Islands',
+  AZ: 'Azerbaijan',
+  BA: 'Bosnia & Herzegovina',
+  BB: 'Barbados',
+  BD: 'Bangladesh',
+  BE: 'Belgium',
+  BF: 'Burkina Faso',
+  BG: 'Bulgaria',
+  BH: 'Bahrain',
+  BI: 'Burundi',
+  BJ: 'Benin',
+  BL: 'St. Barthélemy',
+  BM: 'Bermuda',
+  BN: 'Brunei',
+  BO: 'Bolivia',
+  BQ: 'Caribbean Netherlands',
+  BR: 'Brazil',
+  BS: 'Bahamas',
+  BT: 'Bhutan',
+  BV: 'Bouvet Island',
+  BW: 'Botswana',
+  BY: 'Belarus',
+  BZ: 'Belize',
+  CA: 'Canada',
+  CC: 'Cocos (Keeling) Islands',
+  CD: 'DR Congo',
+  CF: 'Central African Republic',
+  CG: 'Congo',
+  CH: 'Switzerland',
+  CI: 'Côte d’Ivoire',
+  CK: 'Cook Islands',
+  CL: 'Chile',
+  CM: 'Cameroon',
+  CN: 'China',
+  CO: 'Colombia',
+  CR: 'Costa Rica',
+  CU: 'Cuba',
+  CV: 'Cape Verde',
+  CW: 'Curaçao',
+  CX: 'Christmas Island',
+  CY: 'Cyprus',
+  CZ: 'Czechia',
+  DE: 'Germany',
+  DJ: 'Djibouti',
+  DK: 'Denmark',
+  DM: 'Dominica',
+  DO: 'Dominican Republic',
+  DZ: 'Algeria',
+  EC: 'Ecuador',
+  EE: 'Estonia',
+  EG: 'Egypt',
+  EH: 'Western Sahara',
+  ER: 'Eritrea',
+  ES: 'Spain',
+  ET: 'Ethiopia',
+  FI: 'Finland',
+  FJ: 'Fiji',
+  FK: 'Falkland Islands',
+  FM: 'Micronesia',
+  FO: 'Faroe Islands',
+  FR: 'France',
+  GA: 'Gabon',
+  GB: 'United Kingdom',
+  GD: 'Grenada',
+  GE: 'Georgia',
+  GF: 'French Guiana',
+  GG: 'Guernsey',
+  GH: 'Ghana',
+  GI: 'Gibraltar',
+  GL: 'Greenland',
+  GM: 'Gambia',
+  GN: 'Guinea',
+  GP: 'Guadeloupe',
+  GQ: 'Equatorial Guinea',
+  GR: 'Greece',
+  GS: 'South Georgia & South Sandwich Islands',
+  GT: 'Guatemala',
+  GU: 'Guam',
+  GW: 'Guinea-Bissau',
+  GY: 'Guyana',
+  HK: 'Hong Kong',
+  HM: 'Heard & McDonald Islands',
+  HN: 'Honduras',
+  HR: 'Croatia',
+  HT: 'Haiti',
+  HU: 'Hungary',
+  ID: 'Indonesia',
+  IE: 'Ireland',
+  IL: 'Israel',
+  IM: 'Isle of Man',
+  IN: 'India',
+  IO: 'British Indian Ocean Territory',
+  IQ: 'Iraq',
+  IR: 'Iran',
+  IS: 'Iceland',
+  IT: 'Italy',
+  JE: 'Jersey',
+  JM: 'Jamaica',
+  JO: 'Jordan',
+  JP: 'Japan',
+  KE: 'Kenya',
+  KG: 'Kyrgyzstan',
+  KH: 'Cambodia',
+  KI: 'Kiribati',
+  KM: 'Comoros',
+  KN: 'St. Kitts & Nevis',
+  KP: 'North Korea',
+  KR: 'South Korea',
+  KW: 'Kuwait',
+  KY: 'Cayman Islands',
+  KZ: 'Kazakhstan',
+  LA: 'Laos',
+  LB: 'Lebanon',
+  LC: 'St. Lucia',
+  LI: 'Liechtenstein',
+  LK: 'Sri Lanka',
+  LR: 'Liberia',
+  LS: 'Lesotho',
+  LT: 'Lithuania',
+  LU: 'Luxembourg',
+  LV: 'Latvia',
+  LY: 'Libya',
+  MA: 'Morocco',
+  MC: 'Monaco',
+  MD: 'Moldova',
+  ME: 'Montenegro',
+  MF: 'St. Martin',
+  MG: 'Madagascar',
+  MH: 'Marshall Islands',
+  MK: 'North Macedonia',
+  ML: 'Mali',
+  MM: 'Myanmar (Burma)',
+  MN: 'Mongolia',
+  MO: 'Macao',
+  MP: 'Northern Mariana Islands',
+  MQ: 'Martinique',
+  MR: 'Mauritania',
+  MS: 'Montserrat',
+  MT: 'Malta',
+  MU: 'Mauritius',
+  MV: 'Maldives',
+  MW: 'Malawi',
+  MX: 'Mexico',
+  MY: 'Malaysia',
+  MZ: 'Mozambique',
+  NA: 'Namibia',
+  NC: 'New Caledonia',
+  NE: 'Niger',
+  NF: 'Norfolk Island',
+  NG: 'Nigeria',
+  NI: 'Nicaragua',
+  NL: 'Netherlands',
+  NO: 'Norway',
+  NP: 'Nepal',
+  NR: 'Nauru',
+  NU: 'Niue',
+  NZ: 'New Zealand',
+  OM: 'Oman',
+  PA: 'Panama',
+  PE: 'Peru',
+  PF: 'French Polynesia',
+  PG: 'Papua New Guinea',
+  PH: 'Philippines',
+  PK: 'Pakistan',
+  PL: 'Poland',
+  PM: 'St. Pierre & Miquelon',
+  PN: 'Pitcairn Islands',
+  PR: 'Puerto Rico',
+  PS: 'Palestine',
+  PT: 'Portugal',
+  PW: 'Palau',
+  PY: 'Paraguay',
+  QA: 'Qatar',
+  RE: 'Réunion',
+  RO: 'Romania',
+  RS: 'Serbia',
+  RU: 'Russia',
+  RW: 'Rwanda',
+  SA: 'Saudi Arabia',
+  SB: 'Solomon Islands',
+  SC: 'Seychelles',
+  SD: 'Sudan',
+  SE: 'Sweden',
+  SG: 'Singapore',
+  SH: 'St. Helena',
+  SI: 'Slovenia',
+  SJ: 'Svalbard & Jan Mayen',
+  SK: 'Slovakia',
+  SL: 'Sierra Leone',
+  SM: 'San Marino',
+  SN: 'Senegal',
+  SO: 'Somalia',
+  SR: 'Suriname',
+  SS: 'South Sudan',
+  ST: 'São Tomé & Príncipe',
+  SV: 'El Salvador',
+  SX: 'Sint Maarten',
+  SY: 'Syria',
+  SZ: 'Eswatini',
+  TC: 'Turks & Caicos Islands',
+  TD: 'Chad',
+  TF: 'French Southern Territories',
+  TG: 'Togo',
+  TH: 'Thailand',
+  TJ: 'Tajikistan',
+  TK: 'Tokelau',
+  TL: 'Timor-Leste',
+  TM: 'Turkmenistan',
+  TN: 'Tunisia',
+  TO: 'Tonga',
+  TR: 'Türkiye',
+  TT: 'Trinidad & Tobago',
+  TV: 'Tuvalu',
+  TW: 'Taiwan',
+  TZ: 'Tanzania',
+  UA: 'Ukraine',
+  UG: 'Uganda',
+  UM: 'U.S. Outlying Islands',
+  US: 'United States',
+  UY: 'Uruguay',
+  UZ: 'Uzbekistan',
+  VA: 'Vatican City',
+  VC: 'St. Vincent & Grenadines',
+  VE: 'Venezuela',
+  VG: 'British Virgin Islands',
+  VI: 'U.S. Virgin Islands',
+  VN: 'Vietnam',
+  VU: 'Vanuatu',
+  WF: 'Wallis & Futuna',
+  WS: 'Samoa',
+  XK: 'Kosovo',
+  YE: 'Yemen',
+  YT: 'Mayotte',
+  ZA: 'South Africa',
+  ZM: 'Zambia',
+  ZW: 'Zimbabwe',
+};
+
+// Other spellings seen in old clients and geolocation services, lowercase
+const ALIASES = {
+  'czech republic': 'CZ',
+  'turkey': 'TR',
+  'hong kong sar china': 'HK',
+  'macau': 'MO',
+  'macao sar china': 'MO',
+  'korea': 'KR',
+  'republic of korea': 'KR',
+  'korea, republic of': 'KR',
+  'korea, south': 'KR',
+  "korea, democratic people's republic of": 'KP',
+  'russian federation': 'RU',
+  'viet nam': 'VN',
+  'united states of america': 'US',
+  'usa': 'US',
+  'uk': 'GB',
+  'great britain': 'GB',
+  'england': 'GB',
+  'iran, islamic republic of': 'IR',
+  'palestinian territories': 'PS',
+  'palestine, state of': 'PS',
+  'the netherlands': 'NL',
+  'holland': 'NL',
+  "cote d'ivoire": 'CI',
+  'ivory coast': 'CI',
+  'macedonia': 'MK',
+  'swaziland': 'SZ',
+  'burma': 'MM',
+  'myanmar': 'MM',
+  'cabo verde': 'CV',
+  'congo - kinshasa': 'CD',
+  'democratic republic of the congo': 'CD',
+  'congo, the democratic republic of the': 'CD',
+  'congo - brazzaville': 'CG',
+  'republic of the congo': 'CG',
+  "lao people's democratic republic": 'LA',
+  'syrian arab republic': 'SY',
+  'tanzania, united republic of': 'TZ',
+  'moldova, republic of': 'MD',
+  'bolivia, plurinational state of': 'BO',
+  'venezuela, bolivarian republic of': 'VE',
+  'taiwan, province of china': 'TW',
+  'brunei darussalam': 'BN',
+  'east timor': 'TL',
+  'holy see': 'VA',
+  'micronesia, federated states of': 'FM',
+  'the bahamas': 'BS',
+  'the gambia': 'GM',
+  'unknown': 'ZZ',
+};
+
+function normalizeName(name) {
+  return name.trim().toLowerCase().replace(/&/g, 'and').replace(/’/g, '\'');
+}
+
+const codesByName = new Map([
+  ...Object.entries(COUNTRIES).map(([code, name]) => [normalizeName(name), code]),
+  ...Object.entries(ALIASES),
+]);
+
+// ISO code for a code in any case or a country name, null if unrecognised
+export function toCountryCode(value) {
+  if (!value || typeof value !== 'string') return null;
+  const upper = value.trim().toUpperCase();
+  if (COUNTRIES[upper] || upper === UNKNOWN_COUNTRY) return upper;
+  return codesByName.get(normalizeName(value)) || null;
+}
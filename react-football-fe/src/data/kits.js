@@ -0,0 +1,48 @@
+// National team kit colors by ISO 3166-1 alpha-2 code, for the national ball
+// skin (render/skins.js). Main color first. Countries not listed get
+// DEFAULT_KIT.
+export const DEFAULT_KIT = ['#ffffff', '#2e7d32'];
+
+export const KITS = {
+  AR: ['#75aadb', '#ffffff'],
+  AU: ['#ffcd00', '#00843d'],
+  BE: ['#e30613', '#000000', '#fdda24'],
+  BR: ['#ffdf00', '#009c3b', '#002776'],
+  CA: ['#ff0000', '#ffffff'],
+  CH: ['#d52b1e', '#ffffff'],
+  CI: ['#f77f00', '#ffffff', '#009e60'],
+  CM: ['#007a5e', '#ce1126', '#fcd116'],
+  CN: ['#de2910', '#ffde00'],
+  CO: ['#fcd116', '#003893', '#ce1126'],
+  DE: ['#ffffff', '#000000'],
+  DK: ['#c60c30', '#ffffff'],
+  DZ: ['#006633', '#ffffff', '#d21034'],
+  EG: ['#ce1126', '#ffffff', '#000000'],
+  ES: ['#aa151b', '#f1bf00'],
+  FR: ['#002395', '#ffffff', '#ed2939'],
+  GB: ['#ffffff', '#c8102e'],
+  GH: ['#ce1126', '#fcd116', '#006b3f'],
+  HK: ['#de2910', '#ffffff'],
+  HR: ['#ff0000', '#ffffff'],
+  ID: ['#ff0000', '#ffffff'],
+  IN: ['#ff9933', '#ffffff', '#138808'],
+  IT: ['#0066cc', '#ffffff'],
+  JP: ['#00308f', '#ffffff'],
+  KR: ['#cd2e3a', '#ffffff'],
+  MA: ['#c1272d', '#006233'],
+  MX: ['#006847', '#ffffff', '#ce1126'],
+  NG: ['#008751', '#ffffff'],
+  NL: ['#ff6f00', '#ffffff'],
+  PL: ['#ffffff', '#dc143c'],
+  PT: ['#006600', '#ff0000'],
+  QA: ['#8a1538', '#ffffff'],
+  SA: ['#006c35', '#ffffff'],
+  SE: ['#fecc00', '#006aa7'],
+  SN: ['#00853f', '#fdef42', '#e31b23'],
+  TH: ['#a51931', '#f4f5f8', '#2d2a4a'],
+  TN: ['#e70013', '#ffffff'],
+  TR: ['#e30a17', '#ffffff'],
+  US: ['#ffffff', '#3c3b6e', '#b22234'],
+  UY: ['#5cbfeb', '#ffffff'],
+  ZA: ['#007749', '#ffb81c'],
+};
@@ -0,0 +1,79 @@
+// IANA timezone to ISO 3166-1 alpha-2 country code, for offline country inference.
+// Only zones that map to a single country are listed.
+export const timezoneToCode = {
+  'Africa/Algiers': 'DZ',
+  'Africa/Cairo': 'EG',
+  'Africa/Casablanca': 'MA',
+  'Africa/Johannesburg': 'ZA',
+  'Africa/Lagos': 'NG',
+  'Africa/Nairobi': 'KE',
+  'Africa/Tunis': 'TN',
+  'America/Argentina/Buenos_Aires': 'AR',
+  'America/Bogota': 'CO',
+  'America/Chicago': 'US',
+  'America/Denver': 'US',
+  'America/Edmonton': 'CA',
+  'America/Halifax': 'CA',
+  'America/Lima': 'PE',
+  'America/Los_Angeles': 'US',
+  'America/Mexico_City': 'MX',
+  'America/New_York': 'US',
+  'America/Phoenix': 'US',
+  'America/Santiago': 'CL',
+  'America/Sao_Paulo': 'BR',
+  'America/Toronto': 'CA',
+  'America/Vancouver': 'CA',
+  'Asia/Amman': 'JO',
+  'Asia/Bahrain': 'BH',
+  'Asia/Bangkok': 'TH',
+  'Asia/Beirut': 'LB',
+  'Asia/Dhaka': 'BD',
+  'Asia/Dubai': 'AE',
+  'Asia/Ho_Chi_Minh': 'VN',
+  'Asia/Hong_Kong': 'HK',
+  'Asia/Jakarta': 'ID',
+  'Asia/Jerusalem': 'IL',
+  'Asia/Kabul': 'AF',
+  'Asia/Karachi': 'PK',
+  'Asia/Kolkata': 'IN',
+  'Asia/Kuala_Lumpur': 'MY',
+  'Asia/Kuwait': 'KW',
+  'Asia/Manila': 'PH',
+  'Asia/Muscat': 'OM',
+  'Asia/Qatar': 'QA',
+  'Asia/Riyadh': 'SA',
+  'Asia/Saigon': 'VN',
+  'Asia/Seoul': 'KR',
+  'Asia/Shanghai': 'CN',
+  'Asia/Singapore': 'SG',
+  'Asia/Taipei': 'TW',
+  'Asia/Tokyo': 'JP',
+  'Australia/Melbourne': 'AU',
+  'Australia/Perth': 'AU',
+  'Australia/Sydney': 'AU',
+  'Europe/Amsterdam': 'NL',
+  'Europe/Athens': 'GR',
+  'Europe/Berlin': 'DE',
+  'Europe/Brussels': 'BE',
+  'Europe/Bucharest': 'RO',
+  'Europe/Copenhagen': 'DK',
+  'Europe/Dublin': 'IE',
+  'Europe/Helsinki': 'FI',
+  'Europe/Istanbul': 'TR',
+  'Europe/Kiev': 'UA',
+  'Europe/Kyiv': 'UA',
+  'Europe/Lisbon': 'PT',
+  'Europe/London': 'GB',
+  'Europe/Madrid': 'ES',
+  'Europe/Moscow': 'RU',
+  'Europe/Oslo': 'NO',
+  'Europe/Paris': 'FR',
+  'Europe/Prague': 'CZ',
+  'Europe/Rome': 'IT',
+  'Europe/Stockholm': 'SE',
+  'Europe/Tirane': 'AL',
+  'Europe/Vienna': 'AT',
+  'Europe/Warsaw': 'PL',
+  'Europe/Zurich': 'CH',
+  'Pacific/Auckland': 'NZ',
+};
@@ -0,0 +1,48 @@
+// Achievement definitions and the progress they are judged on
+//
+// Pure like the scoring: the game feeds a run's kicks and physics events into
+// trackEvent(), and reachedAchievements() says which achievements the run,
+// together with the player's history, has earned. Unlocks are kept by
+// services/achievements.js. Names and descriptions are translated under
+// 'achievements.<id>' and 'achievements.<id>Desc'.
+
+// In the order the gallery shows them. reached(progress) gets the current
+// run's counts plus the player's history, see reachedAchievements().
+export const ACHIEVEMENTS = [
+  { id: 'kicks10', icon: '🥉', reached: p => p.kicks >= 10 },
+  { id: 'kicks50', icon: '🥈', reached: p => p.kicks >= 50 },
+  { id: 'kicks100', icon: '🥇', reached: p => p.kicks >= 100 },
+  { id: 'walls5', icon: '🧱', reached: p => p.wallHits >= 5 },
+  { id: 'ceiling', icon: '🚀', reached: p => p.ceilingHits >= 1 },
+  { id: 'lifetime1000', icon: '💯', reached: p => p.totalKicks >= 1000 },
+  { id: 'newCountry', icon: '🌍', reached: p => p.countries >= 2 }, // Played from a second country
+  { id: 'streak3', icon: '🔥', reached: p => p.streak >= 3 }, // Days in a row
+  { id: 'streak7', icon: '📆', reached: p => p.streak >= 7 },
+];
+
+// Counts for one run
+export function createRunProgress() {
+  return { kicks: 0, wallHits: 0, ceilingHits: 0 };
+}
+
+// Count a kick ({ type: 'kick' }) or a physics event (as returned by advance())
+export function trackEvent(run, event) {
+  switch (event.type) {
+    case 'kick':
+      return { ...run, kicks: run.kicks + 1 };
+    case 'wallHit':
+      return { ...run, wallHits: run.wallHits + 1 };
+    case 'ceilingHit':
+      return { ...run, ceilingHits: run.ceilingHits + 1 };
+    default:
+      return run;
+  }
+}
+
+// Ids of the achievements reached. history is { totalKicks, countries,
+// streak }: kicks before this run, how many countries the player has played
+// from and how many days in a row they have played.
+export function reachedAchievements(run, history) {
+  const progress = { ...run, ...history, totalKicks: history.totalKicks + run.kicks };
+  return ACHIEVEMENTS.filter(achievement => achievement.reached(progress)).map(achievement => achievement.id);
+}
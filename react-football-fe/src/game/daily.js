@@ -0,0 +1,99 @@
+// Daily challenge: one set of conditions per UTC day, generated from a
+// date-based seed so every player gets the same wind, gravity and obstacles.
+// Mirrored in react-football-be/daily.go.
+import { DEFAULT_PHYSICS } from './physics';
+import { t, formatNumber } from '../i18n';
+
+// Today's challenge id, e.g. '2024-06-01'
+export function getChallengeId(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+// FNV-1a hash of a string, used as the seed
+function hashString(value) {
+  let hash = 2166136261;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+// Mulberry32: small, fast, deterministic PRNG returning floats in [0, 1)
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function between(random, min, max) {
+  return min + random() * (max - min);
+}
+
+export function createDailyChallenge(id = getChallengeId()) {
+  const random = createRandom(hashString(id));
+
+  const gravity = between(random, 1.0, 1.6);
+  const wind = between(random, -0.08, 0.08);
+
+  const obstacles = [];
+  const count = 1 + Math.floor(random() * 3);
+  for (let i = 0; i < count; i++) {
+    obstacles.push({
+      x: between(random, 0.15, 0.85),
+      y: between(random, 0.45, 0.8),
+      radius: Math.round(between(random, 24, 48)),
+      rangeX: between(random, 0, 0.25),
+      rangeY: between(random, 0, 0.08),
+      period: Math.round(between(random, 2000, 6000)),
+      phase: between(random, 0, Math.PI * 2),
+    });
+  }
+
+  return {
+    id,
+    physics: {
+      ...DEFAULT_PHYSICS,
+      gravity,
+      wind,
+      obstacles,
+    },
+  };
+}
+
+// Short, emoji-friendly description of the challenge result for sharing
+export function formatShareText(challenge, score, url) {
+  const { gravity, wind, obstacles } = challenge.physics;
+  const windArrow = Math.abs(wind) < 0.01 ? '·' : wind < 0 ? '←' : '→';
+  return [
+    t('share.title', { id: challenge.id }),
+    t('share.score', { count: score }),
+    t('share.conditions', {
+      wind: windArrow,
+      gravity: formatNumber(gravity, { minimumFractionDigits: 1, maximumFractionDigits: 1 }),
+      obstacles: obstacles.length,
+    }),
+    url,
+  ].filter(Boolean).join('\n');
+}
+
+// Share via the native share sheet, falling back to the clipboard.
+// Resolves to 'shared', 'copied' or null when nothing worked.
+export async function shareResult(text) {
+  try {
+    if (navigator.share) {
+      await navigator.share({ text });
+      return 'shared';
+    }
+    await navigator.clipboard.writeText(text);
+    return 'copied';
+  } catch (error) {
+    console.warn('Failed to share result:', error.message);
+    return null;
+  }
+}
@@ -0,0 +1,20 @@
+// Difficulty presets for classic mode and local matches. The daily challenge
+// has its own rules and ignores them.
+//
+// The backend replays runs with a copy of these presets
+// (react-football-be/difficulty.go): change both together.
+import { DEFAULT_PHYSICS } from './physics';
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+// Physics overrides on top of DEFAULT_PHYSICS
+export const DIFFICULTIES = {
+  easy: { icon: '🟢', physics: { radius: 60, gravity: 0.9 } }, // Bigger, floatier ball
+  normal: { icon: '🟡', physics: {} },
+  hard: { icon: '🔴', physics: { radius: 38, gravity: 1.5, wind: 0.03 } }, // Smaller, heavier, pushed right
+};
+
+export function difficultyPhysics(difficulty = DEFAULT_DIFFICULTY) {
+  const preset = DIFFICULTIES[difficulty] || DIFFICULTIES[DEFAULT_DIFFICULTY];
+  return { ...DEFAULT_PHYSICS, ...preset.physics };
+}
@@ -0,0 +1,42 @@
+// Compact log of a run's kicks, submitted with the score so the server can
+// replay the run through the same physics (see react-football-be/session.go).
+//
+// Kicks are logged by physics step rather than wall-clock time, and pointer
+// values are rounded. The game applies the rounded values too, so the run it
+// plays is exactly the one the server replays.
+import { FIXED_STEP } from './physics';
+
+// Shortest time between two kicks the server accepts (minKickInterval in
+// session.go), in whole physics steps like the server counts it
+export const MIN_KICK_INTERVAL = 50; // ms of game time
+const MIN_KICK_STEPS = Math.trunc(MIN_KICK_INTERVAL / FIXED_STEP);
+
+const round = value => Math.round(value * 10) / 10;
+
+// Log entry for a kick made at simulation time `time`
+export function logKick({ clickOffsetX, clickOffsetY, swipeDx, swipeDy }, time) {
+  return {
+    s: Math.round(time / FIXED_STEP),
+    x: round(clickOffsetX),
+    y: round(clickOffsetY),
+    dx: round(swipeDx),
+    dy: round(swipeDy),
+  };
+}
+
+// Whether a kick at simulation time `time` would come too soon after the
+// last kick in `kicks`. The game ignores those, so its runs pass the replay.
+export function kickTooSoon(kicks, time) {
+  const last = kicks[kicks.length - 1];
+  return !!last && Math.round(time / FIXED_STEP) - last.s < MIN_KICK_STEPS;
+}
+
+// Kick input as the physics expects it
+export function kickInput(entry) {
+  return {
+    clickOffsetX: entry.x,
+    clickOffsetY: entry.y,
+    swipeDx: entry.dx,
+    swipeDy: entry.dy,
+  };
+}
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { FIXED_STEP, TARGET_FRAME_TIME, createBall, createSimulation, advance, kick } from './physics';
+import { logKick, kickInput, kickTooSoon } from './kicklog';
+import { difficultyPhysics } from './difficulty';
+
+// The server's minimum gap between kicks: minKickInterval / fixedStep in session.go
+const SERVER_MIN_STEPS = Math.trunc(50 / ((1000 / 60) / 2));
+
+// A player tapping the ball every frame, kicking the way App does: taps the
+// log says come too soon are ignored, the others are logged and played. The
+// backend replays a run tapped like this ("rapid taps" in fixtures/runs.json).
+function tapEveryFrame(frames) {
+  const world = { width: 1422, height: 800 };
+  const physics = difficultyPhysics('normal');
+  let sim = createSimulation(createBall(world, physics));
+  const kicks = [];
+
+  for (let frame = 0; frame < frames; frame++) {
+    if (!kickTooSoon(kicks, sim.ball.time)) {
+      const entry = logKick({ clickOffsetX: 0, clickOffsetY: physics.radius / 2, swipeDx: 0, swipeDy: 0 }, sim.ball.time);
+      kicks.push(entry);
+      sim = { ...sim, ball: kick(sim.ball, kickInput(entry), physics) };
+    }
+    const { sim: next, events } = advance(sim, TARGET_FRAME_TIME, world, physics);
+    sim = next;
+    if (events.some(event => event.type === 'groundHit')) break;
+  }
+  return kicks;
+}
+
+describe('kickTooSoon', () => {
+  it('lets the first kick of a run through', () => {
+    expect(kickTooSoon([], 0)).toBe(false);
+  });
+
+  it('ignores kicks closer than the server allows', () => {
+    const kicks = [{ s: 10, x: 0, y: 0, dx: 0, dy: 0 }];
+    expect(kickTooSoon(kicks, (10 + SERVER_MIN_STEPS - 1) * FIXED_STEP)).toBe(true);
+    expect(kickTooSoon(kicks, (10 + SERVER_MIN_STEPS) * FIXED_STEP)).toBe(false);
+  });
+
+  it('keeps the fastest run a player can tap within the server limits', () => {
+    const kicks = tapEveryFrame(600);
+    expect(kicks.length).toBeGreaterThan(50);
+    expect(kicks[0].s).toBe(0);
+    kicks.slice(1).forEach((entry, i) => {
+      expect(entry.s - kicks[i].s).toBeGreaterThanOrEqual(SERVER_MIN_STEPS);
+    });
+  });
+});
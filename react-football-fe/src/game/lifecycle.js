@@ -0,0 +1,51 @@
+// Game lifecycle: where a run is, as one state instead of loose flags
+//
+//   idle ──start──▶ playing ──end──▶ over ──restart──▶ idle
+//                    │   ▲
+//                pause   tick (countdown done)
+//                    ▼   │
+//                  paused ──resume──▶ resuming
+//
+// idle: the ball waits for the first kick. playing: the physics runs.
+// paused: the ball is frozen. resuming: still frozen, counting down so the
+// player is ready when it moves again (one tick a second). over: the ball hit
+// the ground. restart goes back to idle from anywhere.
+//
+// Events that don't apply to the current state are ignored:
+// transition() then returns the same object.
+
+export const RESUME_COUNTDOWN = 3;
+
+export const IDLE = { status: 'idle', countdown: 0 };
+
+const PLAYING = { status: 'playing', countdown: 0 };
+
+export function transition(game, event) {
+  if (event === 'restart') {
+    return game.status === 'idle' ? game : IDLE;
+  }
+
+  switch (game.status) {
+    case 'idle':
+      return event === 'start' ? PLAYING : game;
+    case 'playing':
+      if (event === 'pause') return { status: 'paused', countdown: 0 };
+      if (event === 'end') return { status: 'over', countdown: 0 };
+      return game;
+    case 'paused':
+      return event === 'resume' ? { status: 'resuming', countdown: RESUME_COUNTDOWN } : game;
+    case 'resuming':
+      if (event === 'pause') return { status: 'paused', countdown: 0 };
+      if (event === 'tick') {
+        return game.countdown > 1 ? { ...game, countdown: game.countdown - 1 } : PLAYING;
+      }
+      return game;
+    default:
+      return game;
+  }
+}
+
+// A run has started and isn't over: the settings and mode are locked
+export function inRun(game) {
+  return game.status === 'playing' || game.status === 'paused' || game.status === 'resuming';
+}
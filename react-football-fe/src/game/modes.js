@@ -0,0 +1,64 @@
+// Local multiplayer matches
+//
+// hotseat: players take turns on the same ball, each playing `rounds`
+//          attempts; totals are compared at the end.
+// versus:  split screen, every player kicks their own ball at the same time;
+//          one attempt each, highest score wins.
+// Single-player games don't use a match at all.
+
+export const MATCH_MODES = {
+  hotseat: { icon: '🔁', rounds: 3 },
+  versus: { icon: '⚔️', rounds: 1 },
+};
+
+export function createMatch(mode, names = ['Player 1', 'Player 2']) {
+  const { rounds } = MATCH_MODES[mode];
+  return {
+    mode,
+    rounds,
+    players: names.map(name => ({
+      name,
+      scores: [],
+    })),
+    turn: 0, // Player whose turn it is (hot-seat)
+    finished: false,
+  };
+}
+
+// Record a finished attempt for a player and move the match on
+export function recordRun(match, playerIndex, score) {
+  const players = match.players.map((player, i) => (
+    i === playerIndex ? { ...player, scores: [...player.scores, score] } : player
+  ));
+  const finished = players.every(player => player.scores.length >= match.rounds);
+
+  return {
+    ...match,
+    players,
+    turn: (playerIndex + 1) % players.length,
+    finished,
+  };
+}
+
+// Round the next attempt belongs to, 1-based
+export function currentRound(match) {
+  return Math.min(match.players[match.turn].scores.length + 1, match.rounds);
+}
+
+// Players with their totals, best first, and everyone sharing the top total
+export function getResults(match) {
+  const standings = match.players
+    .map((player, index) => ({
+      index,
+      name: player.name,
+      scores: player.scores,
+      total: player.scores.reduce((sum, score) => sum + score, 0),
+      best: Math.max(0, ...player.scores),
+    }))
+    .sort((a, b) => b.total - a.total || b.best - a.best);
+
+  const top = standings[0];
+  const winners = standings.filter(p => p.total === top.total && p.best === top.best);
+
+  return { standings, winners };
+}
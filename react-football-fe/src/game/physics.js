@@ -0,0 +1,189 @@
+// Ball physics for the football game
+//
+// Everything in here is pure: no React, no DOM, no sound. Callers pass the
+// current state, the elapsed time and the playfield bounds, and get back the
+// next state plus the events that happened along the way.
+//
+// The backend replays submitted runs with a Go copy of these rules
+// (react-football-be/physics.go): change both together.
+
+// Physical variables (tuned for 60fps baseline)
+export const TARGET_FPS = 60;
+export const TARGET_FRAME_TIME = 1000 / TARGET_FPS; // ~16.67ms
+
+// The simulation always advances in fixed steps, so a run plays out the same
+// on a 60Hz and a 144Hz display
+export const FIXED_STEP = TARGET_FRAME_TIME / 2;
+
+// Clamp frame time to prevent huge jumps (e.g., when tab is inactive)
+export const MAX_FRAME_TIME = TARGET_FRAME_TIME * 3;
+
+export const DEFAULT_PHYSICS = {
+  gravity: 1.2,
+  radius: 48,
+  rotationFactor: 4,
+  bounceFactor: 0.6,
+  friction: 0.99,
+  kickStrength: 25,
+  wind: 0, // Horizontal acceleration per 60fps frame
+  obstacles: [], // Moving round obstacles, see obstaclePosition()
+};
+
+// Ball resting in the middle of the playfield, waiting for the first kick
+export function createBall(bounds, config = DEFAULT_PHYSICS) {
+  return {
+    x: bounds.width / 2 - config.radius,
+    y: 100,
+    vx: 0,
+    vy: 0,
+    rotation: 0,
+    scale: 1,
+    time: 0, // Simulated ms since the ball was put in play
+  };
+}
+
+// Obstacles are described relative to the playfield (x and y as fractions of
+// its width and height, y measured from the ground) and sway around that point
+// over time, so their position only depends on the simulation time.
+export function obstaclePosition(obstacle, time, bounds) {
+  const angle = (time / obstacle.period) * Math.PI * 2 + obstacle.phase;
+  return {
+    x: (obstacle.x + obstacle.rangeX * Math.sin(angle)) * bounds.width,
+    y: (obstacle.y + obstacle.rangeY * Math.cos(angle)) * bounds.height,
+    radius: obstacle.radius,
+  };
+}
+
+export function createSimulation(ball) {
+  return { ball, accumulator: 0 };
+}
+
+// Advance the ball by dt milliseconds
+export function step(state, dt, bounds, config = DEFAULT_PHYSICS) {
+  const { gravity, radius, rotationFactor, bounceFactor, friction, wind, obstacles } = config;
+  const events = [];
+
+  // Delta multiplier: 1.0 for one 60fps frame
+  const delta = dt / TARGET_FRAME_TIME;
+
+  const time = state.time + dt;
+
+  // Apply gravity, friction and wind
+  let vy = state.vy - gravity * delta;
+  let vx = state.vx * Math.pow(friction, delta) + wind * delta;
+
+  let x = state.x + vx * delta;
+  let y = state.y + vy * delta;
+
+  // Obstacle collisions - bounce off along the line between the centers
+  obstacles.forEach((obstacle, index) => {
+    const o = obstaclePosition(obstacle, time, bounds);
+    const dx = x + radius - o.x;
+    const dy = y + radius - o.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    const minDistance = radius + o.radius;
+    if (distance >= minDistance || distance === 0) return;
+
+    const nx = dx / distance;
+    const ny = dy / distance;
+    x += nx * (minDistance - distance);
+    y += ny * (minDistance - distance);
+
+    const normalSpeed = vx * nx + vy * ny;
+    if (normalSpeed < 0) {
+      events.push({ type: 'obstacleHit', index, x, y, speed: -normalSpeed });
+      vx -= (1 + bounceFactor) * normalSpeed * nx;
+      vy -= (1 + bounceFactor) * normalSpeed * ny;
+    }
+  });
+
+  // Ground collision - bottom of ball touches ground
+  if (y <= 0) {
+    events.push({ type: 'groundHit', x, y: 0, speed: Math.abs(vy) });
+    y = 0;
+    vx = 0;
+    vy = 0;
+  }
+
+  // Wall collisions
+  const maxX = bounds.width - radius * 2;
+  if (x < 0) {
+    events.push({ type: 'wallHit', side: 'left', x: 0, y, speed: Math.abs(vx) });
+    x = 0;
+    vx = -vx * bounceFactor;
+  } else if (x > maxX) {
+    events.push({ type: 'wallHit', side: 'right', x: maxX, y, speed: Math.abs(vx) });
+    x = maxX;
+    vx = -vx * bounceFactor;
+  }
+
+  // Ceiling collision
+  const maxY = bounds.height - radius * 2;
+  if (y > maxY) {
+    events.push({ type: 'ceilingHit', x, y: maxY, speed: Math.abs(vy) });
+    y = maxY;
+    vy = -vy * bounceFactor;
+  }
+
+  // Rotation follows horizontal velocity, scale grows slightly with speed
+  const rotation = state.rotation + vx * rotationFactor * delta;
+  const speed = Math.sqrt(vx * vx + vy * vy);
+  const scale = 1 + Math.min(speed * 0.005, 0.15);
+
+  return {
+    state: { x, y, vx, vy, rotation, scale, time },
+    events,
+  };
+}
+
+// Feed real frame time into the fixed-step simulation. Leftover time is kept in
+// the accumulator for the next frame. A ground hit ends the run, so whatever
+// time is left after it is dropped.
+export function advance(sim, elapsed, bounds, config = DEFAULT_PHYSICS) {
+  let accumulator = sim.accumulator + Math.min(Math.max(elapsed, 0), MAX_FRAME_TIME);
+  let ball = sim.ball;
+  const events = [];
+
+  while (accumulator >= FIXED_STEP) {
+    const result = step(ball, FIXED_STEP, bounds, config);
+    ball = result.state;
+    accumulator -= FIXED_STEP;
+    // Tag events with the simulation time they happened at
+    events.push(...result.events.map(event => ({ ...event, time: ball.time })));
+
+    if (result.events.some(event => event.type === 'groundHit')) {
+      accumulator = 0;
+      break;
+    }
+  }
+
+  return { sim: { ball, accumulator }, events };
+}
+
+// Apply a kick to the ball
+export function kick(state, { clickOffsetX, clickOffsetY, swipeDx }, config = DEFAULT_PHYSICS) {
+  const { radius, kickStrength } = config;
+
+  // Calculate kick direction based on:
+  // 1. Where you clicked on the ball (clicking left side pushes ball right)
+  // 2. Swipe direction (swiping adds extra velocity)
+
+  // Click position effect: clicking left of center pushes right, and vice versa
+  const clickEffect = -clickOffsetX / radius; // Normalized: -1 to 1
+
+  // Swipe effect: add extra velocity based on swipe
+  const swipeEffect = -swipeDx * 0.3;
+
+  // Combined horizontal velocity
+  const kickVx = (clickEffect * kickStrength * 0.6) + swipeEffect;
+
+  // Vertical velocity: always kick upward, stronger if clicked on bottom of ball
+  const verticalBoost = Math.max(0, clickOffsetY / radius) * 5; // Clicking bottom gives more lift
+  const kickVy = kickStrength + verticalBoost;
+
+  return {
+    ...state,
+    vx: state.vx + kickVx,
+    vy: Math.max(state.vy + kickVy, kickVy), // Minimum upward velocity
+  };
+}
@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_PHYSICS,
+  FIXED_STEP,
+  TARGET_FRAME_TIME,
+  createBall,
+  createSimulation,
+  advance,
+  kick,
+} from './physics';
+
+const BOUNDS = { width: 1422, height: 800 };
+
+// Run frames of the given lengths (ms) through advance()
+function play(sim, frames, config = DEFAULT_PHYSICS) {
+  const events = [];
+  frames.forEach(elapsed => {
+    const result = advance(sim, elapsed, BOUNDS, config);
+    sim = result.sim;
+    events.push(...result.events);
+  });
+  return { sim, events };
+}
+
+const frames = (count, length) => Array.from({ length: count }, () => length);
+
+// A ball kicked off-center, so it travels sideways and bounces off a wall
+function kickedSimulation() {
+  const ball = kick(createBall(BOUNDS), { clickOffsetX: -40, clickOffsetY: 20, swipeDx: -30 });
+  return createSimulation(ball);
+}
+
+describe('advance', () => {
+  it('ends up in the same state at 60Hz and 144Hz', () => {
+    // 750ms at 60Hz, and 109 frames (757ms) at 144Hz: both 90 steps
+    const at60 = play(kickedSimulation(), frames(45, TARGET_FRAME_TIME));
+    const at144 = play(kickedSimulation(), frames(109, 1000 / 144));
+
+    expect(at60.sim.ball.time).toBeCloseTo(90 * FIXED_STEP);
+    expect(at144.sim.ball).toEqual(at60.sim.ball);
+    expect(at144.events).toEqual(at60.events);
+    expect(at60.events.some(event => event.type === 'wallHit')).toBe(true);
+  });
+
+  it('ends up in the same state with uneven frames', () => {
+    const even = play(kickedSimulation(), frames(30, TARGET_FRAME_TIME));
+    // 503ms, long frames and short ones: 60 steps like 30 frames at 60Hz
+    const uneven = play(kickedSimulation(), [...frames(20, 10), 50, ...frames(16, 15), 4, 9]);
+
+    expect(uneven.sim.ball).toEqual(even.sim.ball);
+  });
+
+  it('keeps leftover time for the next frame', () => {
+    const { sim } = advance(kickedSimulation(), FIXED_STEP * 1.5, BOUNDS);
+
+    expect(sim.ball.time).toBeCloseTo(FIXED_STEP);
+    expect(sim.accumulator).toBeCloseTo(FIXED_STEP / 2);
+  });
+
+  it('stops at the ground hit and drops the time left', () => {
+    // The waiting ball starts 100 units up: after 200ms it is about to land
+    const { sim } = play(createSimulation(createBall(BOUNDS)), frames(4, 50));
+    const { sim: landed, events } = advance(sim, 50, BOUNDS);
+
+    expect(sim.ball.y).toBeGreaterThan(0);
+    expect(landed.ball.time - sim.ball.time).toBeLessThan(50);
+    expect(events.filter(event => event.type === 'groundHit')).toHaveLength(1);
+    expect(events.at(-1).type).toBe('groundHit');
+    expect(landed.ball.y).toBe(0);
+    expect(landed.ball.vy).toBe(0);
+    expect(landed.accumulator).toBe(0);
+  });
+
+  it('is not thrown off by a long frame', () => {
+    const { sim } = advance(kickedSimulation(), 10000, BOUNDS);
+
+    expect(sim.ball.time).toBeLessThanOrEqual(TARGET_FRAME_TIME * 3);
+  });
+});
+
+describe('kick', () => {
+  const { radius, kickStrength } = DEFAULT_PHYSICS;
+  const ball = createBall(BOUNDS);
+  const center = { clickOffsetX: 0, clickOffsetY: 0, swipeDx: 0 };
+
+  it('sends the ball straight up when kicked in the center', () => {
+    const kicked = kick(ball, center);
+
+    expect(kicked.vx).toBe(0);
+    expect(kicked.vy).toBe(kickStrength);
+    expect({ x: kicked.x, y: kicked.y, time: kicked.time }).toEqual({ x: ball.x, y: ball.y, time: ball.time });
+  });
+
+  it('pushes the ball away from the side it was kicked on', () => {
+    expect(kick(ball, { ...center, clickOffsetX: -radius / 2 }).vx).toBeGreaterThan(0);
+    expect(kick(ball, { ...center, clickOffsetX: radius / 2 }).vx).toBeLessThan(0);
+    expect(kick(ball, { ...center, clickOffsetX: -radius }).vx).toBeCloseTo(kickStrength * 0.6);
+  });
+
+  it('lifts the ball higher when kicked below the center', () => {
+    expect(kick(ball, { ...center, clickOffsetY: radius }).vy).toBe(kickStrength + 5);
+    expect(kick(ball, { ...center, clickOffsetY: -radius }).vy).toBe(kickStrength);
+  });
+
+  it('adds the swipe to the sideways speed', () => {
+    expect(kick(ball, { ...center, swipeDx: -10 }).vx).toBeCloseTo(3);
+    expect(kick(ball, { ...center, swipeDx: 10 }).vx).toBeCloseTo(-3);
+  });
+
+  it('keeps the sideways speed and always sends a falling ball back up', () => {
+    const falling = { ...ball, vx: 4, vy: -30 };
+    const kicked = kick(falling, center);
+
+    expect(kicked.vx).toBe(4);
+    expect(kicked.vy).toBe(kickStrength);
+  });
+
+  it('adds to the speed of a rising ball', () => {
+    const rising = { ...ball, vy: 10 };
+
+    expect(kick(rising, center).vy).toBe(10 + kickStrength);
+  });
+
+  it('follows the rules it is given', () => {
+    const config = { ...DEFAULT_PHYSICS, radius: 24, kickStrength: 30 };
+
+    expect(kick(ball, center, config).vy).toBe(30);
+    expect(kick(ball, { ...center, clickOffsetX: -24 }, config).vx).toBeCloseTo(18);
+  });
+});
@@ -0,0 +1,78 @@
+// Deterministic playback of a recorded run
+//
+// A run is { score, time, challenge, difficulty, bounds, kicks } with kicks
+// logged by kicklog.js. Kicks are applied at the physics step they were made at, before
+// that step runs, just like live play, so a playback follows the original
+// run exactly and ends with the same score.
+import { FIXED_STEP, MAX_FRAME_TIME, createBall, createSimulation, step, kick } from './physics';
+import { createScoring, scoreKick, registerEvent } from './scoring';
+import { kickInput } from './kicklog';
+import { createDailyChallenge } from './daily';
+import { difficultyPhysics } from './difficulty';
+
+// Physics the run was played under
+export function runPhysics(run) {
+  return run.challenge ? createDailyChallenge(run.challenge).physics : difficultyPhysics(run.difficulty);
+}
+
+// liveScore is the score of a paused run the replay is watched over, kept
+// to give back to that run when the replay stops
+export function createPlayback(run, liveScore = 0) {
+  const config = runPhysics(run);
+  return {
+    run,
+    config,
+    sim: createSimulation(createBall(run.bounds, config)),
+    next: 0, // Index of the next kick to apply
+    scoring: createScoring(),
+    score: 0,
+    finished: false,
+    liveScore,
+  };
+}
+
+// Feed real frame time into the playback. Returns the new playback and the
+// events along the way: physics events plus { type: 'kick', input, points, tricks }.
+export function advancePlayback(playback, elapsed) {
+  if (playback.finished) return { playback, events: [] };
+
+  const { run, config } = playback;
+  let { next, scoring, score } = playback;
+  let ball = playback.sim.ball;
+  let accumulator = playback.sim.accumulator + Math.min(Math.max(elapsed, 0), MAX_FRAME_TIME);
+  let finished = false;
+  const events = [];
+
+  while (accumulator >= FIXED_STEP) {
+    const stepIndex = Math.round(ball.time / FIXED_STEP);
+    while (next < run.kicks.length && run.kicks[next].s <= stepIndex) {
+      const input = kickInput(run.kicks[next]);
+      const result = scoreKick(scoring, input, ball.time, config.radius);
+      scoring = result.scoring;
+      score += result.points;
+      ball = kick(ball, input, config);
+      events.push({ type: 'kick', time: ball.time, input, points: result.points, tricks: result.tricks });
+      next++;
+    }
+
+    const result = step(ball, FIXED_STEP, run.bounds, config);
+    ball = result.state;
+    accumulator -= FIXED_STEP;
+
+    for (const event of result.events) {
+      const tagged = { ...event, time: ball.time };
+      scoring = registerEvent(scoring, tagged);
+      events.push(tagged);
+      if (event.type === 'groundHit') finished = true;
+    }
+    if (finished) {
+      accumulator = 0;
+      break;
+    }
+  }
+
+  return {
+    playback: { ...playback, sim: { ball, accumulator }, next, scoring, score, finished },
+    events,
+  };
+}
@@ -0,0 +1,39 @@
+import { describe, it, expect, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { MAX_FRAME_TIME } from './physics';
+import { createPlayback, advancePlayback } from './replay';
+
+// daily.js only needs the translations to share a result, and they need a browser
+vi.mock('../i18n', () => ({ t: key => key, formatNumber: String }));
+
+// Synthetic runs played with the game's modules (see fixtures/README.md), with
+// the score they gave them. The backend replays the same runs
+// (session_test.go), so both sides agree on every score.
+const RUNS = JSON.parse(
+  readFileSync(new URL('../../../fixtures/runs.json', import.meta.url), 'utf8'),
+);
+
+function play(run, liveScore) {
+  let playback = createPlayback(run, liveScore);
+  let kicks = 0;
+  while (!playback.finished) {
+    const result = advancePlayback(playback, MAX_FRAME_TIME);
+    playback = result.playback;
+    kicks += result.events.filter(event => event.type === 'kick').length;
+  }
+  return { score: playback.score, kicks, liveScore: playback.liveScore };
+}
+
+describe('advancePlayback', () => {
+  it.each(RUNS.map(run => [run.name, run]))('replays the %s run to its score', (name, run) => {
+    const { score, kicks } = play(run);
+    expect(kicks).toBe(run.kicks.length);
+    expect(score).toBe(run.score);
+  });
+
+  it('keeps the score of the paused run it is watched over', () => {
+    const { score, liveScore } = play(RUNS[0], 7);
+    expect(score).toBe(RUNS[0].score);
+    expect(liveScore).toBe(7);
+  });
+});
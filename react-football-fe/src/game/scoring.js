@@ -0,0 +1,104 @@
+// Scoring for a run: base points per kick, trick bonuses and a combo multiplier
+//
+// Pure like the physics: the game feeds in kicks and physics events with the
+// simulation time they happened at, and gets back the new scoring state plus
+// what to show the player. Times are simulated ms (ball.time), so a run scores
+// the same regardless of frame rate. Mirrored in react-football-be/scoring.go.
+
+export const SCORING = {
+  basePoints: 1,
+  edgeThreshold: 0.6, // Click offset from the center, as a fraction of the radius
+  saveWindow: 700, // Kick within this long after a wall bounce counts as a save
+  quickWindow: 450, // Kick within this long after the previous one
+  kicksPerLevel: 5, // Combo kicks needed to raise the multiplier by one
+  maxMultiplier: 4,
+  decayTime: 1500, // A multiplier level is lost for every this long without a kick
+};
+
+// Bonus points per trick; names are translated under 'tricks.<id>'
+export const TRICKS = {
+  edge: { bonus: 1 },
+  save: { bonus: 2 },
+  ceiling: { bonus: 2 },
+  quick: { bonus: 1 },
+};
+
+export function createScoring() {
+  return {
+    combo: 0,
+    lastKickTime: null,
+    decayedAt: null, // Last kick, or the last time the combo dropped a level since
+    lastWallHit: null,
+    ceilingTouched: false, // Since the last kick
+  };
+}
+
+export function getMultiplier(scoring, config = SCORING) {
+  return Math.min(1 + Math.floor(scoring.combo / config.kicksPerLevel), config.maxMultiplier);
+}
+
+// Drop a multiplier level for every decayTime since the last kick
+export function decayCombo(scoring, time, config = SCORING) {
+  if (scoring.decayedAt === null || scoring.combo === 0) return scoring;
+
+  const levels = Math.floor((time - scoring.decayedAt) / config.decayTime);
+  if (levels <= 0) return scoring;
+
+  // Decay from the start of the current level, so the combo never drops twice
+  // for the same stretch of time
+  const level = Math.floor(scoring.combo / config.kicksPerLevel);
+  const combo = Math.max(0, (level - levels) * config.kicksPerLevel);
+  if (combo === scoring.combo) return scoring;
+
+  return { ...scoring, combo, decayedAt: scoring.decayedAt + levels * config.decayTime };
+}
+
+// Remember physics events (as returned by advance()) that make the next kick a trick
+export function registerEvent(scoring, event) {
+  switch (event.type) {
+    case 'wallHit':
+      return { ...scoring, lastWallHit: event.time };
+    case 'ceilingHit':
+      return { ...scoring, ceilingTouched: true };
+    default:
+      return scoring;
+  }
+}
+
+// Score a kick. Returns the new scoring state, the points earned and the
+// tricks that were landed.
+export function scoreKick(scoring, { clickOffsetX }, time, radius, config = SCORING) {
+  const current = decayCombo(scoring, time, config);
+  const tricks = [];
+
+  if (Math.abs(clickOffsetX) / radius >= config.edgeThreshold) {
+    tricks.push('edge');
+  }
+  if (current.lastWallHit !== null && time - current.lastWallHit <= config.saveWindow) {
+    tricks.push('save');
+  }
+  if (current.ceilingTouched) {
+    tricks.push('ceiling');
+  }
+  if (current.lastKickTime !== null && time - current.lastKickTime <= config.quickWindow) {
+    tricks.push('quick');
+  }
+
+  // Tricks push the combo along faster than plain kicks
+  const next = {
+    combo: current.combo + 1 + tricks.length,
+    lastKickTime: time,
+    decayedAt: time,
+    lastWallHit: null,
+    ceilingTouched: false,
+  };
+  const multiplier = getMultiplier(current, config);
+  const bonus = tricks.reduce((sum, trick) => sum + TRICKS[trick].bonus, 0);
+
+  return {
+    scoring: next,
+    points: (config.basePoints + bonus) * multiplier,
+    tricks,
+    multiplier,
+  };
+}
@@ -0,0 +1,38 @@
+// World coordinates
+//
+// The physics doesn't run in screen pixels but in world units: the world is
+// always WORLD_HEIGHT units tall, and as wide as the playfield's shape allows
+// between MIN_ASPECT and MAX_ASPECT. The renderers scale it to fit the
+// playfield, so the ball flies as high and falls as fast on a phone as on a
+// 4K monitor, and DEFAULT_PHYSICS means the same everywhere.
+//
+// A run keeps the world it started in: it is recorded with the run and the
+// backend replays it there (react-football-be/physics.go checks the same
+// limits). Resizing or rotating the screen mid-run only changes the scale.
+
+export const WORLD_HEIGHT = 800;
+export const MIN_ASPECT = 0.45; // Tall phone held upright
+export const MAX_ASPECT = 2.4; // Ultra-wide monitor
+
+// World for a playfield of the given size in pixels
+export function worldFor({ width, height }) {
+  const aspect = width > 0 && height > 0 ? width / height : 1;
+  const clamped = Math.min(Math.max(aspect, MIN_ASPECT), MAX_ASPECT);
+  return { width: Math.round(WORLD_HEIGHT * clamped), height: WORLD_HEIGHT };
+}
+
+export function sameWorld(a, b) {
+  return a.width === b.width && a.height === b.height;
+}
+
+// How a world fits a playfield of the given size: pixels per world unit, and
+// where its top-left corner goes. Worlds of another shape (a run recorded on
+// another screen, or a mid-run rotation) are centered.
+export function fitWorld(world, { width, height }) {
+  const scale = Math.min(width / world.width, height / world.height) || 1;
+  return {
+    scale,
+    left: (width - world.width * scale) / 2,
+    top: (height - world.height * scale) / 2,
+  };
+}
@@ -0,0 +1,75 @@
+import { useEffect, useRef } from 'react';
+
+const FOCUSABLE = [
+  'button:not([disabled])',
+  'a[href]',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])',
+].join(', ');
+
+const traps = []; // Open modals, the last one on top
+
+// Keep keyboard focus inside a modal while it is open: focus moves into it,
+// Tab wraps around its controls, Escape calls onClose (if given), and focus
+// goes back where it was when the modal closes. Returns the ref for the
+// modal's container.
+export function useFocusTrap(active, onClose) {
+  const ref = useRef(null);
+  const onCloseRef = useRef(onClose);
+
+  useEffect(() => {
+    onCloseRef.current = onClose;
+  }, [onClose]);
+
+  useEffect(() => {
+    const container = ref.current;
+    if (!active || !container) return;
+
+    const previous = document.activeElement;
+    const focusable = () => [...container.querySelectorAll(FOCUSABLE)];
+    traps.push(container);
+
+    // Unless a control already took focus (autoFocus)
+    if (!container.contains(document.activeElement)) {
+      (focusable()[0] || container).focus();
+    }
+
+    const handleKeyDown = (e) => {
+      if (traps[traps.length - 1] !== container) return;
+
+      if (e.key === 'Escape' && onCloseRef.current) {
+        e.preventDefault();
+        onCloseRef.current();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+
+      const elements = focusable();
+      if (elements.length === 0) {
+        e.preventDefault();
+        return;
+      }
+      const first = elements[0];
+      const last = elements[elements.length - 1];
+      const inside = container.contains(document.activeElement);
+      if (e.shiftKey && (document.activeElement === first || !inside)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      traps.splice(traps.indexOf(container), 1);
+      previous?.focus?.();
+    };
+  }, [active]);
+
+  return ref;
+}
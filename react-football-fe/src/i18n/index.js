@@ -0,0 +1,111 @@
+// Translations, number/date formatting and text direction
+//
+// Messages live in one module per language under ./locales, keyed by flat
+// dotted ids ('menu.leaderboard'). A message can use {placeholders}, and
+// messages that depend on a count are objects of plural forms
+// ({ one, other, ... }, see Intl.PluralRules) picked by params.count.
+// Anything missing from a language falls back to English.
+//
+// The language is detected from the browser unless the player picked one in
+// the settings. Components re-render on a change through useLocale().
+import { useSyncExternalStore } from 'react';
+import { getSettings, updateSettings } from '../services/settings';
+import { COUNTRIES } from '../data/countries';
+import en from './locales/en';
+import fr from './locales/fr';
+import es from './locales/es';
+import ar from './locales/ar';
+
+export const LANGUAGES = {
+  en: { name: 'English', messages: en },
+  fr: { name: 'Français', messages: fr },
+  es: { name: 'Español', messages: es },
+  ar: { name: 'العربية', messages: ar, dir: 'rtl' },
+};
+
+let locale = detectLocale();
+const listeners = new Set();
+const formatters = new Map(); // Intl objects are slow to create, keep them per locale
+
+// Preferred browser language we have messages for, or English
+function detectLocale() {
+  const chosen = getSettings('general').language;
+  if (LANGUAGES[chosen]) return chosen;
+
+  const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+  const match = preferred
+    .filter(Boolean)
+    .map(tag => tag.split('-')[0].toLowerCase())
+    .find(language => LANGUAGES[language]);
+  return match || 'en';
+}
+
+function formatter(type, options = {}) {
+  const key = `${locale}|${type}|${JSON.stringify(options)}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl[type](locale, options));
+  }
+  return formatters.get(key);
+}
+
+// Put the document in the current language and direction
+export function applyLocale() {
+  document.documentElement.lang = locale;
+  document.documentElement.dir = LANGUAGES[locale].dir || 'ltr';
+}
+
+export function getLocale() {
+  return locale;
+}
+
+// Switch language; '' goes back to the browser's language
+export function setLocale(language) {
+  updateSettings('general', { language });
+  locale = detectLocale();
+  applyLocale();
+  listeners.forEach(listener => listener());
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Current language; re-renders the calling component when it changes
+export function useLocale() {
+  return useSyncExternalStore(subscribe, getLocale);
+}
+
+export function formatNumber(value, options) {
+  return formatter('NumberFormat', options).format(value);
+}
+
+export function formatDate(time, options) {
+  return formatter('DateTimeFormat', options).format(new Date(time));
+}
+
+// Translate a message id, filling in {placeholders} from params. Numbers are
+// formatted for the current language.
+export function t(id, params = {}) {
+  let message = LANGUAGES[locale].messages[id] ?? en[id] ?? id;
+
+  if (typeof message === 'object') {
+    const form = formatter('PluralRules').select(params.count);
+    message = message[form] ?? message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = params[name];
+    if (value === undefined) return placeholder;
+    return typeof value === 'number' ? formatNumber(value) : value;
+  });
+}
+
+// Name of a country code (or the leaderboard's 'Worldwide' row) in the
+// current language, falling back to the English name
+export function countryName(code) {
+  if (code === 'Worldwide') return t('country.worldwide');
+  if (!COUNTRIES[code]) return t('country.unknown');
+  if (typeof Intl.DisplayNames !== 'function') return COUNTRIES[code];
+  return formatter('DisplayNames', { type: 'region' }).of(code) || COUNTRIES[code];
+}
@@ -0,0 +1,187 @@
+// العربية (right to left)
+export default {
+  'loading.assets': 'جارٍ تحميل اللعبة...',
+  'loading.missingAssets': 'تعذّر تحميل بعض ملفات اللعبة',
+  'loading.missingSound': 'تعذّر تحميل الصوت، اللعب بدون صوت',
+  'loading.missingSounds': 'تعذّر تحميل بعض الأصوات',
+
+  'menu.mode': 'النمط',
+  'menu.twoPlayers': 'لاعبان',
+  'menu.classic': 'كلاسيكي',
+  'menu.dailyChallenge': 'التحدي اليومي',
+  'menu.myStats': 'إحصائياتي',
+  'menu.settings': 'الإعدادات',
+  'menu.leaderboard': 'الترتيب',
+  'menu.achievements': 'الإنجازات',
+
+  'score.currentBest': 'أفضل نتيجة',
+  'score.combo': 'كومبو x{multiplier}',
+  'score.replay': '▶ إعادة',
+  'score.playerRound': '{name} · الجولة {round}/{rounds}',
+
+  'tricks.edge': 'ركلة الحافة',
+  'tricks.save': 'إنقاذ من الجدار',
+  'tricks.ceiling': 'في السماء',
+  'tricks.quick': 'أقدام سريعة',
+
+  'gameOver.title': 'انتهت اللعبة!',
+  'gameOver.challenge': '📅 التحدي اليومي {id}',
+  'gameOver.share': 'شارك النتيجة',
+  'gameOver.shared': 'تمت المشاركة!',
+  'gameOver.copied': 'تم النسخ!',
+  'gameOver.yourScore': 'نتيجتك',
+  'gameOver.bestScore': 'أفضل نتيجة',
+  'gameOver.playAgain': 'العب مجددًا',
+  'gameOver.watchReplay': '▶ شاهد الإعادة',
+
+  'replay.stop': 'أوقف الإعادة',
+  'pause.pause': 'إيقاف مؤقت',
+  'pause.title': 'متوقفة مؤقتًا',
+  'pause.hint': 'اضغط P أو Esc للمتابعة',
+  'pause.resume': 'متابعة',
+  'pause.restart': 'الاستسلام وإعادة البدء',
+
+  'share.title': '⚽ Kick Challenge — التحدي {id}',
+  'share.score': {
+    zero: '🏅 {count} ركلة',
+    one: '🏅 ركلة واحدة',
+    two: '🏅 ركلتان',
+    few: '🏅 {count} ركلات',
+    many: '🏅 {count} ركلة',
+    other: '🏅 {count} ركلة',
+  },
+  'share.conditions': '💨 الرياح {wind}  🌍 الجاذبية {gravity}  🪨 {obstacles}',
+
+  'match.player': 'اللاعب {number}',
+  'match.round': 'الجولة {round} من {rounds}',
+  'match.yourTurn': '{name}، دورك!',
+  'match.go': 'انطلق',
+  'match.draw': 'تعادل!',
+  'match.wins': 'فاز {name}!',
+  'match.rematch': 'مباراة العودة',
+  'match.exit': 'العودة إلى اللعب الفردي',
+  'match.done': 'انتهى!',
+
+  'modes.title': 'نمط اللعب',
+  'modes.single': 'لاعب واحد',
+  'modes.hotseat': 'بالتناوب',
+  'modes.versus': 'شاشة مقسومة',
+  'modes.rounds': 'لاعبان · {rounds} جولات لكل لاعب',
+  'modes.sameTime': 'لاعبان · في نفس الوقت',
+
+  'stats.title': 'إحصائياتي',
+  'stats.best': 'الأفضل ({difficulty})',
+  'stats.games': 'المباريات',
+  'stats.totalKicks': 'مجموع الركلات',
+  'stats.recentAverage': 'المعدل الأخير',
+  'stats.empty': 'العب مباراة لترى إحصائياتك هنا.',
+  'stats.scores': 'النتائج',
+  'stats.bestRuns': 'أفضل المباريات',
+  'stats.recentGames': 'آخر المباريات',
+  'stats.dailyChallenge': 'التحدي اليومي',
+
+  'achievements.title': 'الإنجازات',
+  'achievements.count': 'تم فتح {unlocked} من {total}',
+  'achievements.unlocked': 'تم فتح إنجاز',
+  'achievements.locked': 'مقفل',
+  'achievements.kicks10': 'إحماء',
+  'achievements.kicks10Desc': '10 ركلات في جولة واحدة',
+  'achievements.kicks50': 'مراوغ',
+  'achievements.kicks50Desc': '50 ركلة في جولة واحدة',
+  'achievements.kicks100': 'سيد الكرة',
+  'achievements.kicks100Desc': '100 ركلة في جولة واحدة',
+  'achievements.walls5': 'كرة الدبابيس',
+  'achievements.walls5Desc': '5 ارتدادات عن الجدران في جولة واحدة',
+  'achievements.ceiling': 'إلى السماء',
+  'achievements.ceilingDesc': 'المس السقف',
+  'achievements.lifetime1000': 'ألف ركلة',
+  'achievements.lifetime1000Desc': '1000 ركلة إجمالًا',
+  'achievements.newCountry': 'رحّالة',
+  'achievements.newCountryDesc': 'العب من بلد جديد',
+  'achievements.streak3': 'في أوج العطاء',
+  'achievements.streak3Desc': 'العب 3 أيام متتالية',
+  'achievements.streak7': 'كل يوم',
+  'achievements.streak7Desc': 'العب 7 أيام متتالية',
+
+  'profile.edit': 'تعديل',
+  'profile.editTitle': 'عدّل ملفك الشخصي',
+  'profile.newTitle': 'ضع اسمك في الترتيب',
+  'profile.nickname': 'اللقب',
+  'profile.save': 'حفظ',
+  'profile.saving': 'جارٍ الحفظ...',
+
+  'country.automatic': 'تلقائي',
+  'country.automaticDetected': 'تلقائي ({country})',
+  'country.worldwide': 'العالم',
+  'country.unknown': 'غير معروف',
+
+  'leaderboard.title': 'الترتيب',
+  'leaderboard.countries': 'الدول',
+  'leaderboard.topPlayers': 'أفضل اللاعبين',
+  'leaderboard.loading': 'جارٍ التحميل...',
+  'leaderboard.empty': 'لا توجد نتائج بعد. كن الأول!',
+  'leaderboard.kps': '{kps} ركلة/ث',
+  'leaderboard.kpsTitle': 'ركلات في الثانية',
+  'leaderboard.kicks': {
+    zero: 'ركلة',
+    one: 'ركلة',
+    two: 'ركلة',
+    few: 'ركلات',
+    many: 'ركلة',
+    other: 'ركلة',
+  },
+  'leaderboard.playingFor': 'ألعب من أجل',
+  'leaderboard.allTime': 'كل الأوقات',
+  'leaderboard.thisWeek': 'هذا الأسبوع',
+  'leaderboard.today': 'اليوم',
+  'leaderboard.challenge': '📅 التحدي',
+
+  'settings.title': 'الإعدادات',
+  'settings.sound': 'الصوت',
+  'settings.mute': 'كتم الصوت',
+  'settings.masterVolume': 'مستوى الصوت العام',
+  'settings.effectsVolume': 'مستوى المؤثرات',
+  'settings.language': 'اللغة',
+  'settings.languageAutomatic': 'تلقائي',
+  'settings.difficulty': 'الصعوبة',
+  'settings.difficultyLocked': 'أنهِ اللعبة أو المباراة الحالية لتغييرها.',
+  'settings.display': 'العرض',
+  'settings.ghost': 'شبح أفضل مباراة لك',
+  'settings.popups': 'مؤثرات الركلات',
+  'settings.effects': 'الجزيئات واهتزاز الشاشة',
+  'settings.accessibility': 'إمكانية الوصول',
+  'settings.motion': 'الحركة',
+  'settings.motionAutomatic': 'تلقائي',
+  'settings.motionReduced': 'مخفّضة',
+  'settings.motionFull': 'كاملة',
+
+  'difficulty.easy': 'سهل',
+  'difficulty.normal': 'عادي',
+  'difficulty.hard': 'صعب',
+  'difficulty.easyHint': 'كرة أكبر تسقط ببطء أكثر.',
+  'difficulty.normalHint': 'اللعبة الكلاسيكية.',
+  'difficulty.hardHint': 'كرة أصغر وأثقل، مع رياح.',
+
+  'settings.skins': 'المظاهر',
+  'settings.ball': 'الكرة',
+  'settings.pitch': 'الملعب',
+  'skins.ball.classic': 'كلاسيكية',
+  'skins.ball.national': 'ألوان وطنية',
+  'skins.ball.retro': 'جلد قديم',
+  'skins.ball.beach': 'كرة شاطئ',
+  'skins.pitch.classic': 'الحديقة',
+  'skins.pitch.night': 'مباراة ليلية',
+  'skins.pitch.beach': 'شاطئ البحر',
+  'skins.unlockBest': 'أفضل نتيجة {score}',
+  'skins.unlockKicks': '{kicks} ركلة إجمالاً',
+  'skins.hint': 'المظاهر تغيّر الشكل فقط: كل الكرات تلعب بنفس الطريقة.',
+
+  'a11y.playfield': 'الكرة. استخدم السهمين الأيسر والأيمن أو A وD للتصويب، والمسافة أو السهم العلوي للركل. P أو Esc للإيقاف المؤقت. تعمل أذرع التحكم أيضًا.',
+  'a11y.lane1Controls': 'A وD للتصويب، W للركل، أو ذراع التحكم الأولى.',
+  'a11y.lane2Controls': 'السهمان الأيسر والأيمن للتصويب، السهم العلوي للركل، أو ذراع التحكم الثانية.',
+  'a11y.gameOver': 'انتهت اللعبة. نتيجتك: {score}. أفضل نتيجة: {best}.',
+  'a11y.close': 'إغلاق',
+
+  'update.available': 'يتوفر إصدار جديد',
+  'update.apply': 'تحديث',
+};
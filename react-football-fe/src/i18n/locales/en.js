@@ -0,0 +1,173 @@
+// English, also the fallback for anything missing from other languages
+export default {
+  'loading.assets': 'Loading game assets...',
+  'loading.missingAssets': 'Some game assets couldn\'t load',
+  'loading.missingSound': 'Sound couldn\'t load, playing without it',
+  'loading.missingSounds': 'Some sounds couldn\'t load',
+
+  'menu.mode': 'Mode',
+  'menu.twoPlayers': '2 Players',
+  'menu.classic': 'Classic',
+  'menu.dailyChallenge': 'Daily Challenge',
+  'menu.myStats': 'My Stats',
+  'menu.settings': 'Settings',
+  'menu.leaderboard': 'Leaderboard',
+  'menu.achievements': 'Achievements',
+
+  'score.currentBest': 'Current best',
+  'score.combo': 'x{multiplier} combo',
+  'score.replay': '▶ Replay',
+  'score.playerRound': '{name} · Round {round}/{rounds}',
+
+  'tricks.edge': 'Edge kick',
+  'tricks.save': 'Wall save',
+  'tricks.ceiling': 'Sky high',
+  'tricks.quick': 'Quick feet',
+
+  'gameOver.title': 'Game Over!',
+  'gameOver.challenge': '📅 Daily Challenge {id}',
+  'gameOver.share': 'Share result',
+  'gameOver.shared': 'Shared!',
+  'gameOver.copied': 'Copied!',
+  'gameOver.yourScore': 'Your Score',
+  'gameOver.bestScore': 'Best Score',
+  'gameOver.playAgain': 'Play Again',
+  'gameOver.watchReplay': '▶ Watch replay',
+
+  'replay.stop': 'Stop replay',
+  'pause.pause': 'Pause',
+  'pause.title': 'Paused',
+  'pause.hint': 'Press P or Esc to resume',
+  'pause.resume': 'Resume',
+  'pause.restart': 'Give up and restart',
+
+  'share.title': '⚽ Kick Challenge — Daily {id}',
+  'share.score': { one: '🏅 {count} kick', other: '🏅 {count} kicks' },
+  'share.conditions': '💨 Wind {wind}  🌍 Gravity {gravity}  🪨 {obstacles}',
+
+  'match.player': 'Player {number}',
+  'match.round': 'Round {round} of {rounds}',
+  'match.yourTurn': '{name}, your turn!',
+  'match.go': 'Go',
+  'match.draw': 'It\'s a draw!',
+  'match.wins': '{name} wins!',
+  'match.rematch': 'Rematch',
+  'match.exit': 'Back to single player',
+  'match.done': 'Done!',
+
+  'modes.title': 'Game Mode',
+  'modes.single': 'Single player',
+  'modes.hotseat': 'Hot-seat',
+  'modes.versus': 'Split-screen',
+  'modes.rounds': '2 players · {rounds} rounds each',
+  'modes.sameTime': '2 players · same time',
+
+  'stats.title': 'My Stats',
+  'stats.best': 'Best ({difficulty})',
+  'stats.games': 'Games',
+  'stats.totalKicks': 'Total kicks',
+  'stats.recentAverage': 'Recent avg',
+  'stats.empty': 'Play a game to see your stats here.',
+  'stats.scores': 'Scores',
+  'stats.bestRuns': 'Best runs',
+  'stats.recentGames': 'Recent games',
+  'stats.dailyChallenge': 'Daily Challenge',
+
+  'achievements.title': 'Achievements',
+  'achievements.count': '{unlocked} of {total} unlocked',
+  'achievements.unlocked': 'Achievement unlocked',
+  'achievements.locked': 'Locked',
+  'achievements.kicks10': 'Warming up',
+  'achievements.kicks10Desc': '10 kicks in one run',
+  'achievements.kicks50': 'Keepy-uppy',
+  'achievements.kicks50Desc': '50 kicks in one run',
+  'achievements.kicks100': 'Ball master',
+  'achievements.kicks100Desc': '100 kicks in one run',
+  'achievements.walls5': 'Pinball',
+  'achievements.walls5Desc': '5 wall bounces in one run',
+  'achievements.ceiling': 'Sky high',
+  'achievements.ceilingDesc': 'Touch the ceiling',
+  'achievements.lifetime1000': 'Thousand kicks',
+  'achievements.lifetime1000Desc': '1,000 kicks in total',
+  'achievements.newCountry': 'Globetrotter',
+  'achievements.newCountryDesc': 'Play from a new country',
+  'achievements.streak3': 'On a roll',
+  'achievements.streak3Desc': 'Play 3 days in a row',
+  'achievements.streak7': 'Every day',
+  'achievements.streak7Desc': 'Play 7 days in a row',
+
+  'profile.edit': 'Edit',
+  'profile.editTitle': 'Edit your profile',
+  'profile.newTitle': 'Put your name on the board',
+  'profile.nickname': 'Nickname',
+  'profile.save': 'Save',
+  'profile.saving': 'Saving...',
+
+  'country.automatic': 'Automatic',
+  'country.automaticDetected': 'Automatic ({country})',
+  'country.worldwide': 'Worldwide',
+  'country.unknown': 'Unknown',
+
+  'leaderboard.title': 'Leaderboard',
+  'leaderboard.countries': 'Countries',
+  'leaderboard.topPlayers': 'Top Players',
+  'leaderboard.loading': 'Loading...',
+  'leaderboard.empty': 'No scores yet. Be the first!',
+  'leaderboard.kps': '{kps} KPS',
+  'leaderboard.kpsTitle': 'Kicks Per Second',
+  'leaderboard.kicks': { one: 'kick', other: 'kicks' },
+  'leaderboard.playingFor': 'Playing for',
+  'leaderboard.allTime': 'All-time',
+  'leaderboard.thisWeek': 'This week',
+  'leaderboard.today': 'Today',
+  'leaderboard.challenge': '📅 Challenge',
+
+  'settings.title': 'Settings',
+  'settings.sound': 'Sound',
+  'settings.mute': 'Mute',
+  'settings.masterVolume': 'Master volume',
+  'settings.effectsVolume': 'Effects volume',
+  'settings.language': 'Language',
+  'settings.languageAutomatic': 'Automatic',
+  'settings.difficulty': 'Difficulty',
+  'settings.difficultyLocked': 'Finish the current game or match to change it.',
+  'settings.display': 'Display',
+  'settings.ghost': 'Ghost of your best run',
+  'settings.popups': 'Kick popups',
+  'settings.effects': 'Particles and screen shake',
+  'settings.accessibility': 'Accessibility',
+  'settings.motion': 'Motion',
+  'settings.motionAutomatic': 'Automatic',
+  'settings.motionReduced': 'Reduced',
+  'settings.motionFull': 'Full',
+
+  'difficulty.easy': 'Easy',
+  'difficulty.normal': 'Normal',
+  'difficulty.hard': 'Hard',
+  'difficulty.easyHint': 'A bigger ball that falls slower.',
+  'difficulty.normalHint': 'The classic game.',
+  'difficulty.hardHint': 'A smaller, heavier ball, and wind.',
+
+  'settings.skins': 'Skins',
+  'settings.ball': 'Ball',
+  'settings.pitch': 'Pitch',
+  'skins.ball.classic': 'Classic',
+  'skins.ball.national': 'National colors',
+  'skins.ball.retro': 'Retro leather',
+  'skins.ball.beach': 'Beach ball',
+  'skins.pitch.classic': 'Park',
+  'skins.pitch.night': 'Night match',
+  'skins.pitch.beach': 'Seaside',
+  'skins.unlockBest': 'Best score of {score}',
+  'skins.unlockKicks': '{kicks} kicks in total',
+  'skins.hint': 'Skins only change the look: every ball plays the same.',
+
+  'a11y.playfield': 'Ball. Left and right arrows or A and D to aim, Space or Up to kick. P or Esc to pause. Gamepads work too.',
+  'a11y.lane1Controls': 'A and D to aim, W to kick, or the first gamepad.',
+  'a11y.lane2Controls': 'Left and right arrows to aim, Up to kick, or the second gamepad.',
+  'a11y.gameOver': 'Game over. Your score: {score}. Best: {best}.',
+  'a11y.close': 'Close',
+
+  'update.available': 'A new version is available',
+  'update.apply': 'Update',
+};
@@ -0,0 +1,173 @@
+// Español
+export default {
+  'loading.assets': 'Cargando el juego...',
+  'loading.missingAssets': 'Algunos recursos del juego no se pudieron cargar',
+  'loading.missingSound': 'El sonido no se pudo cargar, se juega sin él',
+  'loading.missingSounds': 'Algunos sonidos no se pudieron cargar',
+
+  'menu.mode': 'Modo',
+  'menu.twoPlayers': '2 jugadores',
+  'menu.classic': 'Clásico',
+  'menu.dailyChallenge': 'Reto diario',
+  'menu.myStats': 'Mis estadísticas',
+  'menu.settings': 'Ajustes',
+  'menu.leaderboard': 'Clasificación',
+  'menu.achievements': 'Logros',
+
+  'score.currentBest': 'Mejor marca',
+  'score.combo': 'combo x{multiplier}',
+  'score.replay': '▶ Repetición',
+  'score.playerRound': '{name} · Ronda {round}/{rounds}',
+
+  'tricks.edge': 'Toque de borde',
+  'tricks.save': 'Salvada',
+  'tricks.ceiling': 'Hasta el cielo',
+  'tricks.quick': 'Pies rápidos',
+
+  'gameOver.title': '¡Fin del juego!',
+  'gameOver.challenge': '📅 Reto diario {id}',
+  'gameOver.share': 'Compartir',
+  'gameOver.shared': '¡Compartido!',
+  'gameOver.copied': '¡Copiado!',
+  'gameOver.yourScore': 'Tu puntuación',
+  'gameOver.bestScore': 'Mejor puntuación',
+  'gameOver.playAgain': 'Jugar otra vez',
+  'gameOver.watchReplay': '▶ Ver repetición',
+
+  'replay.stop': 'Detener repetición',
+  'pause.pause': 'Pausa',
+  'pause.title': 'En pausa',
+  'pause.hint': 'Pulsa P o Esc para continuar',
+  'pause.resume': 'Continuar',
+  'pause.restart': 'Rendirse y reiniciar',
+
+  'share.title': '⚽ Kick Challenge — Reto {id}',
+  'share.score': { one: '🏅 {count} toque', other: '🏅 {count} toques' },
+  'share.conditions': '💨 Viento {wind}  🌍 Gravedad {gravity}  🪨 {obstacles}',
+
+  'match.player': 'Jugador {number}',
+  'match.round': 'Ronda {round} de {rounds}',
+  'match.yourTurn': '¡{name}, te toca!',
+  'match.go': 'Vamos',
+  'match.draw': '¡Empate!',
+  'match.wins': '¡Gana {name}!',
+  'match.rematch': 'Revancha',
+  'match.exit': 'Volver a un jugador',
+  'match.done': '¡Listo!',
+
+  'modes.title': 'Modo de juego',
+  'modes.single': 'Un jugador',
+  'modes.hotseat': 'Por turnos',
+  'modes.versus': 'Pantalla dividida',
+  'modes.rounds': '2 jugadores · {rounds} rondas cada uno',
+  'modes.sameTime': '2 jugadores · a la vez',
+
+  'stats.title': 'Mis estadísticas',
+  'stats.best': 'Récord ({difficulty})',
+  'stats.games': 'Partidas',
+  'stats.totalKicks': 'Toques totales',
+  'stats.recentAverage': 'Media reciente',
+  'stats.empty': 'Juega una partida para ver tus estadísticas aquí.',
+  'stats.scores': 'Puntuaciones',
+  'stats.bestRuns': 'Mejores partidas',
+  'stats.recentGames': 'Partidas recientes',
+  'stats.dailyChallenge': 'Reto diario',
+
+  'achievements.title': 'Logros',
+  'achievements.count': '{unlocked} de {total} desbloqueados',
+  'achievements.unlocked': 'Logro desbloqueado',
+  'achievements.locked': 'Bloqueado',
+  'achievements.kicks10': 'Calentando',
+  'achievements.kicks10Desc': '10 toques en una partida',
+  'achievements.kicks50': 'Malabarista',
+  'achievements.kicks50Desc': '50 toques en una partida',
+  'achievements.kicks100': 'Maestro del balón',
+  'achievements.kicks100Desc': '100 toques en una partida',
+  'achievements.walls5': 'Pinball',
+  'achievements.walls5Desc': '5 rebotes en las paredes en una partida',
+  'achievements.ceiling': 'Hasta el cielo',
+  'achievements.ceilingDesc': 'Toca el techo',
+  'achievements.lifetime1000': 'Mil toques',
+  'achievements.lifetime1000Desc': '1000 toques en total',
+  'achievements.newCountry': 'Trotamundos',
+  'achievements.newCountryDesc': 'Juega desde un país nuevo',
+  'achievements.streak3': 'En racha',
+  'achievements.streak3Desc': 'Juega 3 días seguidos',
+  'achievements.streak7': 'Cada día',
+  'achievements.streak7Desc': 'Juega 7 días seguidos',
+
+  'profile.edit': 'Editar',
+  'profile.editTitle': 'Edita tu perfil',
+  'profile.newTitle': 'Pon tu nombre en la clasificación',
+  'profile.nickname': 'Apodo',
+  'profile.save': 'Guardar',
+  'profile.saving': 'Guardando...',
+
+  'country.automatic': 'Automático',
+  'country.automaticDetected': 'Automático ({country})',
+  'country.worldwide': 'Mundial',
+  'country.unknown': 'Desconocido',
+
+  'leaderboard.title': 'Clasificación',
+  'leaderboard.countries': 'Países',
+  'leaderboard.topPlayers': 'Mejores jugadores',
+  'leaderboard.loading': 'Cargando...',
+  'leaderboard.empty': 'Aún no hay puntuaciones. ¡Sé el primero!',
+  'leaderboard.kps': '{kps} TPS',
+  'leaderboard.kpsTitle': 'Toques por segundo',
+  'leaderboard.kicks': { one: 'toque', other: 'toques' },
+  'leaderboard.playingFor': 'Juego por',
+  'leaderboard.allTime': 'Histórico',
+  'leaderboard.thisWeek': 'Esta semana',
+  'leaderboard.today': 'Hoy',
+  'leaderboard.challenge': '📅 Reto',
+
+  'settings.title': 'Ajustes',
+  'settings.sound': 'Sonido',
+  'settings.mute': 'Silenciar',
+  'settings.masterVolume': 'Volumen general',
+  'settings.effectsVolume': 'Volumen de efectos',
+  'settings.language': 'Idioma',
+  'settings.languageAutomatic': 'Automático',
+  'settings.difficulty': 'Dificultad',
+  'settings.difficultyLocked': 'Termina la partida o el partido en curso para cambiarla.',
+  'settings.display': 'Pantalla',
+  'settings.ghost': 'Fantasma de tu mejor partida',
+  'settings.popups': 'Animaciones de los toques',
+  'settings.effects': 'Partículas y temblor de pantalla',
+  'settings.accessibility': 'Accesibilidad',
+  'settings.motion': 'Animaciones',
+  'settings.motionAutomatic': 'Automático',
+  'settings.motionReduced': 'Reducidas',
+  'settings.motionFull': 'Completas',
+
+  'difficulty.easy': 'Fácil',
+  'difficulty.normal': 'Normal',
+  'difficulty.hard': 'Difícil',
+  'difficulty.easyHint': 'Un balón más grande que cae más despacio.',
+  'difficulty.normalHint': 'El juego clásico.',
+  'difficulty.hardHint': 'Un balón más pequeño y pesado, y viento.',
+
+  'settings.skins': 'Aspectos',
+  'settings.ball': 'Balón',
+  'settings.pitch': 'Campo',
+  'skins.ball.classic': 'Clásico',
+  'skins.ball.national': 'Colores nacionales',
+  'skins.ball.retro': 'Cuero retro',
+  'skins.ball.beach': 'Pelota de playa',
+  'skins.pitch.classic': 'Parque',
+  'skins.pitch.night': 'Partido nocturno',
+  'skins.pitch.beach': 'Costa',
+  'skins.unlockBest': 'Mejor puntuación de {score}',
+  'skins.unlockKicks': '{kicks} toques en total',
+  'skins.hint': 'Los aspectos solo cambian la apariencia: todos los balones juegan igual.',
+
+  'a11y.playfield': 'Balón. Flechas izquierda y derecha o A y D para apuntar, Espacio o Arriba para chutar. P o Esc para pausar. También funcionan los mandos.',
+  'a11y.lane1Controls': 'A y D para apuntar, W para chutar, o el primer mando.',
+  'a11y.lane2Controls': 'Flechas izquierda y derecha para apuntar, Arriba para chutar, o el segundo mando.',
+  'a11y.gameOver': 'Fin del juego. Tu puntuación: {score}. Récord: {best}.',
+  'a11y.close': 'Cerrar',
+
+  'update.available': 'Hay una nueva versión disponible',
+  'update.apply': 'Actualizar',
+};
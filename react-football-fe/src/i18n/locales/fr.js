@@ -0,0 +1,173 @@
+// Français
+export default {
+  'loading.assets': 'Chargement du jeu...',
+  'loading.missingAssets': 'Certains éléments du jeu n\'ont pas pu être chargés',
+  'loading.missingSound': 'Le son n\'a pas pu être chargé, la partie se joue sans',
+  'loading.missingSounds': 'Certains sons n\'ont pas pu être chargés',
+
+  'menu.mode': 'Mode',
+  'menu.twoPlayers': '2 joueurs',
+  'menu.classic': 'Classique',
+  'menu.dailyChallenge': 'Défi du jour',
+  'menu.myStats': 'Mes stats',
+  'menu.settings': 'Réglages',
+  'menu.leaderboard': 'Classement',
+  'menu.achievements': 'Succès',
+
+  'score.currentBest': 'Meilleur score',
+  'score.combo': 'combo x{multiplier}',
+  'score.replay': '▶ Rediffusion',
+  'score.playerRound': '{name} · Manche {round}/{rounds}',
+
+  'tricks.edge': 'Coup de bord',
+  'tricks.save': 'Sauvetage',
+  'tricks.ceiling': 'Dans les nuages',
+  'tricks.quick': 'Pieds rapides',
+
+  'gameOver.title': 'Partie terminée !',
+  'gameOver.challenge': '📅 Défi du jour {id}',
+  'gameOver.share': 'Partager',
+  'gameOver.shared': 'Partagé !',
+  'gameOver.copied': 'Copié !',
+  'gameOver.yourScore': 'Votre score',
+  'gameOver.bestScore': 'Meilleur score',
+  'gameOver.playAgain': 'Rejouer',
+  'gameOver.watchReplay': '▶ Revoir la partie',
+
+  'replay.stop': 'Arrêter la rediffusion',
+  'pause.pause': 'Pause',
+  'pause.title': 'En pause',
+  'pause.hint': 'Appuyez sur P ou Échap pour reprendre',
+  'pause.resume': 'Reprendre',
+  'pause.restart': 'Abandonner et recommencer',
+
+  'share.title': '⚽ Kick Challenge — Défi {id}',
+  'share.score': { one: '🏅 {count} jongle', other: '🏅 {count} jongles' },
+  'share.conditions': '💨 Vent {wind}  🌍 Gravité {gravity}  🪨 {obstacles}',
+
+  'match.player': 'Joueur {number}',
+  'match.round': 'Manche {round} sur {rounds}',
+  'match.yourTurn': '{name}, à toi !',
+  'match.go': 'C\'est parti',
+  'match.draw': 'Égalité !',
+  'match.wins': '{name} gagne !',
+  'match.rematch': 'Revanche',
+  'match.exit': 'Retour au mode solo',
+  'match.done': 'Terminé !',
+
+  'modes.title': 'Mode de jeu',
+  'modes.single': 'Solo',
+  'modes.hotseat': 'Chacun son tour',
+  'modes.versus': 'Écran partagé',
+  'modes.rounds': '2 joueurs · {rounds} manches chacun',
+  'modes.sameTime': '2 joueurs · en même temps',
+
+  'stats.title': 'Mes stats',
+  'stats.best': 'Record ({difficulty})',
+  'stats.games': 'Parties',
+  'stats.totalKicks': 'Jongles au total',
+  'stats.recentAverage': 'Moyenne récente',
+  'stats.empty': 'Jouez une partie pour voir vos stats ici.',
+  'stats.scores': 'Scores',
+  'stats.bestRuns': 'Meilleures parties',
+  'stats.recentGames': 'Parties récentes',
+  'stats.dailyChallenge': 'Défi du jour',
+
+  'achievements.title': 'Succès',
+  'achievements.count': '{unlocked} sur {total} débloqués',
+  'achievements.unlocked': 'Succès débloqué',
+  'achievements.locked': 'Verrouillé',
+  'achievements.kicks10': 'Échauffement',
+  'achievements.kicks10Desc': '10 frappes en une partie',
+  'achievements.kicks50': 'Jongleur',
+  'achievements.kicks50Desc': '50 frappes en une partie',
+  'achievements.kicks100': 'Maître du ballon',
+  'achievements.kicks100Desc': '100 frappes en une partie',
+  'achievements.walls5': 'Flipper',
+  'achievements.walls5Desc': '5 rebonds sur les murs en une partie',
+  'achievements.ceiling': 'Jusqu’au ciel',
+  'achievements.ceilingDesc': 'Touchez le plafond',
+  'achievements.lifetime1000': 'Mille frappes',
+  'achievements.lifetime1000Desc': '1 000 frappes au total',
+  'achievements.newCountry': 'Globe-trotter',
+  'achievements.newCountryDesc': 'Jouez depuis un nouveau pays',
+  'achievements.streak3': 'Sur sa lancée',
+  'achievements.streak3Desc': 'Jouez 3 jours d’affilée',
+  'achievements.streak7': 'Tous les jours',
+  'achievements.streak7Desc': 'Jouez 7 jours d’affilée',
+
+  'profile.edit': 'Modifier',
+  'profile.editTitle': 'Modifier votre profil',
+  'profile.newTitle': 'Inscrivez votre nom au classement',
+  'profile.nickname': 'Pseudo',
+  'profile.save': 'Enregistrer',
+  'profile.saving': 'Enregistrement...',
+
+  'country.automatic': 'Automatique',
+  'country.automaticDetected': 'Automatique ({country})',
+  'country.worldwide': 'Monde',
+  'country.unknown': 'Inconnu',
+
+  'leaderboard.title': 'Classement',
+  'leaderboard.countries': 'Pays',
+  'leaderboard.topPlayers': 'Meilleurs joueurs',
+  'leaderboard.loading': 'Chargement...',
+  'leaderboard.empty': 'Aucun score pour l\'instant. Soyez le premier !',
+  'leaderboard.kps': '{kps} JPS',
+  'leaderboard.kpsTitle': 'Jongles par seconde',
+  'leaderboard.kicks': { one: 'jongle', other: 'jongles' },
+  'leaderboard.playingFor': 'Je joue pour',
+  'leaderboard.allTime': 'Tous les temps',
+  'leaderboard.thisWeek': 'Cette semaine',
+  'leaderboard.today': 'Aujourd\'hui',
+  'leaderboard.challenge': '📅 Défi',
+
+  'settings.title': 'Réglages',
+  'settings.sound': 'Son',
+  'settings.mute': 'Couper le son',
+  'settings.masterVolume': 'Volume général',
+  'settings.effectsVolume': 'Volume des effets',
+  'settings.language': 'Langue',
+  'settings.languageAutomatic': 'Automatique',
+  'settings.difficulty': 'Difficulté',
+  'settings.difficultyLocked': 'Terminez la partie ou le match en cours pour la changer.',
+  'settings.display': 'Affichage',
+  'settings.ghost': 'Fantôme de votre meilleure partie',
+  'settings.popups': 'Animations des frappes',
+  'settings.effects': 'Particules et tremblement de l\'écran',
+  'settings.accessibility': 'Accessibilité',
+  'settings.motion': 'Animations',
+  'settings.motionAutomatic': 'Automatique',
+  'settings.motionReduced': 'Réduites',
+  'settings.motionFull': 'Complètes',
+
+  'difficulty.easy': 'Facile',
+  'difficulty.normal': 'Normal',
+  'difficulty.hard': 'Difficile',
+  'difficulty.easyHint': 'Un ballon plus gros qui tombe moins vite.',
+  'difficulty.normalHint': 'Le jeu classique.',
+  'difficulty.hardHint': 'Un ballon plus petit et plus lourd, et du vent.',
+
+  'settings.skins': 'Apparences',
+  'settings.ball': 'Ballon',
+  'settings.pitch': 'Terrain',
+  'skins.ball.classic': 'Classique',
+  'skins.ball.national': 'Couleurs nationales',
+  'skins.ball.retro': 'Cuir rétro',
+  'skins.ball.beach': 'Ballon de plage',
+  'skins.pitch.classic': 'Parc',
+  'skins.pitch.night': 'Match de nuit',
+  'skins.pitch.beach': 'Bord de mer',
+  'skins.unlockBest': 'Meilleur score de {score}',
+  'skins.unlockKicks': '{kicks} frappes au total',
+  'skins.hint': 'Les apparences ne changent que le look : tous les ballons jouent pareil.',
+
+  'a11y.playfield': 'Ballon. Flèches gauche et droite ou Q et D pour viser, Espace ou Haut pour frapper. P ou Échap pour mettre en pause. Les manettes fonctionnent aussi.',
+  'a11y.lane1Controls': 'Q et D pour viser, Z pour frapper, ou la première manette.',
+  'a11y.lane2Controls': 'Flèches gauche et droite pour viser, Haut pour frapper, ou la deuxième manette.',
+  'a11y.gameOver': 'Partie terminée. Votre score : {score}. Record : {best}.',
+  'a11y.close': 'Fermer',
+
+  'update.available': 'Une nouvelle version est disponible',
+  'update.apply': 'Mettre à jour',
+};
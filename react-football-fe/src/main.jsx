@@ -2,6 +2,11 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { applyLocale } from './i18n'
+import { applyMotion } from './services/motion'
+
+applyLocale()
+applyMotion()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
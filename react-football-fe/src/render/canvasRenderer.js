@@ -0,0 +1,231 @@
+// 2D canvas renderer: one canvas covering the playfield, redrawn every frame
+// with the world scaled to fit it
+import BallImg from '../assets/soccer-ball.png';
+import { hitTestBall, pointerPosition, observeSize, pulseRotation, aimAngle } from './scene';
+import { fitWorld } from '../game/world';
+import { addEffect, frameEffects, ballShape } from './effects';
+import { reducedMotion } from '../services/motion';
+
+const GHOST_OPACITY = 0.35;
+
+export function createCanvasRenderer(container) {
+  const canvas = document.createElement('canvas');
+  canvas.className = 'playfield-canvas';
+  container.appendChild(canvas);
+  const ctx = canvas.getContext('2d');
+
+  // Ball skins, loaded the first time they are drawn
+  const images = new Map();
+  const imageFor = (src) => {
+    if (!images.has(src)) {
+      const image = new Image();
+      image.src = src;
+      images.set(src, image);
+    }
+    return images.get(src);
+  };
+
+  let size = { width: 0, height: 0 }; // Canvas size in CSS pixels
+  let ratio = 1; // Device pixels per CSS pixel
+  let height = 0; // World height, to flip y
+  let view = { scale: 1, left: 0, top: 0 };
+  let scene = null;
+  let effects = [];
+
+  // Match the canvas to its CSS size, sharp on high-DPI screens
+  const stopObserving = observeSize(container, next => {
+    ratio = window.devicePixelRatio || 1;
+    size = next;
+    canvas.width = Math.round(size.width * ratio);
+    canvas.height = Math.round(size.height * ratio);
+  });
+
+  const drawBall = (ball, radius, rotation, opacity, image, shape) => {
+    if (!image.complete) return;
+
+    ctx.save();
+    ctx.globalAlpha = opacity;
+    ctx.translate(ball.x + radius, height - (ball.y + radius));
+    // Squash or stretch along the shape's axis (y is flipped on the canvas)
+    ctx.rotate(-shape.angle);
+    ctx.scale(shape.along, shape.across);
+    ctx.rotate(shape.angle);
+    ctx.rotate((rotation * Math.PI) / 180);
+    ctx.scale(ball.scale, ball.scale);
+    if (opacity === 1) {
+      ctx.shadowColor = 'rgba(0, 0, 0, 0.3)';
+      ctx.shadowBlur = 8;
+      ctx.shadowOffsetY = 4;
+    }
+    ctx.drawImage(image, -radius, -radius, radius * 2, radius * 2);
+    ctx.restore();
+  };
+
+  // Arrow from the ball towards where the kick would send it
+  const drawAim = (ball, radius, aim) => {
+    const length = radius * 1.4;
+    ctx.save();
+    ctx.translate(ball.x + radius, height - (ball.y + radius));
+    ctx.rotate(aimAngle(aim));
+    ctx.strokeStyle = '#ffd54f';
+    ctx.fillStyle = '#ffd54f';
+    ctx.lineWidth = 4;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    ctx.moveTo(0, -radius - 6);
+    ctx.lineTo(0, -length - 6);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(0, -length - 16);
+    ctx.lineTo(-8, -length - 4);
+    ctx.lineTo(8, -length - 4);
+    ctx.closePath();
+    ctx.fill();
+    ctx.restore();
+  };
+
+  const drawObstacle = (o) => {
+    const x = o.x;
+    const y = height - o.y;
+    const gradient = ctx.createRadialGradient(
+      x - o.radius * 0.3, y - o.radius * 0.3, 0,
+      x, y, o.radius * 1.2,
+    );
+    gradient.addColorStop(0, '#f5f5f5');
+    gradient.addColorStop(0.6, '#9e9e9e');
+    gradient.addColorStop(1, '#616161');
+
+    ctx.beginPath();
+    ctx.arc(x, y, o.radius, 0, Math.PI * 2);
+    ctx.fillStyle = gradient;
+    ctx.fill();
+  };
+
+  const drawText = (text, x, y, font, color) => {
+    ctx.font = font;
+    ctx.fillStyle = color;
+    ctx.fillText(text, x, y);
+  };
+
+  const drawParticles = (particles) => {
+    particles.forEach(p => {
+      ctx.save();
+      ctx.globalAlpha = p.opacity;
+      ctx.fillStyle = p.color;
+      ctx.translate(p.x, height - p.y);
+      if (p.shape === 'flake') {
+        ctx.rotate(-p.angle);
+        ctx.fillRect(-p.size / 2, -p.size / 4, p.size, p.size / 2);
+      } else {
+        ctx.beginPath();
+        ctx.arc(0, 0, p.size / 2, 0, Math.PI * 2);
+        ctx.fill();
+      }
+      ctx.restore();
+    });
+  };
+
+  const drawRing = (effect, frame) => {
+    ctx.save();
+    ctx.globalAlpha = frame.opacity;
+    ctx.strokeStyle = 'white';
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    ctx.arc(effect.x, height - effect.y, frame.radius, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+  };
+
+  const drawEffect = (effect, frame) => {
+    if (effect.particles) {
+      drawParticles(frame.particles);
+      return;
+    }
+    if (effect.kind === 'ring') {
+      drawRing(effect, frame);
+      return;
+    }
+    if (effect.kind !== 'emoji' && effect.kind !== 'callout') return;
+
+    ctx.save();
+    ctx.globalAlpha = frame.opacity;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    const x = effect.x;
+    let y = height - (effect.y + frame.rise);
+
+    if (effect.kind === 'emoji') {
+      drawText(effect.text, x, y, '35px system-ui', 'white');
+    } else {
+      ctx.shadowColor = 'rgba(0, 0, 0, 0.4)';
+      ctx.shadowBlur = 6;
+      ctx.shadowOffsetY = 2;
+      // Bottom up: trick names, then the points on top
+      [...effect.tricks].reverse().forEach(trick => {
+        drawText(trick.toUpperCase(), x, y, '600 14px system-ui', '#ffd54f');
+        y -= 18;
+      });
+      const points = `+${effect.points}${effect.multiplier > 1 ? ` x${effect.multiplier}` : ''}`;
+      drawText(points, x, y, '700 28px system-ui', 'white');
+    }
+    ctx.restore();
+  };
+
+  return {
+    type: 'canvas',
+
+    draw(next) {
+      scene = next;
+      const now = performance.now();
+      const still = reducedMotion();
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+      const { live, shake, squash } = frameEffects(effects, now, still);
+      effects = live.map(({ effect }) => effect);
+
+      // Draw in world units from here on. Shakes move the picture, not the
+      // view pointers are measured in.
+      view = fitWorld(next.world, size);
+      height = next.world.height;
+      const scale = view.scale * ratio;
+      const left = (view.left + shake.x * view.scale) * ratio;
+      const top = (view.top - shake.y * view.scale) * ratio;
+      ctx.setTransform(scale, 0, 0, scale, left, top);
+
+      const image = imageFor(next.ballImage || BallImg);
+      next.obstacles.forEach(drawObstacle);
+      if (next.ghost) {
+        drawBall(next.ghost, next.radius, next.ghost.rotation, GHOST_OPACITY, image, ballShape(next.ghost, null, still));
+      }
+      const rotation = next.pulse && !still ? pulseRotation(now) : next.ball.rotation;
+      drawBall(next.ball, next.radius, rotation, 1, image, ballShape(next.ball, squash, still));
+      if (next.aim != null) {
+        drawAim(next.ball, next.radius, next.aim);
+      }
+
+      live.forEach(({ effect, frame }) => drawEffect(effect, frame));
+    },
+
+    pop(effect) {
+      effects = addEffect(effects, effect);
+    },
+
+    clearEffects() {
+      effects = [];
+    },
+
+    hitTest(clientX, clientY) {
+      return hitTestBall(scene, view, container, clientX, clientY);
+    },
+
+    pointer(clientX, clientY) {
+      return pointerPosition(view, container, clientX, clientY);
+    },
+
+    destroy() {
+      stopObserving();
+      canvas.remove();
+    },
+  };
+}
@@ -0,0 +1,204 @@
+// DOM fallback renderer for browsers without canvas. Elements are created once
+// and moved with inline styles every frame, still without React. They sit on
+// a layer the size of the world, which is scaled to fit the container.
+import './domRenderer.css';
+import BallImg from '../assets/soccer-ball.png';
+import { hitTestBall, pointerPosition, observeSize, pulseRotation, aimAngle } from './scene';
+import { fitWorld } from '../game/world';
+import { addEffect, frameEffects, ballShape } from './effects';
+import { reducedMotion } from '../services/motion';
+
+function createBallElement(className) {
+  const element = document.createElement('div');
+  element.className = className;
+  const img = document.createElement('img');
+  img.src = BallImg;
+  img.alt = '';
+  img.draggable = false;
+  element.appendChild(img);
+  return element;
+}
+
+function placeBall(element, ball, radius, rotation, image, shape) {
+  if (element.firstChild.getAttribute('src') !== image) {
+    element.firstChild.src = image;
+  }
+  element.style.width = `${radius * 2}px`;
+  element.style.height = `${radius * 2}px`;
+  element.style.transform = `translate(${ball.x}px, ${-ball.y}px)`;
+  // Squash or stretch along the shape's axis (y is flipped on the page)
+  const squash = `rotate(${-shape.angle}rad) scale(${shape.along}, ${shape.across}) rotate(${shape.angle}rad)`;
+  element.firstChild.style.transform = `${squash} rotate(${rotation}deg) scale(${ball.scale})`;
+}
+
+// Element showing an effect, or null for effects that only move the rest of
+// the scene (squashes and shakes)
+function createEffectElement(effect) {
+  if (effect.kind === 'squash' || effect.kind === 'shake') return null;
+
+  const element = document.createElement('div');
+  if (effect.particles) {
+    element.className = 'dom-particles';
+    effect.particles.forEach(particle => {
+      const dot = document.createElement('span');
+      dot.className = `dom-particle ${particle.shape}`;
+      dot.style.background = particle.color;
+      element.appendChild(dot);
+    });
+  } else if (effect.kind === 'ring') {
+    element.className = 'dom-ring';
+  } else if (effect.kind === 'emoji') {
+    element.className = 'dom-emoji';
+    element.textContent = effect.text;
+  } else {
+    element.className = 'dom-callout';
+    const points = document.createElement('span');
+    points.className = 'dom-callout-points';
+    points.textContent = `+${effect.points}${effect.multiplier > 1 ? ` x${effect.multiplier}` : ''}`;
+    element.appendChild(points);
+    effect.tricks.forEach(trick => {
+      const line = document.createElement('span');
+      line.className = 'dom-callout-trick';
+      line.textContent = trick;
+      element.appendChild(line);
+    });
+  }
+  return element;
+}
+
+function placeEffect(element, effect, frame) {
+  if (effect.particles) {
+    frame.particles.forEach((p, index) => {
+      const dot = element.children[index];
+      const height = p.shape === 'flake' ? p.size / 2 : p.size;
+      dot.style.width = `${p.size}px`;
+      dot.style.height = `${height}px`;
+      dot.style.opacity = p.opacity;
+      dot.style.transform = `translate(${p.x - p.size / 2}px, ${-(p.y - height / 2)}px) rotate(${-p.angle}rad)`;
+    });
+  } else if (effect.kind === 'ring') {
+    element.style.opacity = frame.opacity;
+    element.style.width = `${frame.radius * 2}px`;
+    element.style.height = `${frame.radius * 2}px`;
+    element.style.transform = `translate(${effect.x - frame.radius}px, ${-(effect.y - frame.radius)}px)`;
+  } else {
+    element.style.opacity = frame.opacity;
+    element.style.transform = `translate(${effect.x}px, ${-(effect.y + frame.rise)}px) translateX(-50%)`;
+  }
+}
+
+export function createDomRenderer(container) {
+  const layer = document.createElement('div');
+  layer.className = 'dom-playfield';
+  container.appendChild(layer);
+
+  const ghost = createBallElement('dom-ball ghost');
+  const ball = createBallElement('dom-ball');
+  const aim = document.createElement('div');
+  aim.className = 'dom-aim';
+  layer.append(ghost, ball, aim);
+
+  let obstacles = [];
+  let size = { width: 0, height: 0 };
+  let view = { scale: 1, left: 0, top: 0 };
+  let scene = null;
+  let effects = []; // [{ effect, element }]
+
+  const syncObstacles = (count) => {
+    while (obstacles.length < count) {
+      const element = document.createElement('div');
+      element.className = 'dom-obstacle';
+      layer.insertBefore(element, ghost);
+      obstacles.push(element);
+    }
+    while (obstacles.length > count) {
+      obstacles.pop().remove();
+    }
+  };
+
+  const stopObserving = observeSize(container, next => {
+    size = next;
+  });
+
+  return {
+    type: 'dom',
+
+    draw(next) {
+      scene = next;
+      const now = performance.now();
+      const still = reducedMotion();
+
+      const { live, shake, squash } = frameEffects(effects.map(({ effect }) => effect), now, still);
+      effects = effects.filter(({ effect, element }) => {
+        const entry = live.find(l => l.effect === effect);
+        if (!entry) {
+          element?.remove();
+          return false;
+        }
+        if (element) placeEffect(element, effect, entry.frame);
+        return true;
+      });
+
+      // Shakes move the layer, not the view pointers are measured in
+      view = fitWorld(next.world, size);
+      const left = view.left + shake.x * view.scale;
+      const top = view.top - shake.y * view.scale;
+      layer.style.width = `${next.world.width}px`;
+      layer.style.height = `${next.world.height}px`;
+      layer.style.transform = `translate(${left}px, ${top}px) scale(${view.scale})`;
+
+      syncObstacles(next.obstacles.length);
+      next.obstacles.forEach((o, index) => {
+        const element = obstacles[index];
+        element.style.width = `${o.radius * 2}px`;
+        element.style.height = `${o.radius * 2}px`;
+        element.style.transform = `translate(${o.x - o.radius}px, ${o.radius - o.y}px)`;
+      });
+
+      const image = next.ballImage || BallImg;
+      ghost.hidden = !next.ghost;
+      if (next.ghost) {
+        placeBall(ghost, next.ghost, next.radius, next.ghost.rotation, image, ballShape(next.ghost, null, still));
+      }
+      const rotation = next.pulse && !still ? pulseRotation(now) : next.ball.rotation;
+      placeBall(ball, next.ball, next.radius, rotation, image, ballShape(next.ball, squash, still));
+
+      aim.hidden = next.aim == null;
+      if (next.aim != null) {
+        // Pivots on the ball's center (see .dom-aim)
+        aim.style.height = `${next.radius * 2.4}px`;
+        aim.style.transform = `translate(${next.ball.x + next.radius}px, ${-(next.ball.y + next.radius)}px) rotate(${aimAngle(next.aim)}rad)`;
+      }
+    },
+
+    pop(effect) {
+      const kept = addEffect(effects.map(e => e.effect), effect);
+      effects = effects.filter(e => {
+        if (kept.includes(e.effect)) return true;
+        e.element?.remove();
+        return false;
+      });
+      const element = createEffectElement(effect);
+      if (element) layer.appendChild(element);
+      effects.push({ effect, element });
+    },
+
+    clearEffects() {
+      effects.forEach(({ element }) => element?.remove());
+      effects = [];
+    },
+
+    hitTest(clientX, clientY) {
+      return hitTestBall(scene, view, container, clientX, clientY);
+    },
+
+    pointer(clientX, clientY) {
+      return pointerPosition(view, container, clientX, clientY);
+    },
+
+    destroy() {
+      stopObserving();
+      layer.remove();
+    },
+  };
+}
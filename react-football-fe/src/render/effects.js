@@ -0,0 +1,285 @@
+// Short-lived visual effects drawn by the renderers: emoji popups, score
+// callouts, and the juice: particle bursts, impact rings, squash-and-stretch,
+// screen shake and confetti. Effects are plain data stamped with the time they
+// were created; both renderers derive their animation from the same curves
+// below. Coordinates are world units, y up, and angles are radians
+// counterclockwise from the right.
+//
+// The juice only moves things around, so with reduced motion it is dropped
+// (see effectFrame). Randomness is only cosmetic: the physics never sees it.
+
+const happy = ['🦁', '🏆', '🥅', '🏅', '⚽'];
+const sad = ['😢', '😭', '💔', '😩', '🙈'];
+
+export function randomEmoji(isHappy) {
+  const list = isHappy ? happy : sad;
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+// Emoji rising from a kick. It stays up until the next one replaces it,
+// unless it fades (e.g. at game over).
+const EMOJI_RISE = { from: 5, to: 120, duration: 500 };
+const EMOJI_FADE = 300;
+
+export function createEmoji(x, y, text, fade = false) {
+  return { kind: 'emoji', x, y, text, fade, born: performance.now() };
+}
+
+// What the kick was worth: points, multiplier and trick names
+const CALLOUT = { rise: 90, duration: 900 };
+
+export function createCallout(x, y, { points, multiplier, tricks }) {
+  return { kind: 'callout', x, y, points, multiplier, tricks, born: performance.now() };
+}
+
+// Dust and sparks thrown from a contact point towards `angle`. power (0 to 1)
+// is how hard the hit was: harder hits throw more, further.
+const BURST = { duration: 450, gravity: 0.002, spread: 1.6 };
+const DUST_COLORS = ['#d7ccc8', '#bcaaa4', '#efebe9'];
+const SPARK_COLORS = ['#ffd54f', '#ffecb3', '#ffffff'];
+
+const between = (min, max) => min + Math.random() * (max - min);
+const pick = list => list[Math.floor(Math.random() * list.length)];
+
+function sprayParticle(x, y, angle, speed, size, colors) {
+  const direction = angle + (Math.random() - 0.5) * BURST.spread;
+  const velocity = speed * between(0.4, 1);
+  return {
+    x,
+    y,
+    vx: Math.cos(direction) * velocity,
+    vy: Math.sin(direction) * velocity,
+    size,
+    color: pick(colors),
+    shape: 'dot',
+    spin: 0,
+  };
+}
+
+export function createBurst(x, y, angle, power) {
+  const strength = Math.min(Math.max(power, 0), 1);
+  const particles = [];
+  const dust = Math.round(5 + 5 * strength);
+  const sparks = Math.round(6 * strength);
+  for (let i = 0; i < dust; i++) {
+    particles.push(sprayParticle(x, y, angle, 0.15 + 0.2 * strength, between(5, 11), DUST_COLORS));
+  }
+  for (let i = 0; i < sparks; i++) {
+    particles.push(sprayParticle(x, y, angle, 0.4 + 0.4 * strength, between(2, 4), SPARK_COLORS));
+  }
+  return { kind: 'burst', x, y, particles, born: performance.now() };
+}
+
+// Ring spreading from where the ball hit a wall, the ceiling or an obstacle
+const RING = { duration: 350, from: 0.3 };
+
+export function createRing(x, y, size) {
+  return { kind: 'ring', x, y, size, born: performance.now() };
+}
+
+// The ball flattening along `angle` (the axis of the hit) and wobbling back.
+// strength is the squash at its flattest, as a fraction of the ball's size.
+const SQUASH = { duration: 280, max: 0.35 };
+
+export function createSquash(angle, strength) {
+  return { kind: 'squash', angle, strength: Math.min(strength, SQUASH.max), born: performance.now() };
+}
+
+// Playfield shaking by up to `strength` world units, e.g. at game over
+const SHAKE = { duration: 450 };
+
+export function createShake(strength) {
+  return { kind: 'shake', strength, born: performance.now() };
+}
+
+// Confetti falling over the whole world, e.g. on a new best
+const CONFETTI = { count: 80, duration: 3000, fade: 0.8 };
+const CONFETTI_COLORS = ['#e53935', '#fdd835', '#43a047', '#1e88e5', '#8e24aa', '#fb8c00'];
+
+export function createConfetti(world) {
+  const particles = [];
+  for (let i = 0; i < CONFETTI.count; i++) {
+    particles.push({
+      x: between(0, world.width),
+      y: world.height + between(0, world.height * 0.4),
+      vx: between(-0.03, 0.03),
+      vy: -between(0.25, 0.45),
+      size: between(8, 14),
+      color: pick(CONFETTI_COLORS),
+      shape: 'flake',
+      spin: between(-0.012, 0.012),
+      sway: between(10, 30),
+      phase: between(0, Math.PI * 2),
+    });
+  }
+  return { kind: 'confetti', x: 0, y: 0, particles, born: performance.now() };
+}
+
+const MOTION_KINDS = ['burst', 'ring', 'squash', 'shake', 'confetti'];
+
+// Where a burst or confetti particle is `age` ms after the effect was born
+function particleFrame(effect, particle, age, progress) {
+  if (effect.kind === 'confetti') {
+    const fade = progress < CONFETTI.fade ? 1 : (1 - progress) / (1 - CONFETTI.fade);
+    return {
+      x: particle.x + particle.vx * age + particle.sway * Math.sin(age * 0.004 + particle.phase),
+      y: particle.y + particle.vy * age,
+      size: particle.size,
+      color: particle.color,
+      shape: particle.shape,
+      angle: particle.spin * age,
+      opacity: fade,
+    };
+  }
+  return {
+    x: particle.x + particle.vx * age,
+    y: particle.y + particle.vy * age - 0.5 * BURST.gravity * age * age,
+    size: particle.size * (1 - progress * 0.5),
+    color: particle.color,
+    shape: particle.shape,
+    angle: 0,
+    opacity: 1 - progress,
+  };
+}
+
+// Animation state of an effect at `now`, and whether it is done and can be
+// dropped. Popups give how far they have risen (world units) and their
+// opacity; still popups (reduced motion) don't move, they only fade. Bursts
+// and confetti give their particles, rings their radius and opacity, squashes
+// how flat the ball is and shakes how far the view moves.
+export function effectFrame(effect, now, still = false) {
+  if (still && MOTION_KINDS.includes(effect.kind)) return { done: true };
+
+  const age = now - effect.born;
+
+  switch (effect.kind) {
+    case 'emoji': {
+      const progress = still ? 1 : Math.min(age / EMOJI_RISE.duration, 1);
+      const opacity = effect.fade ? Math.max(1 - age / EMOJI_FADE, 0) : 1;
+      return {
+        rise: EMOJI_RISE.from + (EMOJI_RISE.to - EMOJI_RISE.from) * progress,
+        opacity,
+        done: effect.fade && opacity === 0,
+      };
+    }
+    case 'callout': {
+      // Callouts ease out as they float up
+      const progress = Math.min(age / CALLOUT.duration, 1);
+      const eased = 1 - (1 - progress) * (1 - progress);
+      return {
+        rise: still ? 0 : CALLOUT.rise * eased,
+        opacity: 1 - progress,
+        done: progress === 1,
+      };
+    }
+    case 'burst':
+    case 'confetti': {
+      const duration = effect.kind === 'burst' ? BURST.duration : CONFETTI.duration;
+      const progress = Math.min(age / duration, 1);
+      return {
+        particles: effect.particles.map(particle => particleFrame(effect, particle, age, progress)),
+        done: progress === 1,
+      };
+    }
+    case 'ring': {
+      const progress = Math.min(age / RING.duration, 1);
+      const eased = 1 - (1 - progress) * (1 - progress);
+      return {
+        radius: effect.size * (RING.from + (1 - RING.from) * eased),
+        opacity: 1 - progress,
+        done: progress === 1,
+      };
+    }
+    case 'squash': {
+      // Flat at first, overshooting into a stretch halfway, settling at the end
+      const progress = Math.min(age / SQUASH.duration, 1);
+      const decay = (1 - progress) * (1 - progress);
+      return {
+        amount: effect.strength * decay * Math.cos(progress * Math.PI * 2),
+        done: progress === 1,
+      };
+    }
+    case 'shake': {
+      const progress = Math.min(age / SHAKE.duration, 1);
+      const decay = (1 - progress) * (1 - progress);
+      return {
+        x: effect.strength * decay * Math.sin(age * 0.09),
+        y: effect.strength * decay * Math.cos(age * 0.11),
+        done: progress === 1,
+      };
+    }
+    default:
+      return { done: true };
+  }
+}
+
+// Live effects at `now` with their frames, plus what they do to the rest of
+// the scene: how far shakes move the view and the ball's current squash
+export function frameEffects(effects, now, still = false) {
+  const live = [];
+  const shake = { x: 0, y: 0 };
+  let squash = null;
+
+  effects.forEach(effect => {
+    const frame = effectFrame(effect, now, still);
+    if (frame.done) return;
+    live.push({ effect, frame });
+    if (effect.kind === 'shake') {
+      shake.x += frame.x;
+      shake.y += frame.y;
+    } else if (effect.kind === 'squash') {
+      squash = { angle: effect.angle, amount: frame.amount };
+    }
+  });
+  return { live, shake, squash };
+}
+
+// How the ball is deformed: squashed along the last hit while it wobbles back,
+// otherwise stretched along its velocity. Renderers rotate to `angle`, scale
+// by `along` and `across`, and rotate back before drawing the ball.
+const STRETCH = { factor: 0.004, max: 0.12 };
+const ROUND = { angle: 0, along: 1, across: 1 };
+
+export function ballShape(ball, squash, still = false) {
+  if (still) return ROUND;
+  if (squash) {
+    return { angle: squash.angle, along: 1 - squash.amount, across: 1 + squash.amount * 0.6 };
+  }
+  const speed = Math.hypot(ball.vx, ball.vy);
+  if (speed === 0) return ROUND;
+  const stretch = Math.min(speed * STRETCH.factor, STRETCH.max);
+  return { angle: Math.atan2(ball.vy, ball.vx), along: 1 + stretch, across: 1 - stretch * 0.5 };
+}
+
+// Add an effect to a list: a new emoji, squash or shake replaces the previous
+// one, only the last few callouts are kept, and the oldest particle effects
+// go when there are more than MAX_PARTICLES particles, so a frantic run or a
+// slow device doesn't drown in them
+const MAX_CALLOUTS = 5;
+const MAX_PARTICLES = 160;
+const SINGLE_KINDS = ['emoji', 'squash', 'shake'];
+
+const particleCount = effects => effects.reduce((count, e) => count + (e.particles?.length || 0), 0);
+
+export function addEffect(effects, effect) {
+  if (SINGLE_KINDS.includes(effect.kind)) {
+    return [...effects.filter(e => e.kind !== effect.kind), effect];
+  }
+
+  let kept = effects;
+  if (effect.kind === 'callout') {
+    const callouts = effects.filter(e => e.kind === 'callout');
+    const dropped = callouts.length >= MAX_CALLOUTS ? callouts[0] : null;
+    kept = effects.filter(e => e !== dropped);
+  }
+
+  if (effect.particles) {
+    const budget = MAX_PARTICLES - effect.particles.length;
+    let oldest = kept.find(e => e.particles);
+    while (oldest && particleCount(kept) > budget) {
+      kept = kept.filter(e => e !== oldest);
+      oldest = kept.find(e => e.particles);
+    }
+  }
+  return [...kept, effect];
+}
@@ -0,0 +1,41 @@
+// Playfield renderers
+//
+// The physics loop hands a renderer a scene every frame and the renderer puts
+// it on screen without going through React, which only renders the HUD and
+// modals. A scene is:
+//   { world, ball, ghost, obstacles, radius, pulse, aim, ballImage }
+// where world is the { width, height } the physics runs in (see
+// game/world.js), ball and ghost (optional) are physics ball states,
+// obstacles are positions from obstaclePosition(), pulse spins the ball while
+// it waits for the first kick and aim (optional, -1 to 1) shows where a
+// keyboard or gamepad kick would send the ball. ballImage (optional) is the
+// URL of the ball skin (see skins.js). Coordinates are world units,
+// y up from the ground; renderers scale the world to fit their container.
+//
+// Every renderer implements draw(scene), pop(effect), clearEffects(),
+// hitTest(clientX, clientY), pointer(clientX, clientY) and destroy().
+// hitTest and pointer answer in world units, so kicks are the same size
+// whatever the screen. pop() takes any effect from effects.js: popups are
+// drawn over the scene, squashes deform the ball and shakes move the picture.
+// With reduced motion (see services/motion.js) the ball doesn't spin while
+// waiting, popups fade in place and the rest of the effects are dropped.
+import { createCanvasRenderer } from './canvasRenderer';
+import { createDomRenderer } from './domRenderer';
+
+// VITE_RENDERER=dom forces the DOM renderer, e.g. for debugging with devtools
+const PREFERRED_RENDERER = import.meta.env.VITE_RENDERER || 'canvas';
+
+function canvasSupported() {
+  try {
+    return !!document.createElement('canvas').getContext('2d');
+  } catch {
+    return false;
+  }
+}
+
+export function createRenderer(container, type = PREFERRED_RENDERER) {
+  if (type === 'canvas' && canvasSupported()) {
+    return createCanvasRenderer(container);
+  }
+  return createDomRenderer(container);
+}
@@ -0,0 +1,52 @@
+// Helpers shared by the renderers, see renderer.js for the scene format
+
+// Spin of a waiting ball, in degrees: one turn every 3 seconds
+export function pulseRotation(now) {
+  return (now / 3000) * 360 % 360;
+}
+
+// Angle of the aim marker from straight up, in radians
+export function aimAngle(aim) {
+  return aim * (Math.PI / 4);
+}
+
+// Call onResize({ width, height }) with the element's size now and whenever
+// it changes: window resizes, rotations, safe-area changes. Returns a
+// function that stops.
+export function observeSize(element, onResize) {
+  const report = () => onResize({ width: element.clientWidth, height: element.clientHeight });
+  report();
+
+  if (typeof ResizeObserver === 'undefined') {
+    window.addEventListener('resize', report);
+    return () => window.removeEventListener('resize', report);
+  }
+  const observer = new ResizeObserver(report);
+  observer.observe(element);
+  return () => observer.disconnect();
+}
+
+// Pointer position in world units, measured like the screen: from the top-left
+// corner of the world, y down. view is fitWorld() of the drawn world.
+export function pointerPosition(view, container, clientX, clientY) {
+  const rect = container.getBoundingClientRect();
+  return {
+    x: (clientX - rect.left - view.left) / view.scale,
+    y: (clientY - rect.top - view.top) / view.scale,
+  };
+}
+
+// Where on the ball a pointer landed, relative to its center in world units,
+// or null when it missed. Shared by the renderers, which know where they last
+// drew the ball.
+export function hitTestBall(scene, view, container, clientX, clientY) {
+  if (!scene) return null;
+
+  const { ball, radius, world } = scene;
+  const pointer = pointerPosition(view, container, clientX, clientY);
+  const clickOffsetX = pointer.x - (ball.x + radius);
+  const clickOffsetY = pointer.y - (world.height - (ball.y + radius));
+
+  if (Math.abs(clickOffsetX) > radius || Math.abs(clickOffsetY) > radius) return null;
+  return { clickOffsetX, clickOffsetY };
+}
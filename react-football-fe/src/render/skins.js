@@ -0,0 +1,137 @@
+// Cosmetic skins: ball designs and pitch backgrounds
+//
+// Skins only change the look. The physics never sees them: every ball keeps
+// the radius and feel of the rules in play, so leaderboards stay fair
+// whichever skin a player picked.
+//
+// Skins unlock from the player's local stats (services/stats.js): unlock is
+// { best } for a classic best score (at any difficulty) or { totalKicks } for
+// lifetime kicks.
+// Names are translated under 'skins.ball.<id>' and 'skins.pitch.<id>'.
+// Ball designs other than the classic one are drawn as SVG, so both
+// renderers and the versus lanes can use them as plain images. Pitches are
+// styled in App.css by the container's data-pitch.
+import BallImg from '../assets/soccer-ball.png';
+import { KITS, DEFAULT_KIT } from '../data/kits';
+import { getTopBest } from '../services/stats';
+
+export const DEFAULT_SKINS = { ball: 'classic', pitch: 'classic' };
+
+export const SKINS = {
+  ball: {
+    classic: { icon: '⚽' },
+    national: { icon: '🏳️', unlock: { totalKicks: 100 } }, // In the player's country's colors
+    retro: { icon: '🟤', unlock: { best: 30 } },
+    beach: { icon: '🏖️', unlock: { totalKicks: 1000 } },
+  },
+  pitch: {
+    classic: { icon: '🌳' },
+    night: { icon: '🌙', unlock: { best: 20 } },
+    beach: { icon: '🌊', unlock: { totalKicks: 500 } },
+  },
+};
+
+export function skinUnlocked(kind, id, stats) {
+  const skin = SKINS[kind][id];
+  if (!skin) return false;
+  const { best = 0, totalKicks = 0 } = skin.unlock || {};
+  return getTopBest(stats) >= best && stats.totalKicks >= totalKicks;
+}
+
+// The skin to show: the chosen one if it exists and is unlocked, else the default
+export function activeSkin(kind, id, stats) {
+  return skinUnlocked(kind, id, stats) ? id : DEFAULT_SKINS[kind];
+}
+
+// Ball designs, drawn on a 100x100 box
+
+const DEFS = `<defs>
+<radialGradient id="shade" cx="35%" cy="30%" r="75%">
+<stop offset="0" stop-color="#fff" stop-opacity="0.35"/>
+<stop offset="0.5" stop-color="#fff" stop-opacity="0"/>
+<stop offset="1" stop-color="#000" stop-opacity="0.35"/>
+</radialGradient>
+<radialGradient id="leather" cx="40%" cy="35%" r="70%">
+<stop offset="0" stop-color="#c98b4a"/>
+<stop offset="1" stop-color="#6b3f1a"/>
+</radialGradient>
+<clipPath id="round"><circle cx="50" cy="50" r="49"/></clipPath>
+</defs>`;
+
+// Highlight and shadow over the design, and an outline
+const SHADING = '<circle cx="50" cy="50" r="49" fill="url(#shade)" stroke="rgba(0,0,0,0.35)" stroke-width="1"/>';
+
+// Point at `angle` degrees (clockwise from the right) and `radius` from the center
+function point(angle, radius) {
+  const a = (angle * Math.PI) / 180;
+  return { x: (50 + radius * Math.cos(a)).toFixed(2), y: (50 + radius * Math.sin(a)).toFixed(2) };
+}
+
+// Center panel and seams of a classic football
+function panels(color) {
+  const angles = [0, 1, 2, 3, 4].map(k => -90 + k * 72);
+  const pentagon = angles.map(a => point(a, 15)).map(p => `${p.x} ${p.y}`).join(' ');
+  const seams = angles.map(a => {
+    const inner = point(a, 15);
+    const outer = point(a, 49);
+    return `<line x1="${inner.x}" y1="${inner.y}" x2="${outer.x}" y2="${outer.y}"/>`;
+  }).join('');
+  return `<polygon points="${pentagon}" fill="${color}"/><g stroke="${color}" stroke-width="1.5">${seams}</g>`;
+}
+
+// National colors in vertical bands
+function nationalBall(colors) {
+  const width = 100 / colors.length;
+  const bands = colors.map((color, i) => `<rect x="${(i * width).toFixed(2)}" y="0" width="${(width + 0.5).toFixed(2)}" height="100" fill="${color}"/>`).join('');
+  return `<g clip-path="url(#round)">${bands}${panels('#222')}</g>`;
+}
+
+// Brown leather with stitched seams and laces
+function retroBall() {
+  const seams = [
+    'M50 1 C30 30 30 70 50 99',
+    'M50 1 C70 30 70 70 50 99',
+    'M1 50 C30 40 70 40 99 50',
+  ];
+  return `<g clip-path="url(#round)">
+<circle cx="50" cy="50" r="49" fill="url(#leather)"/>
+<g fill="none" stroke="#3e2410" stroke-width="2">${seams.map(d => `<path d="${d}"/>`).join('')}</g>
+<g fill="none" stroke="#f1d9b5" stroke-width="0.8" stroke-dasharray="2 2">${seams.map(d => `<path d="${d}"/>`).join('')}</g>
+<g stroke="#f1d9b5" stroke-width="1.5">${[30, 35, 40].map(y => `<line x1="46" y1="${y}" x2="54" y2="${y}"/>`).join('')}</g>
+</g>`;
+}
+
+// Six colored wedges around a white cap
+function beachBall() {
+  const colors = ['#e53935', '#fdd835', '#1e88e5', '#ffffff', '#43a047', '#fb8c00'];
+  const wedges = colors.map((color, i) => {
+    const from = point(i * 60 - 90, 49);
+    const to = point((i + 1) * 60 - 90, 49);
+    return `<path d="M50 50 L${from.x} ${from.y} A49 49 0 0 1 ${to.x} ${to.y} Z" fill="${color}"/>`;
+  }).join('');
+  return `${wedges}<circle cx="50" cy="50" r="8" fill="#ffffff" stroke="rgba(0,0,0,0.2)"/>`;
+}
+
+function svgImage(design) {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100" width="256" height="256">${DEFS}${design}${SHADING}</svg>`;
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+const DESIGNS = {
+  national: country => nationalBall(KITS[country] || DEFAULT_KIT),
+  retro: retroBall,
+  beach: beachBall,
+};
+
+const images = new Map();
+
+// Image URL of a ball skin. The national ball needs the player's country.
+export function ballImage(id, country) {
+  if (!DESIGNS[id]) return BallImg;
+
+  const key = id === 'national' ? `${id}:${country}` : id;
+  if (!images.has(key)) {
+    images.set(key, svgImage(DESIGNS[id](country)));
+  }
+  return images.get(key);
+}
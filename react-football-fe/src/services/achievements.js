@@ -0,0 +1,84 @@
+// Unlocked achievements and the history they need, persisted in localStorage
+//
+// Definitions live in game/achievements.js. Stored data carries a schema
+// version like the stats (services/stats.js).
+import { UNKNOWN_COUNTRY } from '../data/countries';
+
+const STORAGE_KEY = 'football:achievements';
+const SCHEMA_VERSION = 1;
+
+function createRecord() {
+  return {
+    version: SCHEMA_VERSION,
+    unlocked: {}, // id -> time it was unlocked
+    countries: [], // Countries played from, first one first
+    streak: { day: null, days: 0 }, // Last day played (local date) and days in a row up to it
+  };
+}
+
+export function loadAchievements() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return createRecord();
+
+    const data = JSON.parse(raw);
+    if (data.version !== SCHEMA_VERSION) {
+      console.warn('Achievements were saved by another version, ignoring them');
+      return createRecord();
+    }
+    return { ...createRecord(), ...data };
+  } catch (error) {
+    console.warn('Failed to read achievements:', error.message);
+    return createRecord();
+  }
+}
+
+function saveAchievements(record) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(record));
+  } catch (error) {
+    console.warn('Failed to save achievements:', error.message);
+  }
+}
+
+// Local calendar day, e.g. '2024-06-10', so streaks follow the player's midnight
+function dayKey(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Note a run started today from `country`, for the streak and country
+// achievements. Returns the updated record.
+export function recordPlay(record, country, time = Date.now()) {
+  const date = new Date(time);
+  const today = dayKey(date);
+  const yesterday = dayKey(new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1));
+
+  let { streak, countries } = record;
+  if (streak.day !== today) {
+    streak = { day: today, days: streak.day === yesterday ? streak.days + 1 : 1 };
+  }
+  if (country && country !== UNKNOWN_COUNTRY && !countries.includes(country)) {
+    countries = [...countries, country];
+  }
+  if (streak === record.streak && countries === record.countries) return record;
+
+  const next = { ...record, streak, countries };
+  saveAchievements(next);
+  return next;
+}
+
+// Unlock the reached achievements that weren't yet. Returns the updated
+// record and the ids that are new.
+export function unlockAchievements(record, reached, time = Date.now()) {
+  const fresh = reached.filter(id => !record.unlocked[id]);
+  if (fresh.length === 0) return { record, fresh };
+
+  const unlocked = { ...record.unlocked };
+  fresh.forEach(id => {
+    unlocked[id] = time;
+  });
+  const next = { ...record, unlocked };
+  saveAchievements(next);
+  return { record: next, fresh };
+}
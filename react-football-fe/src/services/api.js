@@ -1,92 +1,478 @@
 // API Service for football game
+import { API_BASE_URL } from './config';
+import { getProfile, saveProfile } from './profile';
+import { resolveCountry, setCountryChoice, getKnownCountry } from './country';
+import { FIXED_STEP } from '../game/physics';
 
-const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://94.250.202.189:501/api';
+// Who is playing
+async function getPlayer() {
+  const profile = getProfile();
+  return {
+    playerId: profile?.id,
+    nickname: profile?.nickname,
+    country: await resolveCountry(),
+  };
+}
 
-// Get user's country (uses free IP geolocation API)
-let cachedCountry = null;
+// Register the player profile, or update it if it already has an id.
+// country is the player's manual choice, '' to detect it automatically.
+export async function registerPlayer({ nickname, country, avatar }) {
+  setCountryChoice(country);
 
-export async function getUserCountry() {
-  if (cachedCountry) return cachedCountry;
-  
-  // Try multiple geolocation APIs as fallbacks
-  const apis = [
-    { url: 'http://ip-api.com/json/', field: 'country' },
-    { url: 'https://ipwho.is/', field: 'country' },
-    { url: 'https://freeipapi.com/api/json', field: 'countryName' },
-  ];
-  
-  for (const api of apis) {
-    try {
-      const response = await fetch(api.url);
-      if (response.ok) {
-        const data = await response.json();
-        cachedCountry = data[api.field] || 'Unknown';
-        if (cachedCountry !== 'Unknown') {
-          return cachedCountry;
-        }
-      }
-    } catch (error) {
-      console.warn(`Geolocation API ${api.url} failed:`, error.message);
-    }
-  }
-  
-  console.error('All geolocation APIs failed');
-  return 'Unknown';
-}
+  const current = getProfile();
+  const profile = {
+    id: current?.id,
+    nickname,
+    avatar,
+  };
 
-// Submit a click to the backend
-export async function submitClick() {
   try {
-    const country = await getUserCountry();
-    
-    const response = await fetch(`${API_BASE_URL}/click`, {
+    const response = await fetch(`${API_BASE_URL}/player`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
       body: JSON.stringify({
-        country,
-        clicks: 1,
+        ...profile,
+        country: await resolveCountry(),
       }),
     });
-    
+
     if (!response.ok) {
-      throw new Error('Failed to submit click');
+      throw new Error('Failed to register player');
     }
-    
+
+    const player = await response.json();
+    return saveProfile({
+      id: player.id,
+      nickname: player.nickname,
+      avatar: player.avatar,
+    });
+  } catch (error) {
+    console.error('Failed to register player:', error);
+    // Keep the profile locally so it can be registered next time
+    return saveProfile(profile);
+  }
+}
+
+// Game sessions. The server only counts kicks and accepts scores for a
+// session it issued, see react-football-be/session.go. Every run gets a
+// handle of its own, { run, id, token }: run is a local id, and id and token
+// are filled in once the server has issued the run's session. Until then the
+// run's kicks and score wait in the queues below, so a run played offline is
+// delivered once the connection comes back. One session is kept in reserve so
+// a run started while offline usually has one from the first kick.
+const SPARE_SESSION_MAX_AGE = 60 * 60 * 1000; // Server accepts sessions for 2 hours
+
+let session = null; // Handle of the current run
+let spareSession = null;
+const handles = new Map(); // run -> handle, for the runs of this visit
+const attaching = new Map(); // run -> session being requested for it
+
+async function requestSession() {
+  try {
+    const response = await fetch(`${API_BASE_URL}/session`, { method: 'POST' });
+
+    if (!response.ok) {
+      throw new Error('Failed to open session');
+    }
+
     return await response.json();
   } catch (error) {
-    console.error('Failed to submit click:', error);
-    // Don't throw - clicks should work even if backend fails
+    console.warn('Failed to open game session:', error.message);
     return null;
   }
 }
 
-// Submit score when game ends
-export async function submitScore(score) {
+// Tokens are "<issued ms>.<signature>"
+function sessionAge({ token }) {
+  return Date.now() - Number(token.split('.')[0]);
+}
+
+function newRunId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Give a run its session: its handle and everything it has queued
+function assignSession(run, { id, token }) {
+  const handle = handles.get(run);
+  if (handle) Object.assign(handle, { id, token });
+
+  let kicks = false;
+  pendingClicks.forEach(entry => {
+    if (entry.run === run && !entry.id) {
+      Object.assign(entry, { id, token });
+      kicks = true;
+    }
+  });
+  if (kicks) {
+    savePendingClicks();
+    scheduleFlush();
+  }
+
+  let scores = false;
+  pendingScores.forEach(payload => {
+    if (payload.run === run && !payload.sessionId) {
+      Object.assign(payload, { sessionId: id, token });
+      scores = true;
+    }
+  });
+  if (scores) savePendingScores();
+}
+
+// Request a session for a run that has none yet. Resolves to the session, or
+// null when the backend can't be reached.
+function attachSession(run) {
+  if (!attaching.has(run)) {
+    attaching.set(run, requestSession().then(issued => {
+      attaching.delete(run);
+      if (issued) assignSession(run, issued);
+      return issued;
+    }));
+  }
+  return attaching.get(run);
+}
+
+// Start the next run and return its session handle. The session comes from
+// the spare or is requested now; the handle is filled in when it arrives.
+export function openSession() {
+  const handle = { run: newRunId(), id: null, token: null };
+  handles.set(handle.run, handle);
+  session = handle;
+
+  const spare = spareSession;
+  spareSession = null;
+  if (spare && sessionAge(spare) < SPARE_SESSION_MAX_AGE) {
+    assignSession(handle.run, spare);
+  } else {
+    attachSession(handle.run);
+  }
+
+  requestSession().then(next => {
+    spareSession = next;
+  });
+  return handle;
+}
+
+// Session handle of the current run
+export function getSession() {
+  return session;
+}
+
+// Kicks are buffered and sent in batches rather than one request per kick.
+// Unsent kicks are persisted per run so they survive reloads; kicks of a run
+// that has no session yet get one before they are sent.
+const KICK_QUEUE_KEY = 'football:kick-queue';
+const MAX_CLICKS_PER_REQUEST = 10; // Server caps clicks per request
+const FLUSH_INTERVAL = 1000;
+const MAX_RETRY_DELAY = 30000;
+
+let pendingClicks = loadPendingClicks(); // [{ run, id, token, clicks }], oldest run first
+let retryDelay = 0;
+let flushing = false;
+let flushTimer = null;
+
+function loadPendingClicks() {
   try {
-    const country = await getUserCountry();
-    
-    const response = await fetch(`${API_BASE_URL}/score`, {
+    const queue = JSON.parse(localStorage.getItem(KICK_QUEUE_KEY));
+    // Older builds stored a bare count, which the server can no longer accept
+    return Array.isArray(queue) ? queue : [];
+  } catch {
+    return [];
+  }
+}
+
+function savePendingClicks() {
+  try {
+    localStorage.setItem(KICK_QUEUE_KEY, JSON.stringify(pendingClicks));
+  } catch (error) {
+    console.warn('Failed to persist kick queue:', error.message);
+  }
+}
+
+// Take up to one request's worth of kicks off the oldest session
+function takeBatch() {
+  const entry = pendingClicks[0];
+  return { entry, clicks: Math.min(entry.clicks, MAX_CLICKS_PER_REQUEST) };
+}
+
+function removeBatch(entry, clicks) {
+  entry.clicks -= clicks;
+  if (entry.clicks <= 0) {
+    pendingClicks = pendingClicks.filter(e => e !== entry);
+  }
+  savePendingClicks();
+}
+
+function scheduleFlush(delay = FLUSH_INTERVAL) {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushClicks();
+  }, delay);
+}
+
+// Queue a click of the current run for the backend
+export function submitClick() {
+  if (!session) return;
+
+  const last = pendingClicks[pendingClicks.length - 1];
+  if (last && last.run === session.run) {
+    last.clicks++;
+  } else {
+    pendingClicks.push({ run: session.run, id: session.id, token: session.token, clicks: 1 });
+  }
+  savePendingClicks();
+  scheduleFlush();
+}
+
+// Failed requests worth sending again: server errors and rate limiting. Any
+// other 4xx means the request itself was refused, and would be again.
+const shouldRetry = status => status >= 500 || status === 429;
+
+// Send one batch of queued clicks, backing off on rate limiting or network
+// failure. Batches the server refuses are dropped, so they don't hold up the
+// kicks queued behind them.
+export async function flushClicks() {
+  if (flushing || pendingClicks.length === 0) return;
+  // Offline: the 'online' listener picks this up again
+  if (!navigator.onLine) return;
+
+  flushing = true;
+  const { entry, clicks } = takeBatch();
+  try {
+    if (!entry.id && !(await attachSession(entry.run))) {
+      throw new Error('No game session for the queued kicks');
+    }
+    const { playerId, country } = await getPlayer();
+
+    const response = await fetch(`${API_BASE_URL}/click`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
       body: JSON.stringify({
+        playerId,
+        sessionId: entry.id,
+        token: entry.token,
         country,
-        score,
+        clicks,
       }),
     });
-    
+
+    // Expired or unknown session: these kicks will never be accepted
+    if (response.status === 403) {
+      console.warn('Dropping kicks of an expired session');
+      removeBatch(entry, entry.clicks);
+      return;
+    }
+
+    if (shouldRetry(response.status)) {
+      throw new Error(`Failed to submit clicks (${response.status})`);
+    }
     if (!response.ok) {
-      throw new Error('Failed to submit score');
+      console.warn(`Kicks rejected (${response.status})`);
     }
-    
-    return await response.json();
+
+    removeBatch(entry, clicks);
+    retryDelay = 0;
   } catch (error) {
-    console.error('Failed to submit score:', error);
+    retryDelay = retryDelay ? Math.min(retryDelay * 2, MAX_RETRY_DELAY) : FLUSH_INTERVAL;
+    console.warn(`${error.message}, retrying in ${retryDelay}ms`);
+  } finally {
+    flushing = false;
+    if (pendingClicks.length > 0) {
+      scheduleFlush(retryDelay || FLUSH_INTERVAL);
+    }
+  }
+}
+
+// Last-chance delivery when the page is hidden or unloaded. Beacons can't
+// wait for async lookups, so this uses whatever country is already known.
+function beaconClicks() {
+  if (flushing || pendingClicks.length === 0 || !navigator.sendBeacon) return;
+
+  const profile = getProfile();
+  const { entry, clicks } = takeBatch();
+  if (!entry.id) return;
+  // text/plain keeps the beacon a simple CORS request
+  const body = new Blob([JSON.stringify({
+    playerId: profile?.id,
+    sessionId: entry.id,
+    token: entry.token,
+    country: getKnownCountry(),
+    clicks,
+  })], { type: 'text/plain' });
+
+  if (navigator.sendBeacon(`${API_BASE_URL}/click`, body)) {
+    removeBatch(entry, clicks);
+  }
+}
+
+// Scores go through a queue, kept until they are sent: a run played offline,
+// or while the server is down, is delivered when the connection comes back.
+// They are replayed against their session on the server, so they stay valid
+// as long as the session does. A run can't have been played faster than real
+// time since its session was issued, so a run that got its session late waits
+// until the session is as old as the run.
+const SCORE_QUEUE_KEY = 'football:score-queue';
+const MAX_QUEUED_SCORES = 50;
+
+let pendingScores = loadPendingScores();
+let flushingScores = false;
+let scoresQueuedWhileFlushing = false;
+let scoreTimer = null;
+
+function loadPendingScores() {
+  try {
+    const queue = JSON.parse(localStorage.getItem(SCORE_QUEUE_KEY));
+    return Array.isArray(queue) ? queue : [];
+  } catch {
+    return [];
+  }
+}
+
+function savePendingScores() {
+  try {
+    localStorage.setItem(SCORE_QUEUE_KEY, JSON.stringify(pendingScores));
+  } catch (error) {
+    console.warn('Failed to persist score queue:', error.message);
+  }
+}
+
+function queueScore(payload) {
+  pendingScores = [...pendingScores, payload].slice(-MAX_QUEUED_SCORES);
+  savePendingScores();
+  if (flushingScores) scoresQueuedWhileFlushing = true;
+}
+
+// How long a score has to wait before its session is as old as its run
+function scoreWait({ token, kicks }) {
+  const duration = (kicks[kicks.length - 1]?.s || 0) * FIXED_STEP;
+  return duration - sessionAge({ token });
+}
+
+function scheduleScores(delay) {
+  if (scoreTimer) return;
+  scoreTimer = setTimeout(() => {
+    scoreTimer = null;
+    flushScores();
+  }, delay);
+}
+
+// Send a score. Resolves to the server's answer, or null if it rejected the
+// score (which retrying won't change). Throws when it's worth trying again.
+async function postScore(payload) {
+  const body = { ...payload };
+  delete body.run; // Local only
+  const response = await fetch(`${API_BASE_URL}/score`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  });
+
+  if (shouldRetry(response.status)) {
+    throw new Error(`Failed to submit score (${response.status})`);
+  }
+  if (!response.ok) {
+    console.warn(`Score rejected (${response.status})`);
     return null;
   }
+  return await response.json();
+}
+
+// Send queued scores, oldest first, until the queue is empty or one fails.
+// Scores without a session get one; scores whose session is too young wait.
+export async function flushScores() {
+  if (flushingScores || pendingScores.length === 0 || !navigator.onLine) return;
+
+  flushingScores = true;
+  scoresQueuedWhileFlushing = false;
+  let wait = 0;
+  try {
+    for (const payload of pendingScores) {
+      if (!payload.sessionId && !(await attachSession(payload.run))) {
+        throw new Error('No game session for the queued scores');
+      }
+      const remaining = scoreWait(payload);
+      if (remaining > 0) {
+        wait = wait ? Math.min(wait, remaining) : remaining;
+        continue;
+      }
+      await postScore(payload);
+      pendingScores = pendingScores.filter(p => p !== payload);
+      savePendingScores();
+    }
+  } catch (error) {
+    console.warn(`${error.message}, keeping ${pendingScores.length} scores for later`);
+  } finally {
+    flushingScores = false;
+    if (scoresQueuedWhileFlushing) {
+      flushScores();
+    } else if (wait > 0) {
+      scheduleScores(wait);
+    }
+  }
+}
+
+// Hook the kick and score queues up to page lifecycle events. Returns a
+// cleanup function.
+export function startSubmissionQueue() {
+  const handleVisibilityChange = () => {
+    if (document.visibilityState === 'hidden') {
+      beaconClicks();
+    } else {
+      flushClicks();
+      flushScores();
+    }
+  };
+  const handleOnline = () => {
+    flushClicks();
+    flushScores();
+  };
+
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+  window.addEventListener('pagehide', beaconClicks);
+  window.addEventListener('online', handleOnline);
+
+  // Deliver anything left over from a previous visit
+  flushClicks();
+  flushScores();
+
+  return () => {
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    window.removeEventListener('pagehide', beaconClicks);
+    window.removeEventListener('online', handleOnline);
+  };
+}
+
+// Submit score when game ends. Daily challenge runs pass the challenge id
+// and go to a separate table. run is { session, bounds, kicks, difficulty }:
+// the session the run was played in, the playfield size, the kick log, which
+// the server replays to check the score, and the difficulty, which picks the
+// physics and the tables it counts for. Goes through the score queue, so it
+// is sent later when it can't be sent now.
+export async function submitScore(score, challenge, run) {
+  if (!run?.session) return;
+
+  const { playerId, nickname, country } = await getPlayer();
+  const payload = {
+    playerId,
+    nickname,
+    country,
+    score,
+    ...(challenge ? { mode: 'daily', challenge } : { difficulty: run.difficulty }),
+    run: run.session.run,
+    sessionId: run.session.id,
+    token: run.session.token,
+    bounds: run.bounds,
+    kicks: run.kicks,
+  };
+
+  queueScore(payload);
+  await flushScores();
 }
 
 // Get leaderboard data
@@ -106,27 +492,153 @@ export async function getLeaderboard() {
   }
 }
 
+// Live leaderboard: streams updates over Server-Sent Events, reconnecting with
+// backoff and polling getLeaderboard() while the stream is down.
+// onUpdate receives the full leaderboard (Worldwide first, then countries by
+// clicks). Returns an unsubscribe function.
+const STREAM_RETRY_DELAY = 2000;
+const MAX_STREAM_RETRY_DELAY = 30000;
+const POLL_INTERVAL = 5000;
+
+export function subscribeLeaderboard(onUpdate) {
+  let source = null;
+  let pollTimer = null;
+  let retryTimer = null;
+  let retryDelay = STREAM_RETRY_DELAY;
+  let closed = false;
+  let worldwide = null;
+  const countries = new Map(); // country -> clicks
+
+  const setBoard = (data) => {
+    worldwide = data.find(item => item.country === 'Worldwide') || null;
+    countries.clear();
+    data.forEach(item => {
+      if (item.country !== 'Worldwide') countries.set(item.country, item.clicks);
+    });
+  };
+
+  const emit = () => {
+    const list = [...countries]
+      .map(([country, clicks]) => ({ country, clicks }))
+      .sort((a, b) => b.clicks - a.clicks);
+    onUpdate(worldwide ? [worldwide, ...list] : list);
+  };
+
+  const poll = async () => {
+    const data = await getLeaderboard();
+    if (closed || source) return;
+    setBoard(data);
+    emit();
+  };
+
+  const startPolling = () => {
+    if (pollTimer) return;
+    poll();
+    pollTimer = setInterval(poll, POLL_INTERVAL);
+  };
+
+  const stopPolling = () => {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  };
+
+  const connect = () => {
+    if (closed) return;
+    if (typeof EventSource === 'undefined') {
+      startPolling();
+      return;
+    }
+
+    source = new EventSource(`${API_BASE_URL}/leaderboard/stream`);
+
+    source.addEventListener('snapshot', (e) => {
+      stopPolling();
+      retryDelay = STREAM_RETRY_DELAY;
+      setBoard(JSON.parse(e.data));
+      emit();
+    });
+
+    source.addEventListener('delta', (e) => {
+      const delta = JSON.parse(e.data);
+      worldwide = delta.worldwide;
+      Object.entries(delta.countries).forEach(([country, clicks]) => {
+        countries.set(country, clicks);
+      });
+      emit();
+    });
+
+    // Handle reconnects ourselves so we can back off and poll meanwhile
+    source.onerror = () => {
+      source.close();
+      source = null;
+      console.warn(`Leaderboard stream lost, reconnecting in ${retryDelay}ms`);
+      startPolling();
+      retryTimer = setTimeout(connect, retryDelay);
+      retryDelay = Math.min(retryDelay * 2, MAX_STREAM_RETRY_DELAY);
+    };
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    if (source) source.close();
+    stopPolling();
+    clearTimeout(retryTimer);
+  };
+}
+
+// Get top individual scores for a period ('all', 'daily', 'weekly' or
+// 'challenge') and difficulty. The challenge table has no difficulties.
+export async function getHighScores(period = 'all', difficulty = 'normal', limit = 10) {
+  try {
+    const params = new URLSearchParams({ period, limit });
+    if (period !== 'challenge') params.set('difficulty', difficulty);
+    const response = await fetch(`${API_BASE_URL}/highscores?${params}`);
+
+    if (!response.ok) {
+      throw new Error('Failed to fetch high scores');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Failed to fetch high scores:', error);
+    // Return mock data for development/offline
+    return getMockHighScores();
+  }
+}
+
 // Mock data for development
 function getMockLeaderboard() {
   return [
     { country: 'Worldwide', clicks: 656059243590, kps: 121.5 },
-    { country: 'Thailand', clicks: 125372654430 },
-    { country: 'Hong Kong', clicks: 123544704358 },
-    { country: 'Taiwan', clicks: 121641777274 },
-    { country: 'Japan', clicks: 108900576886 },
-    { country: 'South Korea', clicks: 30896930588 },
-    { country: 'Malaysia', clicks: 24306210836 },
-    { country: 'Saudi Arabia', clicks: 11543394788 },
-    { country: 'United States', clicks: 10979691153 },
-    { country: 'Indonesia', clicks: 10214917736 },
-    { country: 'Finland', clicks: 9343331012 },
-    { country: 'Sweden', clicks: 9049407326 },
-    { country: 'Poland', clicks: 6287369734 },
-    { country: 'United Arab Emirates', clicks: 4867417348 },
-    { country: 'Denmark', clicks: 4393508714 },
-    { country: 'Germany', clicks: 3892156789 },
-    { country: 'France', clicks: 3654789012 },
-    { country: 'United Kingdom', clicks: 3421567890 },
-    { country: 'Morocco', clicks: 2987654321 },
+    { country: 'TH', clicks: 125372654430 },
+    { country: 'HK', clicks: 123544704358 },
+    { country: 'TW', clicks: 121641777274 },
+    { country: 'JP', clicks: 108900576886 },
+    { country: 'KR', clicks: 30896930588 },
+    { country: 'MY', clicks: 24306210836 },
+    { country: 'SA', clicks: 11543394788 },
+    { country: 'US', clicks: 10979691153 },
+    { country: 'ID', clicks: 10214917736 },
+    { country: 'FI', clicks: 9343331012 },
+    { country: 'SE', clicks: 9049407326 },
+    { country: 'PL', clicks: 6287369734 },
+    { country: 'AE', clicks: 4867417348 },
+    { country: 'DK', clicks: 4393508714 },
+    { country: 'DE', clicks: 3892156789 },
+    { country: 'FR', clicks: 3654789012 },
+    { country: 'GB', clicks: 3421567890 },
+    { country: 'MA', clicks: 2987654321 },
+  ];
+}
+
+function getMockHighScores() {
+  return [
+    { nickname: 'Zizou', country: 'FR', avatar: '👑', score: 142, time: Date.now() },
+    { nickname: 'Hakimi', country: 'MA', avatar: '🦁', score: 118, time: Date.now() },
+    { nickname: 'Sonny', country: 'KR', avatar: '🐯', score: 97, time: Date.now() },
+    { nickname: 'Anonymous', country: 'BR', avatar: '⚽', score: 85, time: Date.now() },
+    { nickname: 'Kaka', country: 'JP', avatar: '⭐', score: 64, time: Date.now() },
   ];
 }
@@ -0,0 +1,118 @@
+// Asset manifest and loader
+//
+// Everything the game preloads before the first screen is listed in ASSETS.
+// loadAssets() never rejects and never hangs: every asset has a timeout, and
+// one that fails is reported back so the game can start without it (e.g. no
+// sound on a browser that can't decode any of its formats).
+import BallImg from '../assets/soccer-ball.png';
+import { loadSound } from './audio';
+
+const TIMEOUT = 10000; // ms per attempt
+
+// Sounds can ship in several formats side by side (kick.ogg, kick.mp3,
+// kick.m4a). Drop a file next to the others and it becomes a fallback.
+const soundFiles = import.meta.glob('../assets/sounds/*.{ogg,mp3,m4a}', {
+  eager: true,
+  query: '?url',
+  import: 'default',
+});
+
+// Tried in this order, among the ones the browser says it can play
+const SOUND_FORMATS = [
+  { ext: 'ogg', type: 'audio/ogg; codecs="vorbis"' },
+  { ext: 'mp3', type: 'audio/mpeg' },
+  { ext: 'm4a', type: 'audio/mp4; codecs="mp4a.40.2"' },
+];
+
+function soundSources(name) {
+  const probe = document.createElement('audio');
+  return SOUND_FORMATS
+    .filter(({ ext }) => soundFiles[`../assets/sounds/${name}.${ext}`])
+    .filter(({ type }) => probe.canPlayType?.(type) !== '')
+    .map(({ ext }) => soundFiles[`../assets/sounds/${name}.${ext}`]);
+}
+
+export const ASSETS = [
+  // Same URL as the .container background in App.css, so this warms its cache
+  { id: 'background', type: 'image', url: '/assets/background.png' },
+  { id: 'ball', type: 'image', url: BallImg },
+  { id: 'kick', type: 'sound', sources: soundSources('kick') },
+  { id: 'wall', type: 'sound', sources: soundSources('wall') },
+  { id: 'end', type: 'sound', sources: soundSources('end') },
+];
+
+// Run load(signal), giving up after TIMEOUT
+async function withTimeout(load) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`timed out after ${TIMEOUT / 1000}s`));
+    }, TIMEOUT);
+  });
+
+  try {
+    return await Promise.race([load(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function loadImage(url, signal) {
+  return new Promise((resolve, reject) => {
+    const img = new window.Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('failed to load'));
+    signal.addEventListener('abort', () => {
+      img.src = '';
+    });
+    img.src = url;
+  });
+}
+
+// Try each format in turn until one decodes
+async function loadSoundAsset({ id, sources }) {
+  if (!sources.length) {
+    throw new Error('no playable format');
+  }
+
+  let lastError;
+  for (const url of sources) {
+    try {
+      await withTimeout(signal => loadSound(id, url, { signal }));
+      return;
+    } catch (error) {
+      console.warn(`Failed to load ${url}:`, error.message);
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
+
+function loadAsset(asset) {
+  if (asset.type === 'image') {
+    return withTimeout(signal => loadImage(asset.url, signal));
+  }
+  return loadSoundAsset(asset);
+}
+
+// Load every asset in the manifest. onProgress(done, total) is called as each
+// one finishes, successfully or not. Resolves with the ids that failed.
+export async function loadAssets(onProgress = () => {}) {
+  let done = 0;
+  const failed = [];
+
+  await Promise.all(ASSETS.map(async asset => {
+    try {
+      await loadAsset(asset);
+    } catch (error) {
+      console.warn(`Asset "${asset.id}" unavailable:`, error.message);
+      failed.push(asset.id);
+    }
+    done++;
+    onProgress(done, ASSETS.length);
+  }));
+
+  return { failed };
+}
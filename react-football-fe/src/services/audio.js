@@ -0,0 +1,143 @@
+// Sound effects
+//
+// Sounds are decoded once into Web Audio buffers and played through a small
+// mixer: each sound -> SFX gain -> master gain -> speakers. Volume and mute
+// live in the 'audio' settings. Browsers keep audio suspended until the first
+// user gesture, see unlockAudio().
+//
+// Without Web Audio (very old browsers) sounds fall back to <audio> elements.
+// Sounds are registered by the asset loader (services/assets) through
+// loadSound(); a sound that never loaded is simply not played.
+import { getSettings, updateSettings } from './settings';
+
+const sources = {}; // name -> url
+
+const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+
+let context = null;
+let masterGain = null;
+let sfxGain = null;
+const buffers = {}; // name -> AudioBuffer
+
+function getContext() {
+  if (!context && AudioContextClass) {
+    context = new AudioContextClass();
+    masterGain = context.createGain();
+    sfxGain = context.createGain();
+    sfxGain.connect(masterGain);
+    masterGain.connect(context.destination);
+    applySettings();
+  }
+  return context;
+}
+
+function applySettings() {
+  if (!context) return;
+  const { master, sfx, muted } = getSettings('audio');
+  masterGain.gain.value = muted ? 0 : master;
+  sfxGain.gain.value = sfx;
+}
+
+// Fetch and decode a sound so playSound(name) can play it. Rejects if the
+// file can't be fetched or decoded. signal aborts the download.
+export async function loadSound(name, url, { signal } = {}) {
+  if (!getContext()) {
+    // <audio> elements load on demand; iOS wouldn't preload them anyway
+    sources[name] = url;
+    return;
+  }
+
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const data = await response.arrayBuffer();
+  // Safari only has the callback form of decodeAudioData
+  buffers[name] = await new Promise((resolve, reject) => {
+    context.decodeAudioData(data, resolve, reject);
+  });
+  sources[name] = url;
+}
+
+// Resume audio on the first user gesture. iOS additionally needs a sound
+// started from inside the gesture, so play a silent one.
+export function unlockAudio() {
+  const ctx = getContext();
+  if (!ctx) return () => {};
+
+  const unlock = () => {
+    if (ctx.state === 'suspended') {
+      ctx.resume().catch(() => {});
+    }
+    const source = ctx.createBufferSource();
+    source.buffer = ctx.createBuffer(1, 1, 22050);
+    source.connect(ctx.destination);
+    source.start(0);
+    removeListeners();
+  };
+  const removeListeners = () => {
+    window.removeEventListener('pointerdown', unlock);
+    window.removeEventListener('keydown', unlock);
+  };
+
+  window.addEventListener('pointerdown', unlock);
+  window.addEventListener('keydown', unlock);
+  return removeListeners;
+}
+
+// Play a sound by name. volume (0-1) and rate (playback speed, which also
+// shifts the pitch) let callers vary repeated sounds.
+export function playSound(name, { volume = 1, rate = 1 } = {}) {
+  const { master, sfx, muted } = getSettings('audio');
+  if (muted || !sources[name]) return;
+
+  if (!context) {
+    const audio = new window.Audio(sources[name]);
+    audio.volume = Math.min(volume * sfx * master, 1);
+    audio.playbackRate = rate;
+    audio.play().catch(() => {
+      // Autoplay blocked or unsupported format: stay silent
+    });
+    return;
+  }
+
+  if (context.state !== 'running') return;
+
+  const source = context.createBufferSource();
+  source.buffer = buffers[name];
+  source.playbackRate.value = rate;
+  const gain = context.createGain();
+  gain.gain.value = volume;
+  source.connect(gain);
+  gain.connect(sfxGain);
+  source.start();
+}
+
+// A little random detune so repeated sounds don't feel mechanical
+function jitter() {
+  return 1 + (Math.random() - 0.5) * 0.06;
+}
+
+// Harder kicks are louder and higher. speed is the ball speed after the kick,
+// kickStrength the physics setting it is measured against.
+export function kickVariation(speed, kickStrength) {
+  const strength = Math.min(speed / (kickStrength * 1.5), 1);
+  return { volume: 0.6 + 0.4 * strength, rate: (0.9 + 0.25 * strength) * jitter() };
+}
+
+// Impacts go from a soft tap to a full thud at 20 units per step and above
+export function impactVariation(speed) {
+  const strength = Math.min(speed / 20, 1);
+  return { volume: 0.2 + 0.8 * strength, rate: (0.85 + 0.2 * strength) * jitter() };
+}
+
+export function getAudioSettings() {
+  return getSettings('audio');
+}
+
+// Change master / sfx volume (0-1) or mute. Returns the new audio settings.
+export function setAudioSettings(changes) {
+  const audio = updateSettings('audio', changes);
+  applySettings();
+  return audio;
+}
@@ -0,0 +1,3 @@
+// Shared service configuration
+
+export const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://94.250.202.189:501/api';
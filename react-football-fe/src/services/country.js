@@ -0,0 +1,167 @@
+// Country resolution for the player
+//
+// Countries are ISO 3166-1 alpha-2 codes ('MA'), see data/countries.
+// Resolvers run in order and the first one that answers wins:
+//   1. the player's manual choice
+//   2. a previously resolved country cached in localStorage
+//   3. inference from the browser timezone / language (offline, no network)
+//   4. an optional lookup on our own backend
+// If none answers the player plays for UNKNOWN_COUNTRY. No third-party
+// services are contacted, so the player's IP never leaves our backend.
+import { UNKNOWN_COUNTRY, toCountryCode } from '../data/countries';
+import { timezoneToCode } from '../data/timezones';
+import { API_BASE_URL } from './config';
+
+// Kiosk builds set VITE_COUNTRY_LOOKUP=false to stay fully offline
+const SERVER_LOOKUP_ENABLED = import.meta.env.VITE_COUNTRY_LOOKUP !== 'false';
+const SERVER_LOOKUP_TIMEOUT = 3000;
+
+const CHOICE_KEY = 'football:country';
+const CACHE_KEY = 'football:country-cache';
+const CACHE_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+export { UNKNOWN_COUNTRY };
+
+// Resolved country for this page load
+let resolved = null;
+
+function readStorage(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+}
+
+function writeStorage(key, value) {
+  try {
+    if (value === null) {
+      localStorage.removeItem(key);
+    } else {
+      localStorage.setItem(key, value);
+    }
+  } catch (error) {
+    console.warn(`Failed to write ${key}:`, error.message);
+  }
+}
+
+// The country the player picked, or '' for automatic. Older builds stored
+// English names; those are converted to codes the first time they're read.
+export function getCountryChoice() {
+  const stored = readStorage(CHOICE_KEY);
+  if (!stored) return '';
+
+  const code = toCountryCode(stored);
+  if (code !== stored) {
+    writeStorage(CHOICE_KEY, code);
+  }
+  return code || '';
+}
+
+export function setCountryChoice(country) {
+  writeStorage(CHOICE_KEY, country || null);
+  resolved = null;
+}
+
+function readCache() {
+  try {
+    const cached = JSON.parse(readStorage(CACHE_KEY));
+    // Names from older builds are converted; anything unrecognised resolves again
+    if (cached && cached.expires > Date.now()) return toCountryCode(cached.country);
+  } catch {
+    // Corrupt cache, resolve again
+  }
+  return null;
+}
+
+function writeCache(country) {
+  writeStorage(CACHE_KEY, JSON.stringify({ country, expires: Date.now() + CACHE_TTL }));
+}
+
+export const manualResolver = {
+  name: 'manual',
+  resolve: () => getCountryChoice() || null,
+};
+
+export const cachedResolver = {
+  name: 'cache',
+  resolve: () => readCache(),
+};
+
+export const localeResolver = {
+  name: 'locale',
+  resolve: () => {
+    try {
+      const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+      if (timezoneToCode[timezone]) return timezoneToCode[timezone];
+    } catch {
+      // No Intl timezone support, fall through to language
+    }
+
+    // Region subtag of the preferred languages, e.g. 'fr-MA' -> 'MA'
+    for (const language of navigator.languages || [navigator.language]) {
+      const region = language && language.split('-').find(part => /^[A-Z]{2}$/.test(part));
+      const code = toCountryCode(region);
+      if (code) return code;
+    }
+    return null;
+  },
+};
+
+export const serverResolver = {
+  name: 'server',
+  resolve: async () => {
+    if (!SERVER_LOOKUP_ENABLED || !navigator.onLine) return null;
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), SERVER_LOOKUP_TIMEOUT);
+    try {
+      const response = await fetch(`${API_BASE_URL}/country`, { signal: controller.signal });
+      if (!response.ok) return null;
+      const data = await response.json();
+      return toCountryCode(data.code);
+    } catch (error) {
+      console.warn('Country lookup failed:', error.message);
+      return null;
+    } finally {
+      clearTimeout(timeout);
+    }
+  },
+  // Network answers are worth keeping; the others are cheap to recompute
+  cache: true,
+};
+
+export const defaultResolvers = [manualResolver, cachedResolver, localeResolver, serverResolver];
+
+// Run the resolvers in order and remember the first answer
+export async function resolveCountry(resolvers = defaultResolvers) {
+  if (resolved) return resolved;
+
+  for (const resolver of resolvers) {
+    const country = await resolver.resolve();
+    if (country) {
+      if (resolver.cache) {
+        writeCache(country);
+      }
+      resolved = country;
+      return country;
+    }
+  }
+
+  return UNKNOWN_COUNTRY;
+}
+
+// Detected country, ignoring the manual choice (shown next to the picker)
+export async function detectCountry() {
+  for (const resolver of defaultResolvers) {
+    if (resolver === manualResolver) continue;
+    const country = await resolver.resolve();
+    if (country) return country;
+  }
+  return UNKNOWN_COUNTRY;
+}
+
+// Best answer available right now, without waiting (e.g. for unload beacons)
+export function getKnownCountry() {
+  return resolved || getCountryChoice() || readCache() || UNKNOWN_COUNTRY;
+}
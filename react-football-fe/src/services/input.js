@@ -0,0 +1,170 @@
+// Player input: pointer, keyboard and gamepad
+//
+// Every way of playing produces the same kick a tap on the ball does,
+// { clickOffsetX, clickOffsetY, swipeDx, swipeDy } (see game/kicklog.js), so
+// kicks are logged, scored and replayed alike whatever made them.
+//
+// Keyboard and gamepad players aim across the ball instead of tapping a spot
+// on it. The aim goes from -1 (send the ball left) to 1 (send it right).
+// With two players, player 1 uses A/D/W and the first gamepad, player 2 the
+// arrows and the second gamepad. P, Escape and the gamepads' Start button
+// pause, when the game listens for it.
+
+const AIM_STEP = 0.25; // Per key press or d-pad press
+const AIM_REACH = 0.8; // Full aim, as a fraction of the radius from the center
+const LIFT = 0.5; // Keyboard kicks hit a little below the center
+const REACH = 0.5; // Part of the field height a keyboard kick reaches
+const STICK_DEADZONE = 0.2;
+
+// key -> [player, action]
+const KEYS = {
+  KeyA: [0, 'left'],
+  KeyD: [0, 'right'],
+  KeyW: [0, 'kick'],
+  Space: [0, 'kick'],
+  ArrowLeft: [1, 'left'],
+  ArrowRight: [1, 'right'],
+  ArrowUp: [1, 'kick'],
+  Enter: [1, 'kick'],
+  KeyP: [0, 'pause'],
+  Escape: [0, 'pause'],
+};
+
+// Standard gamepad mapping: A / cross and right trigger kick, d-pad aims,
+// Start pauses
+const PAD_KICK = [0, 7];
+const PAD_LEFT = 14;
+const PAD_RIGHT = 15;
+const PAD_PAUSE = 9;
+
+// Kick from a tap or swipe: where the pointer went down on the ball, and
+// where it was released
+export function swipeKick({ clickOffsetX, clickOffsetY }, start, end) {
+  return {
+    clickOffsetX,
+    clickOffsetY,
+    swipeDx: end.x - start.x,
+    swipeDy: end.y - start.y,
+  };
+}
+
+// Kick for an aim. Aiming right hits the left side of the ball.
+export function aimedKick(aim, radius) {
+  return {
+    clickOffsetX: -aim * radius * AIM_REACH,
+    clickOffsetY: radius * LIFT,
+    swipeDx: 0,
+    swipeDy: 0,
+  };
+}
+
+// Keyboard and gamepad kicks connect only while the ball drops through the
+// lower part of the field. A tap has to find the ball; without this, holding
+// a key would keep it up forever.
+export function withinReach(ball, bounds) {
+  return ball.vy <= 0 && ball.y <= bounds.height * REACH;
+}
+
+const clampAim = aim => Math.max(-1, Math.min(1, Math.round(aim * 100) / 100));
+
+// Keys typed into a control or a dialog belong to it, not to the game
+function ownsKeys(element) {
+  return !!element?.closest?.('input, select, textarea, [role="dialog"]');
+}
+
+// Start listening to the keyboard and gamepads. getRadius(player) is the
+// size of the player's ball, onAim(player, aim) reports aim changes,
+// onKick(player, kick, aim) kicks and onPause() (optional) asks to pause or
+// resume. Returns a function that stops.
+export function startInput({ players = 1, getRadius, onAim, onKick, onPause }) {
+  const aims = Array.from({ length: players }, () => 0);
+  const pads = {}; // gamepad index -> { buttons, stick } from the last poll
+  let frame = null;
+
+  const playerFor = index => (players === 1 ? 0 : index % players);
+
+  const aim = (player, aimValue) => {
+    const next = clampAim(aimValue);
+    if (next === aims[player]) return;
+    aims[player] = next;
+    onAim(player, next);
+  };
+
+  const kick = player => onKick(player, aimedKick(aims[player], getRadius(player)), aims[player]);
+
+  const handleKeyDown = (e) => {
+    const binding = KEYS[e.code];
+    if (!binding || e.altKey || e.ctrlKey || e.metaKey || ownsKeys(e.target)) return;
+    const [index, action] = binding;
+    // Buttons still answer to Space and Enter
+    if (action === 'kick' && e.target.closest?.('button, a')) return;
+    if (action === 'pause' && !onPause) return;
+
+    e.preventDefault();
+    const player = playerFor(index);
+    if (action === 'pause') {
+      if (!e.repeat) onPause();
+    } else if (action === 'kick') {
+      if (!e.repeat) kick(player);
+    } else {
+      aim(player, aims[player] + (action === 'right' ? AIM_STEP : -AIM_STEP));
+    }
+  };
+
+  // Gamepads have no events for buttons, so they are polled every frame
+  // while one is connected
+  const poll = () => {
+    frame = null;
+    const gamepads = [...(navigator.getGamepads?.() || [])].filter(Boolean);
+    if (gamepads.length === 0) return;
+
+    const listening = !ownsKeys(document.activeElement);
+    gamepads.forEach(gamepad => {
+      const player = playerFor(gamepad.index);
+      const previous = pads[gamepad.index] || { buttons: [], stick: false };
+      const pressed = gamepad.buttons.map(button => button.pressed);
+      const justPressed = id => pressed[id] && !previous.buttons[id];
+
+      const x = gamepad.axes[0] || 0;
+      const stick = Math.abs(x) > STICK_DEADZONE;
+
+      if (listening) {
+        if (stick) {
+          aim(player, x);
+        } else if (previous.stick) {
+          aim(player, 0); // Stick let go: straight up again
+        }
+        if (justPressed(PAD_LEFT)) aim(player, aims[player] - AIM_STEP);
+        if (justPressed(PAD_RIGHT)) aim(player, aims[player] + AIM_STEP);
+        if (PAD_KICK.some(justPressed)) kick(player);
+      }
+      // Start also resumes from the pause screen, which holds the focus
+      if (onPause && justPressed(PAD_PAUSE)) onPause();
+
+      pads[gamepad.index] = { buttons: pressed, stick };
+    });
+
+    frame = requestAnimationFrame(poll);
+  };
+
+  const startPolling = () => {
+    if (frame === null) frame = requestAnimationFrame(poll);
+  };
+
+  const handleDisconnect = (e) => {
+    delete pads[e.gamepad.index];
+  };
+
+  window.addEventListener('keydown', handleKeyDown);
+  window.addEventListener('gamepadconnected', startPolling);
+  window.addEventListener('gamepaddisconnected', handleDisconnect);
+  // Pads connected before the page loaded show up once polled
+  startPolling();
+
+  return () => {
+    window.removeEventListener('keydown', handleKeyDown);
+    window.removeEventListener('gamepadconnected', startPolling);
+    window.removeEventListener('gamepaddisconnected', handleDisconnect);
+    if (frame !== null) cancelAnimationFrame(frame);
+  };
+}
@@ -0,0 +1,34 @@
+// Reduced motion
+//
+// Follows the system's prefers-reduced-motion unless the player picked a
+// setting. The document gets data-motion="reduce" for the CSS, and the
+// renderers ask reducedMotion() when drawing.
+import { getSettings, updateSettings } from './settings';
+
+const systemQuery = window.matchMedia?.('(prefers-reduced-motion: reduce)');
+
+export function reducedMotion() {
+  const { motion } = getSettings('general');
+  if (motion) return motion === 'reduce';
+  return !!systemQuery?.matches;
+}
+
+function applyPreference() {
+  if (reducedMotion()) {
+    document.documentElement.dataset.motion = 'reduce';
+  } else {
+    delete document.documentElement.dataset.motion;
+  }
+}
+
+// Put the preference on the document, and keep following the system's
+export function applyMotion() {
+  applyPreference();
+  systemQuery?.addEventListener?.('change', applyPreference);
+}
+
+// 'reduce', 'full', or '' to follow the system
+export function setMotion(motion) {
+  updateSettings('general', { motion });
+  applyPreference();
+}
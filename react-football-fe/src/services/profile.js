@@ -0,0 +1,26 @@
+// Local player profile (nickname, avatar)
+// The id is issued by the backend when the profile is first registered.
+// The player's country choice lives in services/country.js.
+
+const STORAGE_KEY = 'football:profile';
+
+export const avatars = ['⚽', '🦁', '🦅', '🐯', '🐺', '🦊', '🐉', '🔥', '⭐', '👑'];
+
+export function getProfile() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.warn('Failed to read profile:', error.message);
+    return null;
+  }
+}
+
+export function saveProfile(profile) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+  } catch (error) {
+    console.warn('Failed to save profile:', error.message);
+  }
+  return profile;
+}
@@ -0,0 +1,37 @@
+// Service worker registration and updates (the worker itself is src/sw.js)
+
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000; // Kiosks may never reload on their own
+
+// Register the service worker in production builds. onUpdate(apply) is called
+// when a new version has been downloaded; apply() switches to it and reloads.
+export function registerServiceWorker(onUpdate) {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  const apply = (worker) => () => {
+    navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload());
+    worker.postMessage('skip-waiting');
+  };
+
+  navigator.serviceWorker.register('/sw.js').then(registration => {
+    // Downloaded on a previous visit and still waiting
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      onUpdate(apply(registration.waiting));
+    }
+
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      worker.addEventListener('statechange', () => {
+        // Without a controller this is the first install, not an update
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          onUpdate(apply(worker));
+        }
+      });
+    });
+
+    setInterval(() => {
+      if (navigator.onLine) registration.update().catch(() => {});
+    }, UPDATE_CHECK_INTERVAL);
+  }).catch(error => {
+    console.warn('Service worker registration failed:', error.message);
+  });
+}
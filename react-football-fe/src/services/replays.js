@@ -0,0 +1,78 @@
+// Recorded runs kept in localStorage for replays and the ghost ball: the best
+// classic runs at each difficulty, and the best run of the latest daily
+// challenge.
+// Runs are { score, time, challenge, difficulty, bounds, kicks }, see
+// game/replay.js.
+import { DEFAULT_DIFFICULTY } from '../game/difficulty';
+
+const STORAGE_KEY = 'football:replays';
+const MAX_CLASSIC_RUNS = 5; // Per difficulty
+
+function createReplays() {
+  return {
+    classic: [], // Best first, all difficulties
+    daily: null, // Best run of the latest challenge played
+  };
+}
+
+export function loadReplays() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? { ...createReplays(), ...JSON.parse(raw) } : createReplays();
+  } catch (error) {
+    console.warn('Failed to read replays:', error.message);
+    return createReplays();
+  }
+}
+
+function saveReplays(replays) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(replays));
+  } catch (error) {
+    // Long runs can hit the storage quota; keeping the old replays is fine
+    console.warn('Failed to save replays:', error.message);
+  }
+  return replays;
+}
+
+// Runs from before difficulties were played on normal
+const runDifficulty = run => run.difficulty || DEFAULT_DIFFICULTY;
+
+// Best first, at most MAX_CLASSIC_RUNS of each difficulty
+function bestClassicRuns(runs) {
+  const counts = {};
+  return [...runs]
+    .sort((a, b) => b.score - a.score || a.time - b.time)
+    .filter(run => {
+      const difficulty = runDifficulty(run);
+      counts[difficulty] = (counts[difficulty] || 0) + 1;
+      return counts[difficulty] <= MAX_CLASSIC_RUNS;
+    });
+}
+
+// Keep a finished run if it is among the best. Returns the replays.
+export function saveRun(run) {
+  const replays = loadReplays();
+  if (run.kicks.length === 0) return replays;
+
+  if (run.challenge) {
+    const current = replays.daily;
+    if (current && current.challenge === run.challenge && current.score >= run.score) {
+      return replays;
+    }
+    return saveReplays({ ...replays, daily: run });
+  }
+
+  const classic = bestClassicRuns([...replays.classic, run]);
+  if (!classic.includes(run)) return replays;
+  return saveReplays({ ...replays, classic });
+}
+
+// Personal best run for classic mode at a difficulty (no challenge) or a
+// daily challenge
+export function getBestRun(replays, challenge, difficulty = DEFAULT_DIFFICULTY) {
+  if (challenge) {
+    return replays.daily?.challenge === challenge ? replays.daily : null;
+  }
+  return replays.classic.find(run => runDifficulty(run) === difficulty) || null;
+}
@@ -0,0 +1,28 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { saveRun, getBestRun } from './replays';
+import { memoryStorage } from '../test/memoryStorage';
+
+beforeEach(() => {
+  vi.stubGlobal('localStorage', memoryStorage());
+});
+
+describe('saveRun', () => {
+  const run = (score, difficulty, time = score) => ({
+    score,
+    time,
+    challenge: null,
+    difficulty,
+    bounds: { width: 1422, height: 800 },
+    kicks: [{ s: 0, x: 0, y: 0, dx: 0, dy: 0 }],
+  });
+
+  it('keeps the best runs of each difficulty', () => {
+    for (let score = 100; score < 110; score++) saveRun(run(score, 'normal'));
+    const replays = saveRun(run(3, 'hard'));
+
+    expect(replays.classic.filter(r => r.difficulty === 'normal')).toHaveLength(5);
+    expect(getBestRun(replays, null, 'normal').score).toBe(109);
+    expect(getBestRun(replays, null, 'hard').score).toBe(3);
+    expect(getBestRun(replays, null, 'easy')).toBeNull();
+  });
+});
@@ -0,0 +1,63 @@
+// Player settings, persisted in localStorage
+//
+// Settings are grouped in sections (e.g. 'audio'). Missing sections and
+// fields fall back to the defaults below, so new settings can be added
+// without a migration.
+
+const STORAGE_KEY = 'football:settings';
+
+const defaults = {
+  general: {
+    language: '', // '' follows the browser
+    motion: '', // 'reduce' or 'full', '' follows the system
+  },
+  game: {
+    difficulty: 'normal', // See game/difficulty.js
+  },
+  audio: {
+    master: 1,
+    sfx: 0.7,
+    muted: false,
+  },
+  display: {
+    ghost: true, // Race the personal best
+    popups: true, // Emoji and points over the ball
+    effects: true, // Particles, squash and shake, see render/effects.js
+  },
+  skins: {
+    ball: 'classic', // See render/skins.js
+    pitch: 'classic',
+  },
+};
+
+let settings = loadSettings();
+
+function loadSettings() {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn('Failed to read settings:', error.message);
+  }
+
+  const merged = {};
+  Object.entries(defaults).forEach(([section, values]) => {
+    merged[section] = { ...values, ...stored[section] };
+  });
+  return merged;
+}
+
+export function getSettings(section) {
+  return settings[section];
+}
+
+// Change some fields of a section and persist. Returns the updated section.
+export function updateSettings(section, changes) {
+  settings = { ...settings, [section]: { ...settings[section], ...changes } };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn('Failed to save settings:', error.message);
+  }
+  return settings[section];
+}
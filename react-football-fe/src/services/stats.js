@@ -0,0 +1,136 @@
+// Local play statistics, persisted in localStorage
+//
+// Stored data carries a schema version. When the shape changes, bump
+// SCHEMA_VERSION and add a migration from the previous version below.
+import { DEFAULT_DIFFICULTY } from '../game/difficulty';
+
+const STORAGE_KEY = 'football:stats';
+const SCHEMA_VERSION = 3;
+const MAX_RECENT_GAMES = 20;
+const HISTOGRAM_BUCKET = 10;
+const HISTOGRAM_MAX = 100;
+
+function createStats() {
+  return {
+    version: SCHEMA_VERSION,
+    best: {}, // Classic mode only: difficulty -> best score
+    dailyBest: { id: null, score: 0 }, // Best score in today's daily challenge
+    gamesPlayed: 0,
+    totalKicks: 0,
+    histogram: {}, // bucket label -> classic games
+    recentGames: [], // newest first: { score, kicks, time, difficulty? challenge? }
+  };
+}
+
+// migrations[n] upgrades data from version n to n + 1
+const migrations = {
+  // Unversioned data: keep whatever fields are there, fill in the rest
+  0: (data) => ({ ...createStats(), ...data, version: 1 }),
+  // v2 adds the daily challenge best
+  1: (data) => ({ ...data, dailyBest: { id: null, score: 0 }, version: 2 }),
+  // v3 keeps a best per difficulty. The single best before can't be told
+  // apart, so it counts for normal, like runs from before difficulties.
+  2: (data) => ({ ...data, best: { [DEFAULT_DIFFICULTY]: data.best || 0 }, version: 3 }),
+};
+
+function migrate(data) {
+  let current = data;
+  let version = current.version || 0;
+  while (version < SCHEMA_VERSION) {
+    const upgrade = migrations[version];
+    if (!upgrade) return createStats();
+    current = upgrade(current);
+    version = current.version;
+  }
+  return current;
+}
+
+// Histogram bucket for a score: '0-9', '10-19', ... '100+'
+export function histogramBucket(score) {
+  if (score >= HISTOGRAM_MAX) return `${HISTOGRAM_MAX}+`;
+  const start = Math.floor(score / HISTOGRAM_BUCKET) * HISTOGRAM_BUCKET;
+  return `${start}-${start + HISTOGRAM_BUCKET - 1}`;
+}
+
+// All bucket labels in order, for rendering
+export function histogramBuckets() {
+  const buckets = [];
+  for (let start = 0; start < HISTOGRAM_MAX; start += HISTOGRAM_BUCKET) {
+    buckets.push(histogramBucket(start));
+  }
+  buckets.push(histogramBucket(HISTOGRAM_MAX));
+  return buckets;
+}
+
+export function loadStats() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return createStats();
+
+    const data = JSON.parse(raw);
+    if (data.version > SCHEMA_VERSION) {
+      // Written by a newer build; start fresh rather than misread it
+      console.warn('Stats were saved by a newer version, ignoring them');
+      return createStats();
+    }
+    return migrate(data);
+  } catch (error) {
+    console.warn('Failed to read stats:', error.message);
+    return createStats();
+  }
+}
+
+function saveStats(stats) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(stats));
+  } catch (error) {
+    console.warn('Failed to save stats:', error.message);
+  }
+}
+
+// Best classic score at a difficulty
+export function getBest(stats, difficulty = DEFAULT_DIFFICULTY) {
+  return stats.best[difficulty] || 0;
+}
+
+// Best classic score at any difficulty
+export function getTopBest(stats) {
+  return Math.max(0, ...Object.values(stats.best));
+}
+
+// Best score for a daily challenge id
+export function getDailyBest(stats, id) {
+  return stats.dailyBest.id === id ? stats.dailyBest.score : 0;
+}
+
+// Record a finished game and return the updated stats. Daily challenge games
+// (with a challenge id) have their own best and stay out of the histogram;
+// classic games count towards the best of their difficulty.
+export function recordGame({ score, kicks, challenge, difficulty = DEFAULT_DIFFICULTY, time = Date.now() }) {
+  const stats = loadStats();
+  const game = challenge ? { score, kicks, time, challenge } : { score, kicks, time, difficulty };
+
+  const next = {
+    ...stats,
+    gamesPlayed: stats.gamesPlayed + 1,
+    totalKicks: stats.totalKicks + kicks,
+    recentGames: [game, ...stats.recentGames].slice(0, MAX_RECENT_GAMES),
+  };
+
+  if (challenge) {
+    next.dailyBest = {
+      id: challenge,
+      score: Math.max(getDailyBest(stats, challenge), score),
+    };
+  } else {
+    const bucket = histogramBucket(score);
+    next.best = { ...stats.best, [difficulty]: Math.max(getBest(stats, difficulty), score) };
+    next.histogram = {
+      ...stats.histogram,
+      [bucket]: (stats.histogram[bucket] || 0) + 1,
+    };
+  }
+
+  saveStats(next);
+  return next;
+}
@@ -0,0 +1,37 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { loadStats, recordGame, getBest, getTopBest } from './stats';
+import { memoryStorage } from '../test/memoryStorage';
+
+beforeEach(() => {
+  vi.stubGlobal('localStorage', memoryStorage());
+});
+
+describe('stats', () => {
+  it('keeps a best score per difficulty', () => {
+    recordGame({ score: 40, kicks: 40, difficulty: 'easy' });
+    recordGame({ score: 12, kicks: 12, difficulty: 'hard' });
+    const stats = recordGame({ score: 8, kicks: 8, difficulty: 'hard' });
+
+    expect(getBest(stats, 'easy')).toBe(40);
+    expect(getBest(stats, 'hard')).toBe(12);
+    expect(getBest(stats, 'normal')).toBe(0);
+    expect(getTopBest(stats)).toBe(40);
+  });
+
+  it('counts the shared best of v2 stats for normal', () => {
+    localStorage.setItem('football:stats', JSON.stringify({
+      version: 2,
+      best: 25,
+      dailyBest: { id: null, score: 0 },
+      gamesPlayed: 3,
+      totalKicks: 60,
+      histogram: {},
+      recentGames: [],
+    }));
+
+    const stats = loadStats();
+    expect(stats.version).toBe(3);
+    expect(stats.best).toEqual({ normal: 25 });
+    expect(stats.gamesPlayed).toBe(3);
+  });
+});
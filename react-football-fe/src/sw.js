@@ -0,0 +1,66 @@
+// Service worker: lets the game load and play without a connection.
+//
+// This file is not part of the app bundle. The build (see vite.config.js)
+// fills in the precache manifest below with the list of built files and the
+// version they belong to, and emits the result as /sw.js.
+//
+// Built files are cached up front and served cache-first. A new build installs
+// next to the running one and waits until the page asks it to take over
+// (services/pwa.js), so a game in progress is never swapped underneath the
+// player. API requests are left alone, even when the API is served from the
+// same origin: the app queues its own submissions while offline, and the live
+// leaderboard stream must never be cached.
+
+const { version, files } = self.__PRECACHE_MANIFEST;
+const CACHE = `react-football-${version}`;
+const RUNTIME_CACHE = 'react-football-runtime';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(files)));
+});
+
+// Drop the caches of previous builds
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys
+      .filter(key => key !== CACHE && key !== RUNTIME_CACHE)
+      .map(key => caches.delete(key)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data === 'skip-waiting') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith('/api/') || request.headers.get('Accept')?.includes('text/event-stream')) return;
+
+  // SPA: every page is index.html
+  if (request.mode === 'navigate') {
+    event.respondWith(caches.match('/').then(cached => cached || fetch(request)));
+    return;
+  }
+
+  event.respondWith(cacheFirst(request));
+});
+
+// Precached files first, then anything fetched before (e.g. country flags,
+// which are too many to precache), then the network
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
@@ -0,0 +1,9 @@
+// Just enough of localStorage for the services' tests, which run in Node:
+//   beforeEach(() => vi.stubGlobal('localStorage', memoryStorage()));
+export function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+}
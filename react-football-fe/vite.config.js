@@ -1,7 +1,33 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readFileSync } from 'node:fs'
+import { createHash } from 'node:crypto'
+
+// Files from public/ that the service worker caches along with the bundle
+const PUBLIC_PRECACHE = ['/', '/manifest.webmanifest', '/assets/background.png', '/assets/soccer-ball.png']
+
+// Emit src/sw.js as /sw.js with the list of built files to precache.
+// Country flag SVGs are left out (there are hundreds); the worker caches the
+// ones that get shown.
+function serviceWorker() {
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    generateBundle(options, bundle) {
+      const built = Object.keys(bundle)
+        .filter(file => file !== 'index.html' && !file.endsWith('.svg') && !file.endsWith('.map'))
+        .map(file => `/${file}`)
+      const files = [...PUBLIC_PRECACHE, ...built].sort()
+      const version = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12)
+
+      const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+        .replace('self.__PRECACHE_MANIFEST', JSON.stringify({ version, files }))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
 })